@@ -12,6 +12,8 @@ exports.DataSource = exports.Schema = require('./lib/datasource.js').DataSource;
 exports.ModelBaseClass = require('./lib/model.js');
 exports.GeoPoint = require('./lib/geo.js').GeoPoint;
 exports.ValidationError = require('./lib/validations.js').ValidationError;
+exports.VersionConflictError = require('./lib/errors.js').VersionConflictError;
+exports.Loader = require('./lib/loader.js');
 
 Object.defineProperty(exports, 'version', {
   get: function() { return require('./package.json').version; },
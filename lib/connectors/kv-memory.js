@@ -23,6 +23,7 @@ function KeyValueMemoryConnector(settings, dataSource) {
   this.DataAccessObject = dataSource.juggler.KeyValueAccessObject;
 
   this._store = Object.create(null);
+  this._subscriptions = [];
 
   this._setupRegularCleanup();
 };
@@ -32,8 +33,10 @@ KeyValueMemoryConnector.prototype._setupRegularCleanup = function() {
   // Scan the database for expired keys at a regular interval
   // in order to release memory. Note that GET operation checks
   // key expiration too, the scheduled cleanup is merely a performance
-  // optimization.
+  // optimization. The interval is given by the `cleanupInterval` setting
+  // in ms.
   var self = this;
+  var interval = this.settings.cleanupInterval || 1000;
   var timer = this._cleanupTimer = setInterval(
     function() {
       if (self && self._removeExpiredItems) {
@@ -43,11 +46,11 @@ KeyValueMemoryConnector.prototype._setupRegularCleanup = function() {
         clearInterval(timer);
       }
     },
-    1000);
+    interval);
   this._cleanupTimer.unref();
 };
 
-KeyValueMemoryConnector._removeExpiredItems = function() {
+KeyValueMemoryConnector.prototype._removeExpiredItems = function() {
   debug('Running scheduled cleanup of expired items.');
   for (var modelName in this._store) {
     var modelStore = this._store[modelName];
@@ -55,6 +58,7 @@ KeyValueMemoryConnector._removeExpiredItems = function() {
       if (modelStore[key].isExpired()) {
         debug('Removing expired key', key);
         delete modelStore[key];
+        this._notify(modelName, {type: 'expire', key: key});
       }
     }
   }
@@ -74,6 +78,7 @@ KeyValueMemoryConnector.prototype._removeIfExpired = function(modelName, key) {
     debug('Removing expired key', key);
     delete store[key];
     item = undefined;
+    this._notify(modelName, {type: 'expire', key: key});
     return true;
   }
   return false;
@@ -85,16 +90,13 @@ function(modelName, key, options, callback) {
 
   var store = this._getStoreForModel(modelName);
   var item = store[key];
+  var err = checkType(item, key, 'value');
+  if (err) return reportError(callback, err);
+
   var value = item ? item.value : null;
   debug('GET %j %j -> %s', modelName, key, value);
 
-  if (/^buffer:/.test(value)) {
-    value = new Buffer(value.slice(7), 'base64');
-  } else if (/^date:/.test(value)) {
-    value = new Date(value.slice(5));
-  } else if (value != null) {
-    value = JSON.parse(value);
-  }
+  value = deserialize(value);
 
   process.nextTick(function() {
     callback(null, value);
@@ -104,21 +106,330 @@ function(modelName, key, options, callback) {
 KeyValueMemoryConnector.prototype.set =
 function(modelName, key, value, options, callback) {
   var store = this._getStoreForModel(modelName);
-  var value;
-  if (Buffer.isBuffer(value)) {
-    value = 'buffer:' + value.toString('base64');
-  } else if (value instanceof Date) {
-    value = 'date:' + value.toISOString();
-  } else {
-    value = JSON.stringify(value);
-  }
+  value = serialize(value);
 
   debug('SET %j %j %s %j', modelName, key, value, options);
   store[key] = new StoreItem(value, options && options.ttl);
+  this._notify(modelName, {type: 'set', key: key});
 
   process.nextTick(callback);
 };
 
+KeyValueMemoryConnector.prototype.incr =
+function(modelName, key, delta, options, callback) {
+  this._removeIfExpired(modelName, key);
+
+  var store = this._getStoreForModel(modelName);
+  var item = store[key];
+  var err = checkType(item, key, 'value');
+  if (err) return reportError(callback, err);
+
+  var current = item ? deserialize(item.value) : 0;
+  if (typeof current !== 'number' || current % 1 !== 0) {
+    return process.nextTick(function() {
+      var err = new Error(g.f('Cannot increment non-integer value of key %j', key));
+      err.statusCode = 400;
+      callback(err);
+    });
+  }
+
+  var value = current + delta;
+  debug('INCR %j %j %s -> %s', modelName, key, delta, value);
+  if (item) {
+    item.value = serialize(value);
+  } else {
+    store[key] = new StoreItem(serialize(value), options && options.ttl);
+  }
+  this._notify(modelName, {type: 'set', key: key});
+
+  process.nextTick(function() {
+    callback(null, value);
+  });
+};
+
+KeyValueMemoryConnector.prototype.setIfNotExists =
+function(modelName, key, value, options, callback) {
+  this._removeIfExpired(modelName, key);
+
+  var store = this._getStoreForModel(modelName);
+  var created = !(key in store);
+  debug('SETNX %j %j -> %s', modelName, key, created);
+  if (created) {
+    store[key] = new StoreItem(serialize(value), options && options.ttl);
+    this._notify(modelName, {type: 'set', key: key});
+  }
+
+  process.nextTick(function() {
+    callback(null, created);
+  });
+};
+
+KeyValueMemoryConnector.prototype.compareAndSet =
+function(modelName, key, expected, value, options, callback) {
+  this._removeIfExpired(modelName, key);
+
+  var store = this._getStoreForModel(modelName);
+  var item = store[key];
+  var replaced = !!item && item.value === serialize(expected);
+  debug('CAS %j %j -> %s', modelName, key, replaced);
+  if (replaced) {
+    store[key] = new StoreItem(serialize(value), options && options.ttl);
+    this._notify(modelName, {type: 'set', key: key});
+  }
+
+  process.nextTick(function() {
+    callback(null, replaced);
+  });
+};
+
+KeyValueMemoryConnector.prototype.delete =
+function(modelName, key, options, callback) {
+  this._removeIfExpired(modelName, key);
+
+  var store = this._getStoreForModel(modelName);
+  var deleted = key in store;
+  debug('DELETE %j %j -> %s', modelName, key, deleted);
+  delete store[key];
+  if (deleted) {
+    this._notify(modelName, {type: 'delete', key: key});
+  }
+
+  process.nextTick(function() {
+    callback(null, deleted);
+  });
+};
+
+KeyValueMemoryConnector.prototype.getMany =
+function(modelName, keys, options, callback) {
+  var store = this._getStoreForModel(modelName);
+  var values = keys.map(function(key) {
+    this._removeIfExpired(modelName, key);
+    var item = store[key];
+    return item && item.type === 'value' ? deserialize(item.value) : null;
+  }, this);
+  debug('GET MANY %j %j', modelName, keys);
+
+  process.nextTick(function() {
+    callback(null, values);
+  });
+};
+
+KeyValueMemoryConnector.prototype.setMany =
+function(modelName, entries, options, callback) {
+  var store = this._getStoreForModel(modelName);
+  var keys = Object.keys(entries);
+  debug('SET MANY %j %j %j', modelName, keys, options);
+  keys.forEach(function(key) {
+    store[key] = new StoreItem(serialize(entries[key]), options && options.ttl);
+    this._notify(modelName, {type: 'set', key: key});
+  }, this);
+
+  process.nextTick(callback);
+};
+
+KeyValueMemoryConnector.prototype.hget =
+function(modelName, key, field, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'hash');
+  if (err) return reportError(callback, err);
+
+  var value = item && field in item.value ? deserialize(item.value[field]) : null;
+  debug('HGET %j %j %j', modelName, key, field);
+
+  process.nextTick(function() {
+    callback(null, value);
+  });
+};
+
+KeyValueMemoryConnector.prototype.hset =
+function(modelName, key, field, value, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'hash');
+  if (err) return reportError(callback, err);
+
+  item = item || this._createItem(modelName, key, Object.create(null), 'hash');
+  var created = !(field in item.value);
+  item.value[field] = serialize(value);
+  if (options && options.ttl) item.setTtl(options.ttl);
+  debug('HSET %j %j %j %j', modelName, key, field, options);
+  this._notify(modelName, {type: 'set', key: key});
+
+  process.nextTick(function() {
+    callback(null, created);
+  });
+};
+
+KeyValueMemoryConnector.prototype.hdel =
+function(modelName, key, field, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'hash');
+  if (err) return reportError(callback, err);
+
+  var deleted = !!item && field in item.value;
+  debug('HDEL %j %j %j -> %s', modelName, key, field, deleted);
+  if (deleted) {
+    delete item.value[field];
+    this._notifyStructureChange(modelName, key, Object.keys(item.value).length);
+  }
+
+  process.nextTick(function() {
+    callback(null, deleted);
+  });
+};
+
+KeyValueMemoryConnector.prototype.lpush =
+function(modelName, key, value, options, callback) {
+  this._push(modelName, key, value, true, options, callback);
+};
+
+KeyValueMemoryConnector.prototype.rpush =
+function(modelName, key, value, options, callback) {
+  this._push(modelName, key, value, false, options, callback);
+};
+
+KeyValueMemoryConnector.prototype._push =
+function(modelName, key, value, head, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'list');
+  if (err) return reportError(callback, err);
+
+  item = item || this._createItem(modelName, key, [], 'list');
+  if (head) {
+    item.value.unshift(serialize(value));
+  } else {
+    item.value.push(serialize(value));
+  }
+  if (options && options.ttl) item.setTtl(options.ttl);
+  var length = item.value.length;
+  debug('%s %j %j -> %s', head ? 'LPUSH' : 'RPUSH', modelName, key, length);
+  this._notify(modelName, {type: 'set', key: key});
+
+  process.nextTick(function() {
+    callback(null, length);
+  });
+};
+
+KeyValueMemoryConnector.prototype.lpop =
+function(modelName, key, options, callback) {
+  this._pop(modelName, key, true, options, callback);
+};
+
+KeyValueMemoryConnector.prototype.rpop =
+function(modelName, key, options, callback) {
+  this._pop(modelName, key, false, options, callback);
+};
+
+KeyValueMemoryConnector.prototype._pop =
+function(modelName, key, head, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'list');
+  if (err) return reportError(callback, err);
+
+  var value = null;
+  if (item) {
+    value = deserialize(head ? item.value.shift() : item.value.pop());
+    this._notifyStructureChange(modelName, key, item.value.length);
+  }
+  debug('%s %j %j', head ? 'LPOP' : 'RPOP', modelName, key);
+
+  process.nextTick(function() {
+    callback(null, value);
+  });
+};
+
+KeyValueMemoryConnector.prototype.lrange =
+function(modelName, key, start, stop, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'list');
+  if (err) return reportError(callback, err);
+
+  var list = item ? item.value : [];
+  if (start < 0) start = Math.max(list.length + start, 0);
+  if (stop < 0) stop = list.length + stop;
+  var values = list.slice(start, stop + 1).map(deserialize);
+  debug('LRANGE %j %j %s %s -> %s values', modelName, key, start, stop, values.length);
+
+  process.nextTick(function() {
+    callback(null, values);
+  });
+};
+
+KeyValueMemoryConnector.prototype.zadd =
+function(modelName, key, score, member, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'zset');
+  if (err) return reportError(callback, err);
+
+  item = item || this._createItem(modelName, key, [], 'zset');
+  var entry = {score: score, member: serialize(member)};
+  var entries = item.value.filter(function(e) {
+    return e.member !== entry.member;
+  });
+  var created = entries.length === item.value.length;
+  // Keep the members ordered by score, then by member
+  var ix = 0;
+  while (ix < entries.length && (entries[ix].score < score ||
+      (entries[ix].score === score && entries[ix].member < entry.member))) {
+    ix++;
+  }
+  entries.splice(ix, 0, entry);
+  item.value = entries;
+  if (options && options.ttl) item.setTtl(options.ttl);
+  debug('ZADD %j %j %s -> %s', modelName, key, score, created);
+  this._notify(modelName, {type: 'set', key: key});
+
+  process.nextTick(function() {
+    callback(null, created);
+  });
+};
+
+KeyValueMemoryConnector.prototype.zrangeByScore =
+function(modelName, key, min, max, options, callback) {
+  var item = this._getItem(modelName, key);
+  var err = checkType(item, key, 'zset');
+  if (err) return reportError(callback, err);
+
+  var members = (item ? item.value : []).filter(function(e) {
+    return e.score >= min && e.score <= max;
+  }).map(function(e) {
+    return deserialize(e.member);
+  });
+  debug('ZRANGEBYSCORE %j %j %s %s -> %s members', modelName, key, min, max, members.length);
+
+  process.nextTick(function() {
+    callback(null, members);
+  });
+};
+
+/*!
+ * Get the unexpired item stored at the given key.
+ */
+KeyValueMemoryConnector.prototype._getItem = function(modelName, key) {
+  this._removeIfExpired(modelName, key);
+  return this._getStoreForModel(modelName)[key];
+};
+
+/*!
+ * Create the item of an empty data structure, its TTL is set by the caller.
+ */
+KeyValueMemoryConnector.prototype._createItem = function(modelName, key, value, type) {
+  var item = new StoreItem(value, undefined, type);
+  this._getStoreForModel(modelName)[key] = item;
+  return item;
+};
+
+/*!
+ * Notify the change of a data structure, deleting its key once it is empty.
+ */
+KeyValueMemoryConnector.prototype._notifyStructureChange = function(modelName, key, size) {
+  if (size) {
+    this._notify(modelName, {type: 'set', key: key});
+  } else {
+    delete this._getStoreForModel(modelName)[key];
+    this._notify(modelName, {type: 'delete', key: key});
+  }
+};
+
 KeyValueMemoryConnector.prototype.expire =
 function(modelName, key, ttl, options, callback) {
   this._removeIfExpired(modelName, key);
@@ -182,6 +493,62 @@ function(modelName, filter, options, callback) {
   };
 };
 
+KeyValueMemoryConnector.prototype.subscribe =
+function(modelName, pattern, handler, options, callback) {
+  var subscription = {
+    modelName: modelName,
+    pattern: pattern,
+    matches: createMatcher(pattern),
+    handler: handler,
+  };
+  debug('SUBSCRIBE %j %j', modelName, pattern);
+  this._subscriptions.push(subscription);
+
+  process.nextTick(function() {
+    callback(null, subscription);
+  });
+};
+
+KeyValueMemoryConnector.prototype.unsubscribe =
+function(modelName, subscription, options, callback) {
+  debug('UNSUBSCRIBE %j %j', modelName, subscription.pattern);
+  this._subscriptions = this._subscriptions.filter(function(s) {
+    return s !== subscription;
+  });
+
+  process.nextTick(callback);
+};
+
+KeyValueMemoryConnector.prototype.publish =
+function(modelName, channel, message, options, callback) {
+  debug('PUBLISH %j %j', modelName, channel);
+  var data = serialize(message);
+  this._notify(modelName, {type: 'message', channel: channel}, function(event) {
+    // Every subscriber receives its own copy of the message
+    event.message = deserialize(data);
+  });
+
+  process.nextTick(callback);
+};
+
+/*!
+ * Deliver an event to the subscriptions of the model with a pattern matching
+ * the key or the channel of the event.
+ */
+KeyValueMemoryConnector.prototype._notify = function(modelName, event, prepare) {
+  var name = event.type === 'message' ? event.channel : event.key;
+  this._subscriptions.forEach(function(subscription) {
+    if (subscription.modelName !== modelName || !subscription.matches(name)) {
+      return;
+    }
+    var copy = util._extend({}, event);
+    if (prepare) prepare(copy);
+    process.nextTick(function() {
+      subscription.handler(copy);
+    });
+  });
+};
+
 function createMatcher(pattern) {
   if (!pattern) return function matchAll() { return true; };
 
@@ -198,11 +565,48 @@ KeyValueMemoryConnector.prototype.disconnect = function(callback) {
   if (this._cleanupTimer)
     clearInterval(this._cleanupTimer);
   this._cleanupTimer = null;
+  this._subscriptions = [];
   process.nextTick(callback);
 };
 
-function StoreItem(value, ttl) {
+function checkType(item, key, type) {
+  if (!item || item.type === type) return null;
+  var err = new Error(g.f('Key %j holds a %s, not a %s', key, item.type, type));
+  err.statusCode = 400;
+  return err;
+}
+
+function reportError(callback, err) {
+  process.nextTick(function() {
+    callback(err);
+  });
+}
+
+function serialize(value) {
+  if (Buffer.isBuffer(value)) {
+    return 'buffer:' + value.toString('base64');
+  } else if (value instanceof Date) {
+    return 'date:' + value.toISOString();
+  } else {
+    return JSON.stringify(value);
+  }
+}
+
+function deserialize(value) {
+  if (/^buffer:/.test(value)) {
+    return new Buffer(value.slice(7), 'base64');
+  } else if (/^date:/.test(value)) {
+    return new Date(value.slice(5));
+  } else if (value != null) {
+    return JSON.parse(value);
+  }
+  return value;
+}
+
+function StoreItem(value, ttl, type) {
   this.value = value;
+  // One of 'value', 'hash', 'list' or 'zset'
+  this.type = type || 'value';
   this.setTtl(ttl);
 }
 
@@ -27,6 +27,7 @@ exports.initialize = function initializeDataSource(dataSource, callback) {
 
 exports.Memory = Memory;
 exports.applyFilter = applyFilter;
+exports.aggregate = aggregate;
 
 function Memory(m, settings) {
   if (m instanceof Memory) {
@@ -54,10 +55,26 @@ Memory.prototype.getTypes = function() {
 };
 
 Memory.prototype.connect = function(callback) {
+  var self = this;
   if (this.isTransaction) {
     this.onTransactionExec = callback;
+  } else if (this._loading) {
+    // Loading the file again would replay the journal over newer writes
+    this._loading.push(callback);
+  } else if (this._loaded) {
+    process.nextTick(function() {
+      callback && callback();
+    });
   } else {
-    this.loadFromFile(callback);
+    this._loading = [callback];
+    this.loadFromFile(function(err) {
+      var callbacks = self._loading;
+      self._loading = null;
+      self._loaded = !err;
+      callbacks.forEach(function(cb) {
+        cb && cb(err);
+      });
+    });
   }
 };
 
@@ -94,57 +111,221 @@ Memory.prototype.initCollection = function(model) {
 
 Memory.prototype.collection = function(model, val) {
   model = this.getCollection(model);
-  if (arguments.length > 1) this.cache[model] = val;
+  if (arguments.length > 1) {
+    this.cache[model] = val;
+    this._touch(model);
+  }
   return this.cache[model];
 };
 
+/*!
+ * Remember the records changed since the last append to the journal: the
+ * record with the given id, or the whole collection when no id is given.
+ * @param {String} model The model name
+ * @param {*} [id] The id of the record
+ */
+Memory.prototype._touch = function(model, id) {
+  if (!this.settings.journal || !this.settings.file) return;
+  var name = this.getCollection(model);
+  var touched = this._touched = this._touched || {};
+  var entry = touched[name] = touched[name] || {cleared: false, ids: {}};
+  if (arguments.length < 2) {
+    entry.cleared = true;
+    entry.ids = {};
+  } else {
+    entry.ids[id] = true;
+  }
+};
+
 Memory.prototype.collectionSeq = function(model, val) {
   model = this.getCollection(model);
   if (arguments.length > 1) this.ids[model] = val;
   return this.ids[model];
 };
 
+/*!
+ * Get the connector instance holding the data visible to a CRUD call: the
+ * private store of an active transaction started against this connector,
+ * or the connector itself.
+ * @param {Object} [options] The options passed to the CRUD method
+ * @returns {Memory}
+ */
+Memory.prototype._getStore = function(options) {
+  var tx = options && options.transaction;
+  var connection = tx && tx.connection;
+  if (connection && connection.origin === this) {
+    return connection;
+  }
+  return this;
+};
+
+/**
+ * Built-in formats to serialize snapshots of the memory connector with. A
+ * format is an object with `serialize(data)` returning a string and
+ * `parse(str)` returning the data, where `data` is `{ids: {}, models: {}}`.
+ * Register more formats by adding them here, or pass a format object as the
+ * `format` setting.
+ */
+Memory.formats = {
+  json: {
+    serialize: function(data) {
+      return JSON.stringify(data, null, '  ');
+    },
+    parse: function(str) {
+      return JSON.parse(str);
+    },
+  },
+};
+
+/*!
+ * Resolve a format name or object, defaulting to the `format` setting.
+ * @param {String|Object} [format]
+ * @returns {Object}
+ */
+Memory.prototype._getFormat = function(format) {
+  format = format || this.settings.format || 'json';
+  if (typeof format === 'string') {
+    if (!Memory.formats[format]) {
+      throw new Error(g.f('Unknown snapshot format: %s', format));
+    }
+    format = Memory.formats[format];
+  }
+  return format;
+};
+
 Memory.prototype.loadFromFile = function(callback) {
   var self = this;
   var hasLocalStorage = typeof window !== 'undefined' && window.localStorage;
   var localStorage = hasLocalStorage && this.settings.localStorage;
 
   if (self.settings.file) {
-    fs.readFile(self.settings.file, {encoding: 'utf8', flag: 'r'}, function(err, data) {
-      if (err && err.code !== 'ENOENT') {
-        callback && callback(err);
-      } else {
-        parseAndLoad(data);
-      }
+    self._lock(function(err) {
+      if (err) return callback && callback(err);
+      fs.readFile(self.settings.file, {encoding: 'utf8', flag: 'r'}, function(err, data) {
+        if (err && err.code !== 'ENOENT') {
+          callback && callback(err);
+        } else {
+          parseAndLoad(data);
+        }
+      });
     });
   } else if (localStorage) {
     var data = window.localStorage.getItem(localStorage);
     data = data || '{}';
-    parseAndLoad(data);
+    parseAndLoad(data, Memory.formats.json);
   } else {
     process.nextTick(callback);
   }
 
-  function parseAndLoad(data) {
+  function parseAndLoad(data, format) {
     if (data) {
       try {
-        data = JSON.parse(data.toString());
+        data = (format || self._getFormat()).parse(data.toString());
       } catch (e) {
         return callback(e);
       }
 
       self.ids = data.ids || {};
       self.cache = data.models || {};
+      // The records of the file are journaled already
+      self._touched = {};
     } else {
       if (!self.cache) {
         self.ids = {};
         self.cache = {};
       }
     }
-    callback && callback();
+    if (!self.settings.journal) {
+      return callback && callback();
+    }
+    self._replayJournal(function(err) {
+      callback && callback(err);
+    });
   }
 };
 
+/*!
+ * Apply the changes appended to the journal since the last compaction.
+ * @param {Function} callback
+ */
+Memory.prototype._replayJournal = function(callback) {
+  var self = this;
+  fs.readFile(self.settings.file + '.journal', 'utf8', function(err, data) {
+    if (err && err.code !== 'ENOENT') return callback(err);
+    var lines = (data || '').split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      if (!lines[i]) continue;
+      var entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (e) {
+        // A partial line left by a crash in the middle of an append
+        if (i === lines.length - 1) break;
+        return callback(e);
+      }
+      self.ids = entry.ids;
+      applyChanges(self.cache, entry.changes);
+    }
+    self._journalSize = lines.length - 1;
+    callback();
+  });
+};
+
+/*!
+ * Take the lock file of the `file` setting when the `lock` setting is on,
+ * so that no other process or data source uses the same file. A lock left
+ * by a process which is no longer running is taken over.
+ * @param {Function} callback
+ */
+Memory.prototype._lock = function(callback) {
+  var self = this;
+  if (!self.settings.lock || self._lockFile) {
+    return process.nextTick(callback);
+  }
+  var lockFile = self.settings.file + '.lock';
+  fs.writeFile(lockFile, String(process.pid), {flag: 'wx'}, function(err) {
+    if (!err) {
+      self._lockFile = lockFile;
+      lockFiles[lockFile] = true;
+      if (!releasingLocksOnExit) {
+        releasingLocksOnExit = true;
+        process.on('exit', releaseLocks);
+      }
+      return callback();
+    }
+    if (err.code !== 'EEXIST') return callback(err);
+    fs.readFile(lockFile, 'utf8', function(readErr, pid) {
+      if (readErr && readErr.code !== 'ENOENT') return callback(readErr);
+      if (!readErr && isRunning(Number(pid))) {
+        err = new Error(g.f('The file %s is locked by the process %s',
+          self.settings.file, pid));
+        err.code = 'ELOCKED';
+        return callback(err);
+      }
+      fs.unlink(lockFile, function(unlinkErr) {
+        if (unlinkErr && unlinkErr.code !== 'ENOENT') return callback(unlinkErr);
+        self._lock(callback);
+      });
+    });
+  });
+};
+
+/**
+ * Release the lock file taken with the `lock` setting.
+ *
+ * @param {Function} [callback] The callback function
+ */
+Memory.prototype.disconnect = function(callback) {
+  this._loaded = false;
+  if (this._lockFile) {
+    releaseLock(this._lockFile);
+    this._lockFile = null;
+  }
+  process.nextTick(function() {
+    callback && callback();
+  });
+};
+
 /*!
  * Flush the cache into the json file if necessary
  * @param {Function} callback
@@ -155,23 +336,8 @@ Memory.prototype.saveToFile = function(result, callback) {
   var hasLocalStorage = typeof window !== 'undefined' && window.localStorage;
   var localStorage = hasLocalStorage && this.settings.localStorage;
   if (file) {
-    if (!self.writeQueue) {
-      // Create a queue for writes
-      self.writeQueue = async.queue(function(task, cb) {
-        // Flush out the models/ids
-        var data = JSON.stringify({
-          ids: self.ids,
-          models: self.cache,
-        }, null, '  ');
-
-        fs.writeFile(self.settings.file, data, function(err) {
-          cb(err);
-          task.callback && task.callback(err, task.data);
-        });
-      }, 1);
-    }
     // Enqueue the write
-    self.writeQueue.push({
+    self._getWriteQueue().push({
       data: result,
       callback: callback,
     });
@@ -192,6 +358,185 @@ Memory.prototype.saveToFile = function(result, callback) {
   }
 };
 
+/*!
+ * Get the queue serializing the writes to the file. In journal mode, a write
+ * appends the records changed since the previous write to the journal, and
+ * compacts it once it reaches `journal.compactThreshold` entries (1000 by
+ * default); otherwise the whole file is rewritten.
+ */
+Memory.prototype._getWriteQueue = function() {
+  var self = this;
+  if (!self.writeQueue) {
+    // Create a queue for writes
+    self.writeQueue = async.queue(function(task, cb) {
+      function done(err) {
+        cb(err);
+        task.callback && task.callback(err, task.data);
+      }
+      if (task.compact || !self.settings.journal) {
+        return self._writeSnapshot(done);
+      }
+      self._appendJournal(function(err) {
+        if (err) return done(err);
+        var journal = self.settings.journal;
+        var threshold = (typeof journal === 'object' && journal.compactThreshold) || 1000;
+        if (self._journalSize < threshold) return done();
+        self._writeSnapshot(done);
+      });
+    }, 1);
+  }
+  return self.writeQueue;
+};
+
+/*!
+ * Append the records changed since the previous append to the journal. A
+ * collection replaced as a whole is journaled as `[collection, null, null]`
+ * before its records.
+ * @param {Function} callback
+ */
+Memory.prototype._appendJournal = function(callback) {
+  var self = this;
+  var touched = self._touched || {};
+  var changes = [];
+  Object.keys(touched).forEach(function(name) {
+    var collection = self.cache[name] || {};
+    if (touched[name].cleared) changes.push([name, null, null]);
+    Object.keys(touched[name].ids).forEach(function(id) {
+      changes.push([name, id, id in collection ? collection[id] : null]);
+    });
+  });
+  if (!changes.length) return process.nextTick(callback);
+  self._touched = {};
+  var line = JSON.stringify({ids: self.ids, changes: changes}) + '\n';
+  fs.appendFile(self.settings.file + '.journal', line, function(err) {
+    if (err) {
+      // Journal the records again with the next write
+      restoreTouched(self, touched);
+      return callback(err);
+    }
+    self._journalSize = (self._journalSize || 0) + 1;
+    callback();
+  });
+};
+
+/*!
+ * Write the whole store into the file, then empty the journal. The file is
+ * replaced atomically so that a crash never leaves it half written.
+ * @param {Function} callback
+ */
+Memory.prototype._writeSnapshot = function(callback) {
+  var self = this;
+  var file = self.settings.file;
+  var touched = self._touched || {};
+  var data;
+  try {
+    data = self._getFormat().serialize({ids: self.ids, models: self.cache});
+  } catch (e) {
+    return process.nextTick(function() {
+      callback(e);
+    });
+  }
+  self._touched = {};
+  fs.writeFile(file + '.tmp', data, function(err) {
+    if (err) return callback(err);
+    fs.rename(file + '.tmp', file, function(err) {
+      if (err || !self.settings.journal) return callback(err);
+      fs.writeFile(file + '.journal', '', function(err) {
+        if (err) {
+          restoreTouched(self, touched);
+          return callback(err);
+        }
+        self._journalSize = 0;
+        callback();
+      });
+    });
+  });
+};
+
+/**
+ * Rewrite the file with the whole store and empty the journal.
+ *
+ * @param {Function} [callback] The callback function
+ */
+Memory.prototype.compact = function(callback) {
+  callback = callback || utils.createPromiseCallback();
+  if (!this.settings.file) {
+    process.nextTick(callback);
+  } else {
+    this._getWriteQueue().push({compact: true, callback: callback});
+  }
+  return callback.promise;
+};
+
+/**
+ * Take a snapshot of all the records and id sequences of the store.
+ *
+ * @param {String|Object} [format] The name of a format registered in
+ * `Memory.formats` or a format object, defaults to the `format` setting
+ * @param {Function} [callback] Callback function called with (err, snapshot)
+ * where `snapshot` is a string
+ */
+Memory.prototype.snapshot = function(format, callback) {
+  if (callback === undefined && typeof format === 'function') {
+    callback = format;
+    format = undefined;
+  }
+  callback = callback || utils.createPromiseCallback();
+  var snapshot, error;
+  try {
+    snapshot = this._getFormat(format).serialize({
+      ids: util._extend({}, this.ids),
+      models: this.cache,
+    });
+  } catch (e) {
+    error = e;
+  }
+  process.nextTick(function() {
+    callback(error, snapshot);
+  });
+  return callback.promise;
+};
+
+/**
+ * Replace all the records and id sequences of the store with the ones of a
+ * snapshot, then persist them if the `file` setting is set.
+ *
+ * @param {String} snapshot A snapshot taken with `snapshot()`
+ * @param {String|Object} [format] The format of the snapshot
+ * @param {Function} [callback] The callback function
+ */
+Memory.prototype.restore = function(snapshot, format, callback) {
+  if (callback === undefined && typeof format === 'function') {
+    callback = format;
+    format = undefined;
+  }
+  callback = callback || utils.createPromiseCallback();
+  var self = this;
+  var data;
+  try {
+    data = this._getFormat(format).parse(snapshot);
+  } catch (e) {
+    process.nextTick(function() {
+      callback(e);
+    });
+    return callback.promise;
+  }
+  this.ids = data.ids || {};
+  this.cache = data.models || {};
+  // Keep the collections of the models defined after the snapshot was taken
+  Object.keys(this._models).forEach(function(model) {
+    if (!self.collection(model)) self.initCollection(model);
+  });
+  if (this.settings.file) {
+    this.compact(callback);
+  } else {
+    this.saveToFile(null, function(err) {
+      callback(err);
+    });
+  }
+  return callback.promise;
+};
+
 Memory.prototype.define = function defineModel(definition) {
   this.constructor.super_.prototype.define.apply(this, [].slice.call(arguments));
   var m = definition.model.modelName;
@@ -220,14 +565,29 @@ Memory.prototype._createSync = function(model, data, fn) {
     this.collection(model, {});
   }
 
-  if (this.collection(model)[id])
-    return fn(new Error(g.f('Duplicate entry for %s.%s', model, idName)));
+  if (this.collection(model)[id]) {
+    var err = new Error(g.f('Duplicate entry for %s.%s', model, idName));
+    err.code = 'DUPLICATE_ENTRY';
+    return fn(err);
+  }
 
   this.collection(model)[id] = serialize(data);
+  this._touch(model, id);
   fn(null, id);
 };
 
+/**
+ * Check whether an error is caused by a duplicate key.
+ * @param {Error} err The error
+ * @returns {Boolean}
+ */
+Memory.prototype.isDuplicateKeyError = function(err) {
+  return err.code === 'DUPLICATE_ENTRY';
+};
+
 Memory.prototype.create = function create(model, data, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.create.apply(store, arguments);
   var self = this;
   this._createSync(model, data, function(err, id) {
     if (err) {
@@ -240,6 +600,8 @@ Memory.prototype.create = function create(model, data, options, callback) {
 };
 
 Memory.prototype.updateOrCreate = function(model, data, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.updateOrCreate.apply(store, arguments);
   var self = this;
   this.exists(model, self.getIdValue(model, data), options, function(err, exists) {
     if (exists) {
@@ -257,6 +619,8 @@ Memory.prototype.updateOrCreate = function(model, data, options, callback) {
 
 Memory.prototype.patchOrCreateWithWhere =
 Memory.prototype.upsertWithWhere = function(model, where, data, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.upsertWithWhere.apply(store, arguments);
   var self = this;
   var primaryKey = this.idName(model);
   var filter = {where: where};
@@ -285,7 +649,9 @@ Memory.prototype.upsertWithWhere = function(model, where, data, options, callbac
   }
 };
 
-Memory.prototype.findOrCreate = function(model, filter, data, callback) {
+Memory.prototype.findOrCreate = function(model, filter, data, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.findOrCreate.apply(store, arguments);
   var self = this;
   var nodes = self._findAllSkippingIncludes(model, filter);
   var found = nodes[0];
@@ -307,7 +673,7 @@ Memory.prototype.findOrCreate = function(model, filter, data, callback) {
     });
   }
 
-  self._models[model].model.include(nodes[0], filter.include, {}, function(err, nodes) {
+  self._models[model].model.include(nodes[0], filter.include, options, function(err, nodes) {
     process.nextTick(function() {
       if (err) return callback(err);
       callback(null, nodes[0], false);
@@ -316,6 +682,8 @@ Memory.prototype.findOrCreate = function(model, filter, data, callback) {
 };
 
 Memory.prototype.save = function save(model, data, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.save.apply(store, arguments);
   var self = this;
   var id = this.getIdValue(model, data);
   var cachedModels = this.collection(model);
@@ -325,26 +693,34 @@ Memory.prototype.save = function save(model, data, options, callback) {
     data = merge(modelData, data);
   }
   this.collection(model)[id] = serialize(data);
+  this._touch(model, id);
   this.saveToFile(data, function(err) {
     callback(err, self.fromDb(model, data), {isNewInstance: !modelData});
   });
 };
 
 Memory.prototype.exists = function exists(model, id, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.exists.apply(store, arguments);
   process.nextTick(function() {
     callback(null, this.collection(model) && this.collection(model).hasOwnProperty(id));
   }.bind(this));
 };
 
 Memory.prototype.find = function find(model, id, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.find.apply(store, arguments);
   process.nextTick(function() {
     callback(null, id in this.collection(model) && this.fromDb(model, this.collection(model)[id]));
   }.bind(this));
 };
 
 Memory.prototype.destroy = function destroy(model, id, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.destroy.apply(store, arguments);
   var exists = this.collection(model)[id];
   delete this.collection(model)[id];
+  this._touch(model, id);
   this.saveToFile({count: exists ? 1 : 0}, callback);
 };
 
@@ -404,20 +780,7 @@ Memory.prototype._findAllSkippingIncludes = function(model, filter) {
     }
     // do we need some sorting?
     if (filter.order) {
-      var orders = filter.order;
-      if (typeof filter.order === 'string') {
-        orders = [filter.order];
-      }
-      orders.forEach(function(key, i) {
-        var reverse = 1;
-        var m = key.match(/\s+(A|DE)SC$/i);
-        if (m) {
-          key = key.replace(/\s+(A|DE)SC/i, '');
-          if (m[1].toLowerCase() === 'de') reverse = -1;
-        }
-        orders[i] = {'key': key, 'reverse': reverse};
-      });
-      nodes = nodes.sort(sorting.bind(orders));
+      nodes = sortNodes(nodes, filter.order);
     }
 
     var nearFilter = geo.nearFilter(filter.where);
@@ -442,6 +805,28 @@ Memory.prototype._findAllSkippingIncludes = function(model, filter) {
     nodes = nodes.slice(skip, skip + limit);
   }
   return nodes;
+};
+
+/*!
+ * Sort the nodes by the given order
+ * @param {Object[]} nodes The nodes to sort
+ * @param {String|String[]} order The order, such as `['a ASC', 'b DESC']`
+ * @returns {Object[]} The sorted nodes
+ */
+function sortNodes(nodes, order) {
+  if (typeof order === 'string') {
+    order = [order];
+  }
+  var orders = order.map(function(key) {
+    var reverse = 1;
+    var m = key.match(/\s+(A|DE)SC$/i);
+    if (m) {
+      key = key.replace(/\s+(A|DE)SC/i, '');
+      if (m[1].toLowerCase() === 'de') reverse = -1;
+    }
+    return {'key': key, 'reverse': reverse};
+  });
+  return nodes.sort(sorting.bind(orders));
 
   function sorting(a, b) {
     var undefinedA, undefinedB;
@@ -461,9 +846,11 @@ Memory.prototype._findAllSkippingIncludes = function(model, filter) {
 
     return 0;
   }
-};
+}
 
 Memory.prototype.all = function all(model, filter, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.all.apply(store, arguments);
   var self = this;
   var nodes = self._findAllSkippingIncludes(model, filter);
 
@@ -476,6 +863,156 @@ Memory.prototype.all = function all(model, filter, options, callback) {
   });
 };
 
+/**
+ * Open a cursor over the records matching the filter. The cursor works on
+ * the records matching at the time it's opened.
+ *
+ * @param {String} model The model name
+ * @param {Object} filter The filter, `include` is not supported
+ * @param {Object} options The options object
+ * @returns {Object} The cursor, its method `next(count, cb)` calls back with
+ * (err, records) and an empty array once all records were read
+ */
+Memory.prototype.cursor = function(model, filter, options) {
+  var store = this._getStore(options);
+  if (store !== this) return store.cursor.apply(store, arguments);
+  var nodes = this._findAllSkippingIncludes(model, filter);
+  var position = 0;
+  return {
+    next: function(count, cb) {
+      var batch = nodes.slice(position, position + count);
+      position += batch.length;
+      process.nextTick(function() {
+        cb(null, batch);
+      });
+    },
+  };
+};
+
+/**
+ * Aggregate the matching records, optionally grouped by one or more
+ * properties.
+ *
+ * @param {String} model The model name
+ * @param {Object} filter The aggregate filter, see `aggregate()`
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function, called with (err, rows)
+ */
+Memory.prototype.aggregate = function(model, filter, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.aggregate.apply(store, arguments);
+  var nodes = this._findAllSkippingIncludes(model, {where: filter.where});
+  var rows;
+  try {
+    rows = aggregate(nodes, filter);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+  process.nextTick(function() {
+    callback(null, rows);
+  });
+};
+
+var aggregateFunctions = {
+  count: function(values, all) {
+    return all ? values.length : values.filter(isPresent).length;
+  },
+  sum: function(values) {
+    values = values.filter(isPresent);
+    if (!values.length) return null;
+    return values.reduce(function(sum, val) {
+      return sum + Number(val);
+    }, 0);
+  },
+  avg: function(values) {
+    var sum = aggregateFunctions.sum(values);
+    return sum === null ? null : sum / values.filter(isPresent).length;
+  },
+  min: function(values) {
+    return values.filter(isPresent).reduce(function(min, val) {
+      return (min === null || val < min) ? val : min;
+    }, null);
+  },
+  max: function(values) {
+    return values.filter(isPresent).reduce(function(max, val) {
+      return (max === null || val > max) ? val : max;
+    }, null);
+  },
+};
+
+function isPresent(val) {
+  return val !== undefined && val !== null;
+}
+
+/**
+ * Reference implementation of the aggregation over a set of records. It is
+ * used by the memory connector and by `DataAccessObject.aggregate` for
+ * connectors that don't implement `aggregate()` themselves.
+ *
+ * @param {Object[]} nodes The records matching the `where` condition
+ * @param {Object} filter The aggregate filter
+ * @property {String[]} groupBy The properties to group by
+ * @property {Object} fields The aggregations keyed by the result name, such
+ * as `{total: {sum: 'amount'}}`
+ * @property {String|String[]} [order] The order of the resulting rows
+ * @property {Number} [limit] The maximum number of rows
+ * @property {Number} [skip] The number of rows to skip
+ * @returns {Object[]} One row per group
+ */
+function aggregate(nodes, filter) {
+  var groupBy = filter.groupBy || [];
+  var fields = filter.fields || {};
+  var groups = {};
+  var keys = [];
+
+  nodes.forEach(function(node) {
+    var values = groupBy.map(function(prop) {
+      return getValue(node, prop);
+    });
+    var key = JSON.stringify(values);
+    if (!groups[key]) {
+      groups[key] = {values: values, nodes: []};
+      keys.push(key);
+    }
+    groups[key].nodes.push(node);
+  });
+
+  // Without grouping, the whole set is aggregated even if it's empty
+  if (!groupBy.length && !keys.length) {
+    groups['[]'] = {values: [], nodes: []};
+    keys.push('[]');
+  }
+
+  var rows = keys.map(function(key) {
+    var group = groups[key];
+    var row = {};
+    groupBy.forEach(function(prop, i) {
+      row[prop] = group.values[i];
+    });
+    Object.keys(fields).forEach(function(name) {
+      var fn = Object.keys(fields[name])[0];
+      var prop = fields[name][fn];
+      var all = prop === '*';
+      var values = group.nodes.map(function(node) {
+        return all ? node : getValue(node, prop);
+      });
+      row[name] = aggregateFunctions[fn](values, all);
+    });
+    return row;
+  });
+
+  if (filter.order) {
+    rows = sortNodes(rows, filter.order);
+  }
+  var skip = filter.skip || filter.offset || 0;
+  var limit = filter.limit || rows.length;
+  return rows.slice(skip, skip + limit);
+}
+
+aggregate.functions = Object.keys(aggregateFunctions);
+
 function applyFilter(filter) {
   var where = filter.where;
   if (typeof where === 'function') {
@@ -584,9 +1121,8 @@ function applyFilter(filter) {
         return value ? value.match(example.regexp) : false;
       }
 
-      // ignore geo near filter
       if (example.near) {
-        return true;
+        return isNear(example, value);
       }
 
       if (example.inq) {
@@ -695,6 +1231,8 @@ function applyFilter(filter) {
 }
 
 Memory.prototype.destroyAll = function destroyAll(model, where, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.destroyAll.apply(store, arguments);
   var cache = this.collection(model);
   var filter = null;
   var count = 0;
@@ -704,6 +1242,7 @@ Memory.prototype.destroyAll = function destroyAll(model, where, options, callbac
       if (!filter || filter(this.fromDb(model, cache[id]))) {
         count++;
         delete cache[id];
+        this._touch(model, id);
       }
     }.bind(this));
   } else {
@@ -714,6 +1253,8 @@ Memory.prototype.destroyAll = function destroyAll(model, where, options, callbac
 };
 
 Memory.prototype.count = function count(model, where, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.count.apply(store, arguments);
   var cache = this.collection(model);
   var data = Object.keys(cache);
   if (where) {
@@ -730,6 +1271,8 @@ Memory.prototype.count = function count(model, where, options, callback) {
 
 Memory.prototype.update =
   Memory.prototype.updateAll = function updateAll(model, where, data, options, cb) {
+    var store = this._getStore(options);
+    if (store !== this) return store.updateAll.apply(store, arguments);
     var self = this;
     var cache = this.collection(model);
     var filter = null;
@@ -755,7 +1298,57 @@ Memory.prototype.update =
     });
   };
 
+/**
+ * Write a batch of operations, see `DataAccessObject.bulkWrite()`. Each
+ * operation is `{insert: data}`, `{upsert: data}`, `{update: {where, data}}`
+ * or `{delete: {where}}`, and is reported as `{id}`, `{data, isNewInstance}`,
+ * `{count}` or `{error}` at the same index of the results. The batch stops at
+ * the first failing operation unless `options.ordered` is `false`.
+ * @param {String} model The model name
+ * @param {Object[]} operations The operations
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, results)
+ */
+Memory.prototype.bulkWrite = function bulkWrite(model, operations, options, cb) {
+  var store = this._getStore(options);
+  if (store !== this) return store.bulkWrite.apply(store, arguments);
+  var self = this;
+  var ordered = !options || options.ordered !== false;
+  var results = [];
+  async.eachOfSeries(operations, function(op, i, next) {
+    var done = function(err, result) {
+      if (err) {
+        results[i] = {error: err};
+        return next(ordered ? err : null);
+      }
+      results[i] = result;
+      next();
+    };
+    if (op.insert) {
+      self.create(model, op.insert, options, function(err, id) {
+        done(err, {id: id});
+      });
+    } else if (op.upsert) {
+      self.updateOrCreate(model, op.upsert, options, function(err, data, info) {
+        done(err, {data: data, isNewInstance: info && info.isNewInstance});
+      });
+    } else if (op.update) {
+      self.updateAll(model, op.update.where, op.update.data, options, function(err, info) {
+        done(err, {count: info && info.count});
+      });
+    } else {
+      self.destroyAll(model, op.delete.where, options, function(err, info) {
+        done(err, {count: info && info.count});
+      });
+    }
+  }, function() {
+    cb(null, results);
+  });
+};
+
 Memory.prototype.updateAttributes = function updateAttributes(model, id, data, options, cb) {
+  var store = this._getStore(options);
+  if (store !== this) return store.updateAttributes.apply(store, arguments);
   if (!id) {
     var err = new Error(g.f('You must provide an {{id}} when updating attributes!'));
     if (cb) {
@@ -781,6 +1374,8 @@ Memory.prototype.updateAttributes = function updateAttributes(model, id, data, o
 };
 
 Memory.prototype.replaceById = function(model, id, data, options, cb) {
+  var store = this._getStore(options);
+  if (store !== this) return store.replaceById.apply(store, arguments);
   var self = this;
   if (!id) {
     var err = new Error(g.f('You must provide an {{id}} when replacing!'));
@@ -806,12 +1401,15 @@ Memory.prototype.replaceById = function(model, id, data, options, cb) {
   }
 
   this.collection(model)[id] = serialize(newModelData);
+  this._touch(model, id);
   this.saveToFile(newModelData, function(err) {
     cb(err, self.fromDb(model, newModelData));
   });
 };
 
 Memory.prototype.replaceOrCreate = function(model, data, options, callback) {
+  var store = this._getStore(options);
+  if (store !== this) return store.replaceOrCreate.apply(store, arguments);
   var self = this;
   var idName = self.idNames(model)[0];
   var idValue = self.getIdValue(model, data);
@@ -833,6 +1431,7 @@ Memory.prototype.replaceOrCreate = function(model, data, options, callback) {
   }
   var id = self.getIdValue(model, data);
   self.collection(model)[id] = serialize(data);
+  self._touch(model, id);
   self.saveToFile(data, function(err) {
     callback(err, self.fromDb(model, data), {isNewInstance: false});
   });
@@ -847,6 +1446,76 @@ Memory.prototype.exec = function(callback) {
   setTimeout(callback, 50);
 };
 
+/**
+ * Begin a new transaction. The transaction works on a private snapshot of
+ * all collections taken at this point, so CRUD calls made with
+ * `{transaction: tx}` see their own writes while the rest of the store does
+ * not. All isolation levels are served by the snapshot.
+ *
+ * @param {String} isolationLevel The isolation level
+ * @param {Function} cb Callback function called with (err, connection)
+ */
+Memory.prototype.beginTransaction = function(isolationLevel, cb) {
+  var connection = Object.create(this);
+  connection.origin = this;
+  connection.isolationLevel = isolationLevel;
+  connection.baseline = cloneCollections(this.cache);
+  connection.cache = cloneCollections(this.cache);
+  // Like database sequences, id generation is not transactional
+  connection.ids = this.ids;
+  // Changes are only journaled and flushed when the transaction is committed
+  connection._touch = function() {};
+  connection.saveToFile = function(result, callback) {
+    process.nextTick(function() {
+      callback && callback(null, result);
+    });
+  };
+  process.nextTick(function() {
+    cb(null, connection);
+  });
+};
+
+/**
+ * Commit a transaction: apply the records created, updated or deleted
+ * within the transaction to the store.
+ *
+ * @param {Object} connection The transaction connection
+ * @param {Function} cb Callback function
+ */
+Memory.prototype.commit = function(connection, cb) {
+  var self = this;
+  Object.keys(connection.cache).forEach(function(name) {
+    var before = connection.baseline[name] || {};
+    var after = connection.cache[name];
+    var target = self.cache[name] = self.cache[name] || {};
+    Object.keys(after).forEach(function(id) {
+      if (after[id] === before[id]) return;
+      target[id] = after[id];
+      self._touch(name, id);
+    });
+    Object.keys(before).forEach(function(id) {
+      if (id in after) return;
+      delete target[id];
+      self._touch(name, id);
+    });
+  });
+  this.saveToFile(null, function(err) {
+    cb(err);
+  });
+};
+
+/**
+ * Roll back a transaction: discard its snapshot, leaving the store as it
+ * was when the transaction began.
+ *
+ * @param {Object} connection The transaction connection
+ * @param {Function} cb Callback function
+ */
+Memory.prototype.rollback = function(connection, cb) {
+  // The store itself is never touched before commit
+  process.nextTick(cb);
+};
+
 Memory.prototype.buildNearFilter = function(filter) {
   // noop
 };
@@ -885,6 +1554,113 @@ Memory.prototype.automigrate = function(models, cb) {
   if (cb) process.nextTick(cb);
 };
 
+function cloneCollections(cache) {
+  var copy = {};
+  Object.keys(cache).forEach(function(name) {
+    copy[name] = {};
+    for (var id in cache[name]) {
+      copy[name][id] = cache[name][id];
+    }
+  });
+  return copy;
+}
+
+/*!
+ * Check that a location is within the `maxDistance` and `minDistance` of the
+ * `near` point of a geo filter, measured in its `unit` (miles by default).
+ * @param {Object} example The geo filter
+ * @param {*} value The location
+ * @returns {Boolean}
+ */
+function isNear(example, value) {
+  if (value == null) return false;
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    // GeoPoint() coerces the properties of the object it is given
+    value = {lat: value.lat, lng: value.lng};
+  }
+  var distance;
+  try {
+    distance = geo.GeoPoint(value).distanceTo(example.near, {type: example.unit});
+  } catch (e) {
+    // Not a valid location
+    return false;
+  }
+  if (example.maxDistance > 0 && distance > example.maxDistance) return false;
+  if (example.minDistance > 0 && distance < example.minDistance) return false;
+  return true;
+}
+
+/*!
+ * Apply the changes of a journal entry to the collections.
+ * @param {Object} cache The collections
+ * @param {Array} changes The changes as `[collection, id, data]`, where
+ * `data` is `null` for deleted records, and `id` is `null` for emptied
+ * collections
+ */
+function applyChanges(cache, changes) {
+  changes.forEach(function(change) {
+    if (change[1] === null) {
+      cache[change[0]] = {};
+      return;
+    }
+    var collection = cache[change[0]] = cache[change[0]] || {};
+    if (change[2] === null) {
+      delete collection[change[1]];
+    } else {
+      collection[change[1]] = change[2];
+    }
+  });
+}
+
+/*!
+ * Merge back the records touched before a failed write of the journal, unless
+ * their collection was emptied since.
+ * @param {Memory} connector The connector
+ * @param {Object} touched The touched records, by collection
+ */
+function restoreTouched(connector, touched) {
+  var current = connector._touched = connector._touched || {};
+  Object.keys(touched).forEach(function(name) {
+    var entry = current[name];
+    if (!entry) {
+      current[name] = touched[name];
+    } else if (!entry.cleared) {
+      entry.cleared = touched[name].cleared;
+      util._extend(entry.ids, touched[name].ids);
+    }
+  });
+}
+
+/*!
+ * The lock files taken by the data sources of the process, released by a
+ * single `exit` listener
+ */
+var lockFiles = {};
+var releasingLocksOnExit = false;
+
+function releaseLock(lockFile) {
+  delete lockFiles[lockFile];
+  try {
+    fs.unlinkSync(lockFile);
+  } catch (e) {
+    // The lock is gone already
+  }
+}
+
+function releaseLocks() {
+  Object.keys(lockFiles).forEach(releaseLock);
+}
+
+function isRunning(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
 function merge(base, update) {
   if (!base) {
     return update;
@@ -18,12 +18,15 @@ module.exports = DataAccessObject;
 var g = require('strong-globalize')();
 var async = require('async');
 var jutil = require('./jutil');
-var ValidationError = require('./validations').ValidationError;
+var validations = require('./validations');
+var ValidationError = validations.ValidationError;
+var VersionConflictError = require('./errors').VersionConflictError;
 var Relation = require('./relations.js');
 var Inclusion = require('./include.js');
 var List = require('./list.js');
 var geo = require('./geo');
 var Memory = require('./connectors/memory').Memory;
+var aggregate = require('./connectors/memory').aggregate;
 var utils = require('./utils');
 var fieldsToArray = utils.fieldsToArray;
 var removeUndefined = utils.removeUndefined;
@@ -32,6 +35,9 @@ var idEquals = utils.idEquals;
 var mergeQuery = utils.mergeQuery;
 var util = require('util');
 var assert = require('assert');
+var Readable = require('stream').Readable;
+var cachedAll = require('./query-cache').cachedAll;
+var Loader = require('./loader');
 var BaseModel = require('./model');
 var debug = require('debug')('loopback:dao');
 
@@ -124,6 +130,7 @@ function isWhereByGivenId(Model, where, idValue) {
 }
 
 DataAccessObject._forDB = function(data) {
+  data = removeComputed(this, data);
   if (!(this.getDataSource().isRelational && this.getDataSource().isRelational())) {
     return data;
   }
@@ -139,6 +146,106 @@ DataAccessObject._forDB = function(data) {
   return res;
 };
 
+/*!
+ * Remove the computed properties, which are never persisted, from the data
+ * to be written.
+ * @param {Function} Model The model class
+ * @param {Object} data The data
+ * @returns {Object} The data, or a copy without the computed properties
+ */
+function removeComputed(Model, data) {
+  var props = Model.definition.properties;
+  var result = data;
+  for (var p in data) {
+    if (props[p] && props[p].computed) {
+      if (result === data) result = util._extend({}, data);
+      delete result[p];
+    }
+  }
+  return result;
+}
+
+/*!
+ * Clear the flag of the `softDelete` setting in the data upserted by id, so
+ * that a record marked as deleted is restored rather than updated while
+ * hidden from queries.
+ * @param {Function} Model The model class
+ * @param {Object} data The data
+ * @returns {Object} The data
+ */
+function restoreSoftDeleted(Model, data) {
+  var softDelete = Model.definition.settings.softDelete;
+  if (softDelete && data[softDelete.property] === undefined) {
+    data[softDelete.property] = null;
+  }
+  return data;
+}
+
+/*!
+ * Remove the computed properties, which are not stored, from the fields
+ * selected by a query. When a computed property is selected, all the stored
+ * properties are fetched, as it may be computed from any of them.
+ * @param {Function} Model The model class
+ * @param {Object} query The query
+ * @returns {Object} The query, or a copy with the stored fields only
+ */
+function withoutComputedFields(Model, query) {
+  if (!Array.isArray(query.fields)) return query;
+  var props = Model.definition.properties;
+  var fields = query.fields.filter(function(p) {
+    return !(props[p] && props[p].computed);
+  });
+  if (fields.length === query.fields.length) return query;
+  var result = util._extend({}, query);
+  result.fields = Object.keys(props).filter(function(p) {
+    return !props[p].computed;
+  });
+  return result;
+}
+
+/*!
+ * Resolve the computed properties selected by the fields of a query from
+ * the data of a record, then leave out the stored properties fetched only
+ * to compute them.
+ * @param {Function} Model The model class
+ * @param {Object} data The data of the record
+ * @param {String[]} fields The fields selected by the query
+ * @returns {Object} The data, or a copy with the selected properties only
+ */
+function selectComputedFields(Model, data, fields) {
+  if (!Array.isArray(fields)) return data;
+  var props = Model.definition.properties;
+  var computed = fields.filter(function(p) {
+    return props[p] && props[p].computed;
+  });
+  if (!computed.length) return data;
+  var inst = new Model(data, {applySetters: false, persisted: true});
+  var result = {};
+  Object.keys(data).forEach(function(p) {
+    if (!props[p] || fields.indexOf(p) !== -1) result[p] = data[p];
+  });
+  computed.forEach(function(p) {
+    result[p] = inst[p];
+  });
+  return result;
+}
+
+/*!
+ * Reject the computed properties, which are not stored, in a where clause
+ * or an order.
+ * @param {Function} Model The model class
+ * @param {String} name The property name
+ */
+function checkNotComputed(Model, name) {
+  var prop = Model.definition.properties[name];
+  if (prop && prop.computed) {
+    var err = new Error(g.f('The computed property %s cannot be used to ' +
+      'filter or sort', name));
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
 DataAccessObject.defaultScope = function(target, inst) {
   var scope = this.definition.settings.scope;
   if (typeof scope === 'function') {
@@ -154,6 +261,23 @@ DataAccessObject.applyScope = function(query, inst) {
   }
 };
 
+/*!
+ * Exclude the instances marked as deleted from the query when the model is
+ * configured with the `softDelete` setting, unless `options.withDeleted`
+ * is set.
+ * @param {Object} query The query with the where condition to restrict
+ * @param {Object} [options] Options
+ */
+DataAccessObject._excludeSoftDeleted = function(query, options) {
+  var softDelete = this.definition.settings.softDelete;
+  if (!softDelete || (options && options.withDeleted)) {
+    return;
+  }
+  var notDeleted = {};
+  notDeleted[softDelete.property] = null;
+  query.where = whereIsEmpty(query.where) ? notDeleted : {and: [query.where, notDeleted]};
+};
+
 DataAccessObject.applyProperties = function(data, inst) {
   var properties = this.definition.settings.properties;
   properties = properties || this.definition.settings.attributes;
@@ -250,8 +374,21 @@ DataAccessObject.create = function(data, options, cb) {
         data[i] = {};
       }
     }
-    async.map(data, function(item, done) {
-      self.create(item, options, function(err, result) {
+    var validate = options.validate !== undefined ? options.validate :
+      Model.settings.automaticValidation !== false;
+    if (!validate) return createAll();
+    // Check the uniqueness of all items with one query per validation
+    validations.checkUniquenessBatch(Model, data, options, function(err, itemOptions) {
+      if (err) return cb(err);
+      createAll(itemOptions);
+    });
+    return;
+  }
+
+  function createAll(itemOptions) {
+    async.times(data.length, function(i, done) {
+      var item = data[i];
+      self.create(item, itemOptions ? itemOptions[i] : options, function(err, result) {
         // Collect all errors and results
         done(null, {err: err, result: result || item});
       });
@@ -273,7 +410,6 @@ DataAccessObject.create = function(data, options, cb) {
       }
       cb(errors, data);
     });
-    return;
   }
 
   var enforced = {};
@@ -330,6 +466,10 @@ DataAccessObject.create = function(data, options, cb) {
       obj.trigger('save', function(saveDone) {
         var _idName = idName(Model);
         var modelName = Model.modelName;
+        var versionProp = Model.definition.settings.version;
+        if (versionProp) {
+          obj[versionProp] = 1;
+        }
         var val = removeUndefined(obj.toObject(true));
         function createCallback(err, id, rev) {
           if (id) {
@@ -340,7 +480,7 @@ DataAccessObject.create = function(data, options, cb) {
             obj._rev = rev;
           }
           if (err) {
-            return cb(err, obj);
+            return cb(duplicateKeyError(Model, connector, err, obj, options), obj);
           }
           obj.__persisted = true;
 
@@ -361,6 +501,7 @@ DataAccessObject.create = function(data, options, cb) {
             if (Model.settings.updateOnLoad) {
               obj.setAttributes(context.data);
             }
+            obj._snapshot();
             saveDone.call(obj, function() {
               createDone.call(obj, function() {
                 if (err) {
@@ -494,7 +635,8 @@ DataAccessObject.upsert = function(data, options, cb) {
     if (err) return cb(err);
 
     var isOriginalQuery = isWhereByGivenId(Model, ctx.query.where, id);
-    if (connector.updateOrCreate && isOriginalQuery) {
+    var isVersioned = !!Model.definition.settings.version;
+    if (connector.updateOrCreate && isOriginalQuery && !isVersioned) {
       var context = {
         Model: Model,
         where: ctx.query.where,
@@ -550,7 +692,7 @@ DataAccessObject.upsert = function(data, options, cb) {
         }
 
         function callConnector() {
-          update = removeUndefined(update);
+          update = restoreSoftDeleted(Model, removeComputed(Model, removeUndefined(update)));
           context = {
             Model: Model,
             where: ctx.where,
@@ -606,7 +748,8 @@ DataAccessObject.upsert = function(data, options, cb) {
         }
       });
     } else {
-      var opts = {notify: false};
+      // Find the records marked as deleted too, so that they are restored
+      var opts = {notify: false, withDeleted: true};
       if (ctx.options && ctx.options.transaction) {
         opts.transaction = ctx.options.transaction;
       }
@@ -620,7 +763,11 @@ DataAccessObject.upsert = function(data, options, cb) {
           delete data[idName(Model)];
         }
         if (inst) {
-          inst.updateAttributes(data, options, cb);
+          if (isVersioned && data[Model.definition.settings.version] === undefined) {
+            // Updating an existing record requires its current version
+            return cb(new VersionConflictError(Model.modelName, id, undefined));
+          }
+          inst.updateAttributes(restoreSoftDeleted(Model, data), options, cb);
         } else {
           Model = self.lookupModel(data);
           var obj = new Model(data);
@@ -686,7 +833,7 @@ DataAccessObject.upsertWithWhere = function(where, data, options, cb) {
   function doUpsertWithWhere(err, ctx) {
     if (err) return cb(err);
     ctx.data = data;
-    if (connector.upsertWithWhere) {
+    if (connector.upsertWithWhere && !Model.definition.settings.version) {
       var context = {
         Model: Model,
         where: ctx.query.where,
@@ -721,7 +868,7 @@ DataAccessObject.upsertWithWhere = function(where, data, options, cb) {
           try {
             ctx.where = removeUndefined(ctx.where);
             ctx.where = Model._coerce(ctx.where);
-            update = removeUndefined(update);
+            update = removeComputed(Model, removeUndefined(update));
             update = Model._coerce(update);
           } catch (err) {
             return process.nextTick(function() {
@@ -861,7 +1008,7 @@ DataAccessObject.replaceOrCreate = function replaceOrCreate(data, options, cb) {
 
     var isOriginalQuery = isWhereByGivenId(Model, ctx.query.where, id);
     var where = ctx.query.where;
-    if (connector.replaceOrCreate && isOriginalQuery) {
+    if (connector.replaceOrCreate && isOriginalQuery && !Model.definition.settings.version) {
       var context = {
         Model: Model,
         instance: inst,
@@ -899,7 +1046,7 @@ DataAccessObject.replaceOrCreate = function replaceOrCreate(data, options, cb) {
           }, update, options);
 
           function callConnector() {
-            update = removeUndefined(update);
+            update = restoreSoftDeleted(Model, removeComputed(Model, removeUndefined(update)));
             context = {
               Model: Model,
               where: where,
@@ -952,7 +1099,8 @@ DataAccessObject.replaceOrCreate = function replaceOrCreate(data, options, cb) {
         }
       });
     } else {
-      var opts = {notify: false};
+      // Find the records marked as deleted too, so that they are restored
+      var opts = {notify: false, withDeleted: true};
       if (ctx.options && ctx.options.transaction) {
         opts.transaction = ctx.options.transaction;
       }
@@ -1079,6 +1227,10 @@ DataAccessObject.findOrCreate = function findOrCreate(query, data, options, cb)
       });
     }
 
+    var versionProp = Model.definition.settings.version;
+    if (versionProp) {
+      data[versionProp] = 1;
+    }
     data = removeUndefined(data);
     var context = {
       Model: Model,
@@ -1114,6 +1266,7 @@ DataAccessObject.findOrCreate = function findOrCreate(query, data, options, cb)
     }
 
     this.applyScope(query);
+    this._excludeSoftDeleted(query, options);
 
     var context = {
       Model: Model,
@@ -1242,7 +1395,8 @@ DataAccessObject.exists = function exists(id, options, cb) {
  * @param {Object} [filter] The filter that contains `include` or `fields`.
  * Other settings such as `where`, `order`, `limit`, or `offset` will be
  * ignored.
- * @param {Object} [options] Options
+ * @param {Object} [options] Options, with a `Loader` as `loader` to batch the
+ * lookups made in the same tick
  * @param {Function} cb Callback called with (err, instance)
  */
 DataAccessObject.findById = function findById(id, filter, options, cb) {
@@ -1286,6 +1440,8 @@ DataAccessObject.findById = function findById(id, filter, options, cb) {
     process.nextTick(function() {
       cb(new Error(g.f('{{Model::findById}} requires the {{id}} argument')));
     });
+  } else if (options.loader && Loader.isBatchable(filter)) {
+    options.loader.load(this, id, filter, options, cb);
   } else {
     var query = byIdQuery(this, id);
     if (filter.include) {
@@ -1303,7 +1459,8 @@ DataAccessObject.findById = function findById(id, filter, options, cb) {
  * Find model instances by ids
  * @param {Array} ids An array of ids
  * @param {Object} query Query filter
- * @param {Object} [options] Options
+ * @param {Object} [options] Options, with a `Loader` as `loader` to batch the
+ * lookups made in the same tick
  * @param {Function} cb Callback called with (err, instance)
  */
 DataAccessObject.findByIds = function(ids, query, options, cb) {
@@ -1335,6 +1492,9 @@ DataAccessObject.findByIds = function(ids, query, options, cb) {
   } else if (ids.length === 0) {
     process.nextTick(function() { cb(null, []); });
     return cb.promise;
+  } else if (options.loader && Loader.isBatchable(query)) {
+    options.loader.loadMany(this, ids, query, options, cb);
+    return cb.promise;
   }
 
   var filter = {where: {}};
@@ -1476,6 +1636,9 @@ DataAccessObject._normalize = function(filter) {
         throw err;
       }
     }
+    for (i = 0; i < fields.length; i++) {
+      checkNotComputed(this, fields[i].split(' ')[0]);
+    }
     if (fields.length === 1 && typeof filter.order === 'string') {
       filter.order = fields[0];
     } else {
@@ -1483,12 +1646,20 @@ DataAccessObject._normalize = function(filter) {
     }
   }
 
+  if (filter.after || filter.before) {
+    applyKeysetCursor(this, filter);
+  }
+
   // normalize fields as array of included property names
   if (filter.fields) {
     filter.fields = fieldsToArray(filter.fields,
       Object.keys(this.definition.properties), this.settings.strict);
   }
 
+  if (filter.fields && wantsKeysetCursors(filter)) {
+    checkKeysetFields(this, filter);
+  }
+
   var handleUndefined =  this._getSetting('normalizeUndefinedInQuery');
   // alter configuration of how removeUndefined handles undefined values
   filter = removeUndefined(filter, handleUndefined);
@@ -1496,6 +1667,176 @@ DataAccessObject._normalize = function(filter) {
   return filter;
 };
 
+/*!
+ * Normalize the order used for keyset pagination so that it always ends with
+ * the id properties, which makes the order total.
+ * @param {Function} Model The model class
+ * @param {String|String[]} order The normalized order
+ * @returns {String[]} The order as a list of `'key DIR'`
+ */
+function keysetOrder(Model, order) {
+  order = (order ? [].concat(order) : []).map(function(token) {
+    var parts = token.split(/\s+/);
+    return parts[0] + ' ' + (parts[1] || 'ASC');
+  });
+  var keys = order.map(function(token) {
+    return token.split(' ')[0];
+  });
+  Model.definition.idNames().forEach(function(idName) {
+    if (keys.indexOf(idName) === -1) {
+      order.push(idName + ' ASC');
+    }
+  });
+  return order;
+}
+
+/*!
+ * Check if the results of the query carry keyset cursors
+ * @param {Object} filter The filter
+ * @returns {Boolean}
+ */
+function wantsKeysetCursors(filter) {
+  return !!(filter.withCursors || filter.after || filter.before);
+}
+
+/*!
+ * Reject the `fields` leaving out an order key, which cursors need
+ * @param {Function} Model The model class
+ * @param {Object} filter The filter with normalized `order` and `fields`
+ */
+function checkKeysetFields(Model, filter) {
+  keysetOrder(Model, filter.order).forEach(function(token) {
+    var key = token.split(' ')[0].split('.')[0];
+    if (filter.fields.indexOf(key) === -1) {
+      var err = new Error(g.f('The {{fields}} must include the order key %s ' +
+        'to build keyset cursors', key));
+      err.statusCode = 400;
+      throw err;
+    }
+  });
+}
+
+/*!
+ * Build the opaque cursor pointing at the given record
+ * @param {String[]} order The keyset order
+ * @param {Object} data The record or model instance
+ * @returns {String} The cursor token
+ */
+function encodeCursor(order, data) {
+  var values = order.map(function(token) {
+    var value = data;
+    token.split(' ')[0].split('.').forEach(function(key) {
+      value = value == null ? undefined : value[key];
+    });
+    return value;
+  });
+  var json = JSON.stringify({o: order, v: values});
+  return Buffer.from(json).toString('base64');
+}
+
+/*!
+ * Decode a cursor built by `encodeCursor()`
+ * @param {String} name The name of the cursor, `after` or `before`
+ * @param {String} token The cursor token
+ * @returns {Object} The cursor `{o: order, v: values}`
+ * @throws {Error} A 400 error if the token is not valid
+ */
+function decodeCursor(name, token) {
+  var cursor;
+  if (typeof token === 'string') {
+    try {
+      cursor = JSON.parse(Buffer.from(token, 'base64').toString());
+    } catch (e) {
+      cursor = null;
+    }
+  }
+  var valid = cursor && Array.isArray(cursor.o) && Array.isArray(cursor.v) &&
+    cursor.o.length === cursor.v.length;
+  if (!valid) {
+    var err = new Error(g.f('The {{%s}} cursor %j is not valid', name, token));
+    err.statusCode = 400;
+    throw err;
+  }
+  return cursor;
+}
+
+/*!
+ * Turn the `after`/`before` cursor of the filter into a `where` condition on
+ * the order keys. For `before`, the order is reversed so that the records
+ * closest to the cursor are found first, `find()` restores the order.
+ * @param {Function} Model The model class
+ * @param {Object} filter The filter being normalized
+ */
+function applyKeysetCursor(Model, filter) {
+  var err;
+  var name = filter.after ? 'after' : 'before';
+  if (filter.after && filter.before) {
+    err = new Error(g.f('The {{after}} and {{before}} cursors cannot be used together'));
+    err.statusCode = 400;
+    throw err;
+  }
+  if (filter.skip || filter.offset) {
+    err = new Error(g.f('The {{%s}} cursor cannot be used with {{offset/skip}}', name));
+    err.statusCode = 400;
+    throw err;
+  }
+
+  var order = keysetOrder(Model, filter.order);
+  var cursor = decodeCursor(name, filter[name]);
+  if (cursor.o.join(',') !== order.join(',')) {
+    err = new Error(g.f('The {{%s}} cursor does not match the {{order}} %j', name, order));
+    err.statusCode = 400;
+    throw err;
+  }
+
+  var reverse = name === 'before';
+  var or = order.map(function(token, i) {
+    var parts = token.split(' ');
+    var op = (parts[1] === 'DESC') !== reverse ? 'lt' : 'gt';
+    var and = [];
+    for (var j = 0; j < i; j++) {
+      var eq = {};
+      eq[order[j].split(' ')[0]] = cursor.v[j];
+      and.push(eq);
+    }
+    var cond = {};
+    cond[parts[0]] = {};
+    cond[parts[0]][op] = cursor.v[i];
+    and.push(cond);
+    return and.length === 1 ? and[0] : {and: and};
+  });
+  var where = or.length === 1 ? or[0] : {or: or};
+  filter.where = filter.where ? {and: [filter.where, where]} : where;
+
+  filter.order = reverse ? reverseOrder(order) : order;
+}
+
+function reverseOrder(order) {
+  return order.map(function(token) {
+    var parts = token.split(' ');
+    return parts[0] + ' ' + (parts[1] === 'DESC' ? 'ASC' : 'DESC');
+  });
+}
+
+/*!
+ * Restore the order of results found `before` a cursor and expose the
+ * cursors pointing at the first and the last result as `prevCursor` and
+ * `nextCursor` of the results.
+ * @param {Function} Model The model class
+ * @param {Object} query The normalized query
+ * @param {Array} results The results
+ */
+function setKeysetCursors(Model, query, results) {
+  var order = keysetOrder(Model, query.order);
+  if (query.before) {
+    results.reverse();
+    order = reverseOrder(order);
+  }
+  if (!results.length) return;
+  results.prevCursor = encodeCursor(order, results[0]);
+  results.nextCursor = encodeCursor(order, results[results.length - 1]);
+}
+
 function DateType(arg) {
   var d = new Date(arg);
   if (isNaN(d.getTime())) {
@@ -1562,6 +1903,7 @@ DataAccessObject._coerce = function(where) {
 
       continue;
     }
+    checkNotComputed(self, p);
     var DataType = props[p] && props[p].type;
     if (!DataType) {
       continue;
@@ -1690,6 +2032,282 @@ DataAccessObject._coerce = function(where) {
   return where;
 };
 
+/**
+ * Find all instances of Model that match the specified query, as a readable
+ * stream of model instances. Unlike `find()`, the records are fetched from
+ * the connector in batches, so that large result sets are never buffered
+ * in memory. The `loaded` observers and the `include` filter are applied per
+ * batch.
+ *
+ * The stream is in object mode; on Node.js 10 and later it can also be
+ * consumed with `for await (const inst of Model.findStream(filter))`.
+ *
+ * A connector can serve the batches natively by implementing
+ * `cursor(model, filter, options)`, returning an object whose method
+ * `next(count, cb)` calls back with up to `count` records and with an empty
+ * array once the result set is exhausted. For other connectors, the batches
+ * are fetched with `all()` using `skip`/`limit`.
+ *
+ * @param {Object} [query] Optional JSON object that specifies query criteria
+ * and parameters, see `find()`
+ * @options {Object} [options] Options
+ * @property {Number} batchSize The number of records per batch, defaults
+ * to 100
+ * @returns {stream.Readable} The stream of model instances
+ */
+DataAccessObject.findStream = function findStream(query, options) {
+  query = query || {};
+  options = options || {};
+
+  assert(typeof query === 'object', 'The query argument must be an object');
+  assert(typeof options === 'object', 'The options argument must be an object');
+
+  var self = this;
+  var batchSize = options.batchSize || 100;
+  var hookState = {};
+  var cursor = null;
+  var reading = false;
+
+  assert(typeof batchSize === 'number' && batchSize > 0,
+    'The batchSize option must be a positive number');
+
+  var stream = new Readable({objectMode: true});
+  stream._read = function() {
+    if (reading) return;
+    reading = true;
+    if (cursor) {
+      return readBatch();
+    }
+    self._openCursor(query, options, hookState, function(err, result, ctxQuery) {
+      if (err) return fail(err);
+      cursor = result;
+      query = ctxQuery;
+      readBatch();
+    });
+  };
+  return stream;
+
+  function fail(err) {
+    reading = false;
+    stream.emit('error', err);
+  }
+
+  function readBatch() {
+    cursor.next(batchSize, function(err, data) {
+      if (err) return fail(err);
+      if (!data || !data.length) {
+        reading = false;
+        return stream.push(null);
+      }
+      if (query.include) {
+        self.include(data, query.include, options, function(err, data) {
+          if (err) return fail(err);
+          pushBatch(data);
+        });
+      } else {
+        pushBatch(data);
+      }
+    });
+  }
+
+  function pushBatch(data) {
+    buildFindResults(self, data, query, options, hookState, function(err, results) {
+      if (err) return fail(err);
+      reading = false;
+      var more = true;
+      results.forEach(function(obj) {
+        more = stream.push(obj);
+      });
+      // Keep fetching when a whole batch was dropped (e.g. by `collect`)
+      if (more && !results.length) stream._read();
+    });
+  }
+};
+
+/*!
+ * Normalize the query, notify `access` observers and open a cursor over the
+ * matching records for `findStream()`.
+ * @param {Object} query The query
+ * @param {Object} options The options object
+ * @param {Object} hookState The hook state shared by the observers
+ * @param {Function} cb Callback, called with (err, cursor, query)
+ */
+DataAccessObject._openCursor = function(query, options, hookState, cb) {
+  var connectionPromise = stillConnecting(this.getDataSource(), this, arguments);
+  if (connectionPromise) {
+    return connectionPromise;
+  }
+
+  var self = this;
+  var connector = this.getConnector();
+
+  try {
+    this._normalize(query);
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  this.applyScope(query);
+  this._excludeSoftDeleted(query, options);
+
+  if (options.notify === false) {
+    return process.nextTick(function() {
+      cb(null, createCursor(query), query);
+    });
+  }
+  var context = {
+    Model: this,
+    query: query,
+    hookState: hookState,
+    options: options,
+  };
+  this.notifyObserversOf('access', context, function(err, ctx) {
+    if (err) return cb(err);
+    cb(null, createCursor(ctx.query), ctx.query);
+  });
+
+  function createCursor(query) {
+    var filter = utils.mergeSettings({}, query);
+    delete filter.include;
+    if (typeof connector.cursor === 'function') {
+      return connector.cursor(self.modelName, filter, options);
+    }
+    return new PagingCursor(self, filter, options);
+  }
+};
+
+/*!
+ * A cursor fetching the records page by page with `connector.all()`, used
+ * by `findStream()` when the connector does not implement `cursor()`.
+ * @param {Function} Model The model class
+ * @param {Object} filter The normalized filter
+ * @param {Object} options The options object
+ */
+function PagingCursor(Model, filter, options) {
+  this.Model = Model;
+  this.filter = filter;
+  this.options = options;
+  this.offset = filter.skip || 0;
+  this.remaining = filter.limit || Infinity;
+  if (!filter.order) {
+    // A stable order is required for paging
+    filter.order = Model.definition.idNames();
+  }
+}
+
+PagingCursor.prototype.next = function(count, cb) {
+  var self = this;
+  var connector = this.Model.getConnector();
+  count = Math.min(count, this.remaining);
+  if (count <= 0) {
+    return process.nextTick(function() {
+      cb(null, []);
+    });
+  }
+  var filter = utils.mergeSettings({}, this.filter);
+  filter.skip = filter.offset = this.offset;
+  filter.limit = count;
+  var done = function(err, data) {
+    if (err) return cb(err);
+    data = data || [];
+    self.offset += data.length;
+    self.remaining = data.length < count ? 0 : self.remaining - data.length;
+    cb(null, data);
+  };
+  connector.all.length === 4 ?
+    connector.all(this.Model.modelName, filter, this.options, done) :
+    connector.all(this.Model.modelName, filter, done);
+};
+
+/*!
+ * Build model instances from the records returned by the connector, running
+ * the `loaded` observers unless `options.notify` is false.
+ * @param {Function} self The model class
+ * @param {Object[]} data The records
+ * @param {Object} query The query used to find the records
+ * @param {Object} options The options object
+ * @param {Object} hookState The hook state shared by the observers
+ * @param {Function} cb Callback, called with (err, instances)
+ */
+function buildFindResults(self, data, query, options, hookState, cb) {
+  async.map(data, function(item, next) {
+    var Model = self.lookupModel(item);
+    if (options.notify === false) {
+      buildResult(item, next);
+    } else {
+      withNotify(item, next);
+    }
+
+    function buildResult(data, callback) {
+      var ctorOpts = {
+        fields: query.fields,
+        applySetters: false,
+        persisted: true,
+      };
+      var obj = new Model(selectComputedFields(Model, data, query.fields), ctorOpts);
+
+      if (query && query.include) {
+        if (query.collect) {
+          // The collect property indicates that the query is to return the
+          // standalone items for a related model, not as child of the parent object
+          // For example, article.tags
+          obj = obj.__cachedRelations[query.collect];
+          if (obj === null) {
+            obj = undefined;
+          }
+        } else {
+          // This handles the case to return parent items including the related
+          // models. For example, Article.find({include: 'tags'}, ...);
+          // Try to normalize the include
+          var includes = Inclusion.normalizeInclude(query.include || []);
+          includes.forEach(function(inc) {
+            var relationName = inc;
+            if (utils.isPlainObject(inc)) {
+              relationName = Object.keys(inc)[0];
+            }
+
+            // Promote the included model as a direct property
+            var included = obj.__cachedRelations[relationName];
+            if (Array.isArray(included)) {
+              included = new List(included, null, obj);
+            }
+            if (included) obj.__data[relationName] = included;
+          });
+          delete obj.__data.__cachedRelations;
+        }
+      }
+
+      callback(null, obj);
+    }
+
+    function withNotify(data, callback) {
+      var context = {
+        Model: Model,
+        data: data,
+        isNewInstance: false,
+        hookState: hookState,
+        options: options,
+      };
+
+      Model.notifyObserversOf('loaded', context, function(err) {
+        if (err) return callback(err);
+        buildResult(context.data, callback);
+      });
+    }
+  },
+  function(err, results) {
+    if (err) return cb(err);
+
+    // When applying query.collect, some root items may not have
+    // any related/linked item. We store `undefined` in the results
+    // array in such case, which is not desirable from API consumer's
+    // point of view.
+    results = results.filter(isDefined);
+    cb(null, results);
+  });
+}
+
 /**
  * Find all instances of Model that match the specified query.
  * Fields used for filter and sort should be declared with `{index: true}` in model definition.
@@ -1740,6 +2358,14 @@ DataAccessObject._coerce = function(where) {
  * @property {Number} limit Maximum number of instances to return.
  * @property {Number} skip Number of instances to skip.
  * @property {Number} offset Alias for `skip`.
+ * @property {Boolean} withCursors Keyset pagination: when `withCursors`,
+ * `after` or `before` is set, the results carry the cursors `prevCursor` and
+ * `nextCursor` pointing at their first and last instance. The order keys must
+ * not be null, and must be included by `fields`.
+ * @property {String} after Keyset pagination: only return instances after the
+ * cursor, in `order`.
+ * @property {String} before Keyset pagination: only return instances before
+ * the cursor, in `order`.
  * @property {Object|Array|String} fields Included/excluded fields.
  * - `['foo']` or `'foo'` - include only the foo property
  *  - `['foo', 'bar']` - include the foo and bar properties.  Format:
@@ -1795,6 +2421,7 @@ DataAccessObject.find = function find(query, options, cb) {
   }
 
   this.applyScope(query);
+  this._excludeSoftDeleted(query, options);
 
   var near = query && geo.nearFilter(query.where);
   var supportsGeo = !!connector.buildNearFilter;
@@ -1889,86 +2516,18 @@ DataAccessObject.find = function find(query, options, cb) {
 
   var allCb = function(err, data) {
     if (!err && Array.isArray(data)) {
-      async.map(data, function(item, next) {
-        var Model = self.lookupModel(item);
-        if (options.notify === false) {
-          buildResult(item, next);
-        } else {
-          withNotify(item, next);
-        }
-
-        function buildResult(data, callback) {
-          var ctorOpts = {
-            fields: query.fields,
-            applySetters: false,
-            persisted: true,
-          };
-          var obj = new Model(data, ctorOpts);
-
-          if (query && query.include) {
-            if (query.collect) {
-              // The collect property indicates that the query is to return the
-              // standalone items for a related model, not as child of the parent object
-              // For example, article.tags
-              obj = obj.__cachedRelations[query.collect];
-              if (obj === null) {
-                obj = undefined;
-              }
-            } else {
-              // This handles the case to return parent items including the related
-              // models. For example, Article.find({include: 'tags'}, ...);
-              // Try to normalize the include
-              var includes = Inclusion.normalizeInclude(query.include || []);
-              includes.forEach(function(inc) {
-                var relationName = inc;
-                if (utils.isPlainObject(inc)) {
-                  relationName = Object.keys(inc)[0];
-                }
-
-                // Promote the included model as a direct property
-                var included = obj.__cachedRelations[relationName];
-                if (Array.isArray(included)) {
-                  included = new List(included, null, obj);
-                }
-                if (included) obj.__data[relationName] = included;
-              });
-              delete obj.__data.__cachedRelations;
-            }
-          }
-
-          callback(null, obj);
-        }
-
-        function withNotify(data, callback) {
-          var context = {
-            Model: Model,
-            data: data,
-            isNewInstance: false,
-            hookState: hookState,
-            options: options,
-          };
-
-          Model.notifyObserversOf('loaded', context, function(err) {
-            if (err) return callback(err);
-            buildResult(context.data, callback);
-          });
-        }
-      },
-      function(err, results) {
+      buildFindResults(self, data, query, options, hookState, function(err, results) {
         if (err) return cb(err);
 
-        // When applying query.collect, some root items may not have
-        // any related/linked item. We store `undefined` in the results
-        // array in such case, which is not desirable from API consumer's
-        // point of view.
-        results = results.filter(isDefined);
-
         if (data && data.countBeforeLimit) {
           results.countBeforeLimit = data.countBeforeLimit;
         }
         if (!supportsGeo && near) {
           results = geo.filter(results, near);
         }
+        if (wantsKeysetCursors(query)) {
+          setKeysetCursors(self, query, results);
+        }
 
         cb(err, results);
       });
@@ -1977,12 +2536,17 @@ DataAccessObject.find = function find(query, options, cb) {
     }
   };
 
+  var queryAll = function(query) {
+    query = withoutComputedFields(self, query);
+    cachedAll(self, query, options, function(done) {
+      connector.all.length === 4 ?
+        connector.all(self.modelName, query, options, done) :
+        connector.all(self.modelName, query, done);
+    }, allCb);
+  };
+
   if (options.notify === false) {
-    if (connector.all.length === 4) {
-      connector.all(self.modelName, query, options, allCb);
-    } else {
-      connector.all(self.modelName, query, allCb);
-    }
+    queryAll(query);
   } else {
     var context =  {
       Model: this,
@@ -1992,10 +2556,7 @@ DataAccessObject.find = function find(query, options, cb) {
     };
     this.notifyObserversOf('access', context, function(err, ctx) {
       if (err) return cb(err);
-
-      connector.all.length === 4 ?
-        connector.all(self.modelName, ctx.query, options, allCb) :
-        connector.all(self.modelName, ctx.query, allCb);
+      queryAll(ctx.query);
     });
   }
   return cb.promise;
@@ -2096,18 +2657,14 @@ DataAccessObject.destroyAll = function destroyAll(where, options, cb) {
   assert(typeof cb === 'function', 'The cb argument must be a function');
 
   var hookState = {};
+  var softDelete = isSoftDelete(Model, options);
 
   var query = {where: where};
   this.applyScope(query);
+  // Hard deletes also purge the instances already marked as deleted
+  if (!options.hardDelete) this._excludeSoftDeleted(query, options);
   where = query.where;
 
-  var context = {
-    Model: Model,
-    where: whereIsEmpty(where) ? {} : where,
-    hookState: hookState,
-    options: options,
-  };
-
   if (options.notify === false) {
     doDelete(where);
   } else {
@@ -2126,6 +2683,7 @@ DataAccessObject.destroyAll = function destroyAll(where, options, cb) {
         hookState: hookState,
         options: options,
       };
+      if (softDelete) context.softDelete = true;
       Model.notifyObserversOf('before delete', context, function(err, ctx) {
         if (err) return cb(err);
         doDelete(ctx.where);
@@ -2134,6 +2692,18 @@ DataAccessObject.destroyAll = function destroyAll(where, options, cb) {
   }
 
   function doDelete(where) {
+    if (softDelete) {
+      try {
+        where = removeUndefined(where);
+        where = Model._coerce(where);
+      } catch (err) {
+        return process.nextTick(function() {
+          cb(err);
+        });
+      }
+      return softDeleteAll(Model, where, null, hookState, options, done);
+    }
+
     if (whereIsEmpty(where)) {
       if (connector.destroyAll.length === 4) {
         connector.destroyAll(Model.modelName, {}, options, done);
@@ -2171,6 +2741,7 @@ DataAccessObject.destroyAll = function destroyAll(where, options, cb) {
         hookState: hookState,
         options: options,
       };
+      if (softDelete) context.softDelete = true;
       Model.notifyObserversOf('after delete', context, function(err) {
         cb(err, info);
       });
@@ -2184,6 +2755,66 @@ function whereIsEmpty(where) {
      (typeof where === 'object' && Object.keys(where).length === 0);
 }
 
+/*!
+ * Check if deleting instances of the model only marks them as deleted
+ * @param {Function} Model The model class
+ * @param {Object} options The options of the delete operation
+ * @returns {Boolean}
+ */
+function isSoftDelete(Model, options) {
+  return !!Model.definition.settings.softDelete && !options.hardDelete;
+}
+
+/*!
+ * Mark the matching records as deleted by setting the soft delete property.
+ * The `persist` observers are notified with `softDelete: true` in the context.
+ * @param {Function} Model The model class
+ * @param {Object} where The coerced where condition
+ * @param {Object} inst The instance being deleted, if any
+ * @param {Object} hookState The hook state shared by the observers
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, info)
+ */
+function softDeleteAll(Model, where, inst, hookState, options, cb) {
+  var connector = Model.getConnector();
+  var property = Model.definition.settings.softDelete.property;
+  var data = {};
+  data[property] = new Date();
+
+  if (options.notify === false) {
+    return update(data);
+  }
+  var context = {
+    Model: Model,
+    where: where,
+    data: data,
+    currentInstance: inst,
+    isNewInstance: false,
+    softDelete: true,
+    hookState: hookState,
+    options: options,
+  };
+  Model.notifyObserversOf('persist', context, function(err, ctx) {
+    if (err) return cb(err);
+    update(ctx.data);
+  });
+
+  function update(data) {
+    var done = function(err, info) {
+      if (err) return cb(err);
+      if (inst && info && info.count > 0) {
+        inst.__data[property] = data[property];
+      }
+      cb(null, info);
+    };
+    if (connector.update.length === 5) {
+      connector.update(Model.modelName, where, data, options, done);
+    } else {
+      connector.update(Model.modelName, where, data, done);
+    }
+  }
+}
+
 /**
  * Delete the record with the specified ID.
  * Aliases are `destroyById` and `deleteById`.
@@ -2296,6 +2927,7 @@ DataAccessObject.count = function(where, options, cb) {
 
   var query = {where: where};
   this.applyScope(query);
+  this._excludeSoftDeleted(query, options);
   where = query.where;
 
   try {
@@ -2331,6 +2963,165 @@ DataAccessObject.count = function(where, options, cb) {
   return cb.promise;
 };
 
+/**
+ * Aggregate matched records, optionally grouped by one or more properties.
+ * Each aggregation is named by its key in `fields` and applies one of the
+ * functions `count`, `sum`, `avg`, `min` or `max` to a property. `count` also
+ * accepts `'*'` to count the records in the group.
+ *
+ * Example:
+ *
+ *```js
+ * Order.aggregate({
+ *   where: {status: 'paid'},
+ *   groupBy: 'customerId',
+ *   fields: {total: {sum: 'amount'}, orders: {count: '*'}},
+ *   order: 'total DESC',
+ * }, function(err, rows) {
+ *   console.log(rows); // [{customerId: 1, total: 420, orders: 3}, ...]
+ * });
+ * ```
+ *
+ * The query is pushed down to the connector if it implements
+ * `aggregate(model, filter, options, cb)`, otherwise the matching records are
+ * loaded and aggregated in memory.
+ *
+ * @options {Object} filter The aggregate filter
+ * @property {Object} [where] Search conditions
+ * @property {String|String[]} [groupBy] The properties to group by
+ * @property {Object} fields The aggregations keyed by the result name
+ * @property {String|String[]} [order] Order of the rows, by group properties
+ * or aggregation names
+ * @property {Number} [limit] Maximum number of rows to return
+ * @property {Number} [skip] Number of rows to skip
+ * @param {Object} [options] Options
+ * @param {Function} cb Callback, called with (err, rows)
+ */
+DataAccessObject.aggregate = function(filter, options, cb) {
+  var connectionPromise = stillConnecting(this.getDataSource(), this, arguments);
+  if (connectionPromise) {
+    return connectionPromise;
+  }
+
+  if (cb === undefined && typeof options === 'function') {
+    // aggregate(filter, cb)
+    cb = options;
+    options = {};
+  }
+
+  cb = cb || utils.createPromiseCallback();
+  filter = filter || {};
+  options = options || {};
+
+  assert(typeof filter === 'object', 'The filter argument must be an object');
+  assert(typeof options === 'object', 'The options argument must be an object');
+  assert(typeof cb === 'function', 'The cb argument must be a function');
+
+  var Model = this;
+  var connector = Model.getConnector();
+  var hookState = {};
+
+  var query;
+  try {
+    query = this._normalizeAggregate(filter);
+    this._excludeSoftDeleted(query, options);
+  } catch (err) {
+    process.nextTick(function() {
+      cb(err);
+    });
+    return cb.promise;
+  }
+
+  var context = {
+    Model: Model,
+    query: query,
+    hookState: hookState,
+    options: options,
+  };
+  this.notifyObserversOf('access', context, function(err, ctx) {
+    if (err) return cb(err);
+    query = ctx.query;
+
+    if (typeof connector.aggregate === 'function') {
+      connector.aggregate(Model.modelName, query, options, cb);
+    } else {
+      assert(typeof connector.all === 'function',
+        'all() must be implemented by the connector');
+      var allCb = function(err, data) {
+        if (err) return cb(err);
+        cb(null, aggregate(data || [], query));
+      };
+      connector.all.length === 4 ?
+        connector.all(Model.modelName, {where: query.where}, options, allCb) :
+        connector.all(Model.modelName, {where: query.where}, allCb);
+    }
+  });
+  return cb.promise;
+};
+
+/*
+ * Normalize the aggregate filter and throw errors if invalid values are
+ * detected. The default scope is applied to the `where` condition.
+ * @param {Object} filter The aggregate filter
+ * @returns {Object} The normalized filter
+ * @private
+ */
+DataAccessObject._normalizeAggregate = function(filter) {
+  var err;
+  var props = this.definition.properties;
+
+  function isProperty(name) {
+    return typeof name === 'string' && props[name.split('.')[0]] !== undefined;
+  }
+
+  var groupBy = filter.groupBy || [];
+  if (!Array.isArray(groupBy)) {
+    groupBy = [groupBy];
+  }
+  groupBy.forEach(function(name) {
+    if (!isProperty(name)) {
+      err = new Error(g.f('The {{groupBy}} property %j is not valid', name));
+      err.statusCode = 400;
+      throw err;
+    }
+  });
+
+  var fields = filter.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) ||
+      !Object.keys(fields).length) {
+    err = new Error(g.f('The aggregate {{fields}} %j is not valid', fields));
+    err.statusCode = 400;
+    throw err;
+  }
+  Object.keys(fields).forEach(function(name) {
+    var spec = fields[name];
+    var fn = spec && typeof spec === 'object' && Object.keys(spec);
+    var valid = fn && fn.length === 1 && aggregate.functions.indexOf(fn[0]) !== -1 &&
+      (isProperty(spec[fn[0]]) || (fn[0] === 'count' && spec[fn[0]] === '*'));
+    if (!valid) {
+      err = new Error(g.f('The aggregation %s %j is not valid', name, spec));
+      err.statusCode = 400;
+      throw err;
+    }
+  });
+
+  var query = {
+    where: filter.where,
+    order: filter.order,
+    limit: filter.limit,
+    skip: filter.skip,
+    offset: filter.offset,
+  };
+  query = this._normalize(query);
+
+  var scoped = {where: query.where || {}};
+  this.applyScope(scoped);
+  query.where = this._coerce(removeUndefined(scoped.where));
+  query.groupBy = groupBy;
+  query.fields = fields;
+  return query;
+};
+
 /**
  * Save instance. If the instance does not have an ID, call `create` instead.
  * Triggers: validate, save, update or create.
@@ -2384,6 +3175,7 @@ DataAccessObject.prototype.save = function(options, cb) {
   var context = {
     Model: Model,
     instance: inst,
+    changes: inst._changes(),
     hookState: hookState,
     options: options,
   };
@@ -2452,9 +3244,19 @@ DataAccessObject.prototype.save = function(options, cb) {
             });
           }
 
+          var expectedVersion = nextVersion(Model, data);
+          // Send only the changed properties of an instance loaded from
+          // or saved to the database
+          var changed = inst.changed();
+          if (expectedVersion !== undefined) {
+            changed.push(Model.definition.settings.version);
+          }
+          var partial = inst.__previous && changed.length > 0 &&
+            typeof connector.update === 'function';
+
           context = {
             Model: Model,
-            data: data,
+            data: partial ? pickChanges(Model, data, changed) : data,
             where: byIdQuery(Model, getIdValue(Model, inst)).where,
             currentInstance: inst,
             hookState: hookState,
@@ -2464,12 +3266,43 @@ DataAccessObject.prototype.save = function(options, cb) {
           Model.notifyObserversOf('persist', context, function(err) {
             if (err) return cb(err);
 
+            var id = getIdValue(Model, inst);
+            if (partial) {
+              util._extend(data, context.data);
+            }
+            if (expectedVersion !== undefined) {
+              updateVersioned(Model, id, expectedVersion,
+                inst.constructor._forDB(context.data), options, saveCallback);
+            } else if (partial) {
+              var updateCallback = function(err, info) {
+                if (err) return saveCallback(err);
+                if (info && info.count === 0) {
+                  // The record was deleted meanwhile, save all the data to
+                  // create it again
+                  return saveAll();
+                }
+                saveCallback(null, data, {isNewInstance: false});
+              };
+              var where = byIdQuery(Model, id).where;
+              if (connector.update.length === 5) {
+                connector.update(modelName, where,
+                  inst.constructor._forDB(context.data), options, updateCallback);
+              } else {
+                connector.update(modelName, where,
+                  inst.constructor._forDB(context.data), updateCallback);
+              }
+            } else {
+              saveAll();
+            }
+          });
+
+          function saveAll() {
             if (connector.save.length === 4) {
               connector.save(modelName, inst.constructor._forDB(data), options, saveCallback);
             } else {
               connector.save(modelName, inst.constructor._forDB(data), saveCallback);
             }
-          });
+          }
         }, data, cb);
       }, data, cb);
     }
@@ -2542,6 +3375,7 @@ DataAccessObject.updateAll = function(where, data, options, cb) {
 
   var query = {where: where};
   this.applyScope(query);
+  this._excludeSoftDeleted(query, options);
   this.applyProperties(data);
 
   where = query.where;
@@ -2572,7 +3406,7 @@ DataAccessObject.updateAll = function(where, data, options, cb) {
     try {
       where = removeUndefined(where);
       where = Model._coerce(where);
-      data = removeUndefined(data);
+      data = removeComputed(Model, removeUndefined(data));
       data = Model._coerce(data);
     } catch (err) {
       return process.nextTick(function() {
@@ -2605,7 +3439,9 @@ DataAccessObject.updateAll = function(where, data, options, cb) {
     Model.notifyObserversOf('persist', context, function(err, ctx) {
       if (err) return cb (err);
 
-      if (connector.update.length === 5) {
+      if (Model.definition.settings.version) {
+        updateAllVersioned(Model, where, data, options, updateCallback);
+      } else if (connector.update.length === 5) {
         connector.update(Model.modelName, where, data, options, updateCallback);
       } else {
         connector.update(Model.modelName, where, data, updateCallback);
@@ -2615,6 +3451,156 @@ DataAccessObject.updateAll = function(where, data, options, cb) {
   return cb.promise;
 };
 
+/**
+ * Run a batch of write operations and report the outcome of each of them.
+ *
+ * Each operation is an object with one of the following keys:
+ * - insert: The data of a model instance to create
+ * - update: `{where, data}` to update all matching instances
+ * - upsert: The data of a model instance to update or create
+ * - delete: `{where}` to delete all matching instances
+ *
+ * Every operation goes through the same operation hooks as the corresponding
+ * single-operation method, with a `bulk` property `{index, count}` in the
+ * context. The operations are prepared first and then written with a single
+ * call of the `bulkWrite()` method of the connector, or one call per
+ * operation for connectors without it.
+ *
+ * By default, the operations are ordered: the batch stops at the first
+ * failing operation and the following ones are reported as `skipped`. With
+ * `ordered: false` all operations are attempted.
+ *
+ * Each item of the result has the `operation` type, a `status` (`ok`,
+ * `error` or `skipped`), and depending on the operation the `id` and
+ * `instance`, the `isNewInstance` flag, the `count` of affected instances,
+ * or the `error`.
+ *
+ * @param {Object[]} operations The operations
+ * @options {Object} [options] Options
+ * @property {Boolean} ordered Stop at the first failing operation, defaults
+ * to `true`
+ * @callback {Function} cb Callback function called with (err, results)
+ * @returns {Promise} A promise when no callback is provided
+ */
+DataAccessObject.bulkWrite = function(operations, options, cb) {
+  var connectionPromise = stillConnecting(this.getDataSource(), this, arguments);
+  if (connectionPromise) {
+    return connectionPromise;
+  }
+
+  if (cb === undefined && typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  cb = cb || utils.createPromiseCallback();
+
+  assert(Array.isArray(operations), 'The operations argument must be an array');
+  assert(typeof options === 'object', 'The options argument must be an object');
+  assert(typeof cb === 'function', 'The cb argument must be a function');
+
+  var Model = this;
+  var connector = Model.getConnector();
+  var ordered = options.ordered !== false;
+  // Without a connector implementation, each operation is written before
+  // the hooks of the next one run
+  var native = typeof connector.bulkWrite === 'function';
+  var count = operations.length;
+  var results = operations.map(function(op) {
+    return {operation: bulkOperationType(op), status: 'skipped'};
+  });
+  var prepared = [];
+  var stopped = false;
+
+  var validate = options.validate !== undefined ? options.validate :
+    Model.settings.automaticValidation !== false;
+  var inserts = [];
+  operations.forEach(function(op, i) {
+    if (results[i].operation === 'insert') inserts.push(i);
+  });
+  if (!validate || !inserts.length) {
+    prepareAll();
+  } else {
+    // Check the uniqueness of the inserted items together, so that
+    // duplicates within the batch are reported as well
+    var data = inserts.map(function(i) { return operations[i].insert || {}; });
+    validations.checkUniquenessBatch(Model, data, options, function(err, itemOptions) {
+      if (err) return cb(err);
+      var opOptions = {};
+      if (itemOptions) {
+        inserts.forEach(function(index, i) {
+          opOptions[index] = itemOptions[i];
+        });
+      }
+      prepareAll(opOptions);
+    });
+  }
+
+  function prepareAll(opOptions) {
+    async.timesSeries(count, function(i, next) {
+      if (stopped) return next();
+      var bulk = {index: i, count: count};
+      var itemOptions = (opOptions && opOptions[i]) || options;
+      prepareBulkOperation(Model, operations[i], bulk, itemOptions, function(err, item) {
+        if (err) {
+          results[i].status = 'error';
+          results[i].error = err;
+          stopped = ordered;
+          return next();
+        }
+        item.index = i;
+        if (native) {
+          prepared.push(item);
+          return next();
+        }
+        writeBulkOperation(connector, Model.modelName, item.write, options, function(err, written) {
+          if (err) stopped = ordered;
+          complete(item, err ? {error: err} : written, next);
+        });
+      });
+    }, function() {
+      if (!native || !prepared.length) return cb(null, results);
+      write();
+    });
+  }
+
+  function write() {
+    var writes = prepared.map(function(item) { return item.write; });
+    connector.bulkWrite(Model.modelName, writes, options, function(err, writeResults) {
+      if (err) return cb(err);
+      writeResults = writeResults || [];
+      async.timesSeries(prepared.length, function(k, next) {
+        complete(prepared[k], writeResults[k], next);
+      }, function() {
+        cb(null, results);
+      });
+    });
+  }
+
+  function complete(item, written, next) {
+    var result = results[item.index];
+    // Operations not executed by the connector are left as skipped
+    if (!written) return next();
+    if (written.error) {
+      result.status = 'error';
+      result.error = duplicateKeyError(Model, connector, written.error,
+        item.instance || {}, options);
+      return next();
+    }
+    completeBulkOperation(Model, item, written, options, function(err, info) {
+      if (err) {
+        result.status = 'error';
+        result.error = err;
+      } else {
+        result.status = 'ok';
+        util._extend(result, info);
+      }
+      next();
+    });
+  }
+  return cb.promise;
+};
+
 DataAccessObject.prototype.isNewRecord = function() {
   return !this.__persisted;
 };
@@ -2660,6 +3646,7 @@ DataAccessObject.prototype.remove =
       var Model = this.constructor;
       var id = getIdValue(this.constructor, this);
       var hookState = {};
+      var softDelete = isSoftDelete(Model, options);
 
       if (isPKMissing(Model, cb))
         return cb.promise;
@@ -2680,12 +3667,50 @@ DataAccessObject.prototype.remove =
           hookState: hookState,
           options: options,
         };
+        if (softDelete) context.softDelete = true;
         Model.notifyObserversOf('before delete', context, function(err, ctx) {
           if (err) return cb(err);
-          doDeleteInstance(ctx.where);
+          if (softDelete) {
+            doSoftDeleteInstance(ctx.where);
+          } else {
+            doDeleteInstance(ctx.where);
+          }
         });
       });
 
+      function doSoftDeleteInstance(where) {
+        var query = {where: where};
+        Model._excludeSoftDeleted(query, options);
+        try {
+          where = Model._coerce(removeUndefined(query.where));
+        } catch (err) {
+          return process.nextTick(function() {
+            cb(err);
+          });
+        }
+        softDeleteAll(Model, where, inst, hookState, options, function(err, info) {
+          if (err) return cb(err);
+          var deleted = info && info.count > 0;
+          if (Model.settings.strictDelete && !deleted) {
+            err = new Error(g.f('No instance with {{id}} %s found for %s', id, Model.modelName));
+            err.code = 'NOT_FOUND';
+            err.statusCode = 404;
+            return cb(err);
+          }
+          var context = {
+            Model: Model,
+            where: query.where,
+            instance: inst,
+            softDelete: true,
+            hookState: hookState,
+            options: options,
+          };
+          Model.notifyObserversOf('after delete', context, function(err) {
+            cb(err, info);
+          });
+        });
+      }
+
       function doDeleteInstance(where) {
         if (!isWhereByGivenId(Model, where, id)) {
           // A hook modified the query, it is no longer
@@ -2749,6 +3774,89 @@ DataAccessObject.prototype.remove =
       return cb.promise;
     };
 
+/**
+ * Restore a model instance marked as deleted by the `softDelete` setting.
+ * Triggers `before save`/`after save` hooks like `updateAttributes()`.
+ *
+ * @param {Object} [options] Options
+ * @param {Function} cb Callback function called with (err, instance)
+ */
+DataAccessObject.prototype.restore = function(options, cb) {
+  if (cb === undefined && typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  cb = cb || utils.createPromiseCallback();
+  options = options || {};
+
+  assert(typeof options === 'object', 'The options argument should be an object');
+  assert(typeof cb === 'function', 'The cb argument should be a function');
+
+  var softDelete = this.constructor.definition.settings.softDelete;
+  if (!softDelete) {
+    var err = new Error(g.f('Model %s does not support soft delete', this.constructor.modelName));
+    err.statusCode = 400;
+    process.nextTick(function() {
+      cb(err);
+    });
+    return cb.promise;
+  }
+
+  var data = {};
+  data[softDelete.property] = null;
+  options = util._extend({withDeleted: true}, options);
+  return this.updateAttributes(data, options, cb);
+};
+
+/**
+ * Restore all instances matching the where condition that were marked as
+ * deleted by the `softDelete` setting.
+ *
+ * @param {Object} [where] Search conditions (optional)
+ * @param {Object} [options] Options
+ * @param {Function} cb Callback, called with (err, info)
+ */
+DataAccessObject.restoreAll = function(where, options, cb) {
+  if (options === undefined && cb === undefined) {
+    if (typeof where === 'function') {
+      cb = where;
+      where = {};
+    }
+  } else if (cb === undefined) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+  }
+
+  cb = cb || utils.createPromiseCallback();
+  where = where || {};
+  options = options || {};
+
+  assert(typeof where === 'object', 'The where argument must be an object');
+  assert(typeof options === 'object', 'The options argument must be an object');
+  assert(typeof cb === 'function', 'The cb argument must be a function');
+
+  var softDelete = this.definition.settings.softDelete;
+  if (!softDelete) {
+    var err = new Error(g.f('Model %s does not support soft delete', this.modelName));
+    err.statusCode = 400;
+    process.nextTick(function() {
+      cb(err);
+    });
+    return cb.promise;
+  }
+
+  var deleted = {};
+  deleted[softDelete.property] = {neq: null};
+  var data = {};
+  data[softDelete.property] = null;
+  where = whereIsEmpty(where) ? deleted : {and: [where, deleted]};
+  options = util._extend({withDeleted: true}, options);
+  return this.updateAll(where, data, options, cb);
+};
+
 /**
  * Set a single attribute.
  * Equivalent to `setAttributes({name: value})`
@@ -2928,6 +4036,7 @@ DataAccessObject.replaceById = function(id, data, options, cb) {
       }
 
       function callConnector() {
+        var expectedVersion = nextVersion(Model, data);
         copyData(data, inst);
         var typedData = convertSubsetOfPropertiesByType(inst, data);
         context.data = typedData;
@@ -2955,6 +4064,7 @@ DataAccessObject.replaceById = function(id, data, options, cb) {
             inst.__persisted = true;
             ctx.data[pkName] = id;
             inst.setAttributes(ctx.data);
+            inst._snapshot();
 
             var context = {
               Model: Model,
@@ -2979,6 +4089,16 @@ DataAccessObject.replaceById = function(id, data, options, cb) {
           options: options,
         };
         Model.notifyObserversOf('persist', ctx, function(err) {
+          if (expectedVersion !== undefined) {
+            // Clear the properties left out of the replacement
+            var replacement = {};
+            Object.keys(Model.definition.properties).forEach(function(p) {
+              replacement[p] = null;
+            });
+            replacement = util._extend(replacement, context.data);
+            return updateVersioned(Model, id, expectedVersion,
+              inst.constructor._forDB(replacement), options, replaceCallback);
+          }
           connector.replaceById(model, id,
             inst.constructor._forDB(context.data), options, replaceCallback);
         });
@@ -3071,6 +4191,7 @@ function(data, options, cb) {
     where: byIdQuery(Model, getIdValue(Model, inst)).where,
     data: data,
     currentInstance: inst,
+    changes: inst._changes(data),
     hookState: hookState,
     options: options,
   };
@@ -3119,9 +4240,14 @@ function(data, options, cb) {
             copyData(data, inst);
             var typedData = convertSubsetOfPropertiesByType(inst, data);
             context.data = typedData;
+            var expectedVersion = nextVersion(Model, context.data, inst);
 
             function updateAttributesCallback(err) {
               if (err) return cb(err);
+              if (expectedVersion !== undefined) {
+                var versionProp = Model.definition.settings.version;
+                inst.__data[versionProp] = context.data[versionProp];
+              }
               var ctx = {
                 Model: Model,
                 data: context.data,
@@ -3141,6 +4267,7 @@ function(data, options, cb) {
                 if (Model.settings.updateOnLoad) {
                   inst.setAttributes(ctx.data);
                 }
+                inst._snapshot();
                 done.call(inst, function() {
                   saveDone.call(inst, function() {
                     if (err) return cb(err, inst);
@@ -3170,7 +4297,10 @@ function(data, options, cb) {
               options: options,
             };
             Model.notifyObserversOf('persist', ctx, function(err) {
-              if (connector.updateAttributes.length === 5) {
+              if (expectedVersion !== undefined) {
+                updateVersioned(Model, getIdValue(inst.constructor, inst), expectedVersion,
+                  inst.constructor._forDB(context.data), options, updateAttributesCallback);
+              } else if (connector.updateAttributes.length === 5) {
                 connector.updateAttributes(model, getIdValue(inst.constructor, inst),
                   inst.constructor._forDB(context.data), options, updateAttributesCallback);
               } else {
@@ -3252,6 +4382,468 @@ jutil.mixin(DataAccessObject, Relation);
  */
 jutil.mixin(DataAccessObject, require('./transaction'));
 
+/*!
+ * Error codes of duplicate keys reported by the drivers of common databases
+ */
+var DUPLICATE_KEY_CODES = ['ER_DUP_ENTRY', 11000, 11001, '23505', 'SQLITE_CONSTRAINT_UNIQUE'];
+
+/*!
+ * Map a duplicate key error of the connector to a `ValidationError` when the
+ * `mapDuplicateKeyErrors` setting of the model is enabled. The error is
+ * reported on the first unique property named in the error message, or on
+ * the first unique property. Other errors are returned as is.
+ * @param {Function} Model The model class
+ * @param {Connector} connector The connector
+ * @param {Error} err The error of the connector
+ * @param {Object} inst The model instance
+ * @param {Object} options The options of the operation
+ * @returns {Error}
+ */
+function duplicateKeyError(Model, connector, err, inst, options) {
+  if (!Model.settings.mapDuplicateKeyErrors) return err;
+  var isDuplicate = typeof connector.isDuplicateKeyError === 'function' ?
+    connector.isDuplicateKeyError(err) :
+    DUPLICATE_KEY_CODES.indexOf(err.code) !== -1;
+  if (!isDuplicate) return err;
+
+  var rules = Model.validations || {};
+  var candidates = Object.keys(rules).filter(function(attr) {
+    return rules[attr].some(function(conf) {
+      return conf.validation === 'uniqueness';
+    });
+  });
+  var idName = Model.definition.idName();
+  if (idName && candidates.indexOf(idName) === -1) candidates.push(idName);
+  var attr = candidates.filter(function(name) {
+    return new RegExp('\\b' + name + '\\b').test(err.message);
+  })[0] || candidates[0];
+  return attr ? validations.uniquenessError(inst, attr, options) : err;
+}
+
+/*!
+ * Pick the id and the changed properties from the data to be saved.
+ * @param {Function} Model The model class
+ * @param {Object} data The data of the instance
+ * @param {String[]} changed Names of the changed properties
+ * @returns {Object}
+ */
+function pickChanges(Model, data, changed) {
+  var picked = {};
+  Model.definition.idNames().concat(changed).forEach(function(p) {
+    if (data[p] !== undefined) picked[p] = data[p];
+  });
+  return picked;
+}
+
+/*!
+ * Bump the version property of the data to be written for a model with the
+ * `version` setting. The expected version is the one found in the data, or
+ * the one of the instance being updated.
+ * @param {Function} Model The model class
+ * @param {Object} data The data to be written
+ * @param {Object} [inst] The instance being updated
+ * @returns {Number} The expected version, `null` for records without a
+ * version, or `undefined` if the model is not versioned
+ */
+function nextVersion(Model, data, inst) {
+  var prop = Model.definition.settings.version;
+  if (!prop) return undefined;
+  var expected = data[prop];
+  if (expected === undefined && inst) {
+    expected = inst[prop];
+  }
+  if (expected === undefined) {
+    expected = null;
+  }
+  data[prop] = (expected || 0) + 1;
+  return expected;
+}
+
+/*!
+ * Update the record with the given id only if it is still at the expected
+ * version, report a VersionConflictError otherwise.
+ * @param {Function} Model The model class
+ * @param {*} id The id value
+ * @param {Number} expected The expected version
+ * @param {Object} data The data to write, including the next version
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, data)
+ */
+function updateVersioned(Model, id, expected, data, options, cb) {
+  var connector = Model.getConnector();
+  var where = byIdQuery(Model, id).where;
+  where[Model.definition.settings.version] = expected;
+  var done = function(err, info) {
+    if (err) return cb(err);
+    if (!info || info.count === 0) {
+      return cb(new VersionConflictError(Model.modelName, id, expected));
+    }
+    cb(null, data, {isNewInstance: false});
+  };
+  if (connector.update.length === 5) {
+    connector.update(Model.modelName, where, data, options, done);
+  } else {
+    connector.update(Model.modelName, where, data, done);
+  }
+}
+
+/*!
+ * Update all matching records of a model with the `version` setting,
+ * incrementing the version of each record. The records are updated in one
+ * conditional update per distinct current version.
+ * @param {Function} Model The model class
+ * @param {Object} where The where condition
+ * @param {Object} data The changes
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, info)
+ */
+function updateAllVersioned(Model, where, data, options, cb) {
+  var connector = Model.getConnector();
+  var prop = Model.definition.settings.version;
+  var filter = {where: where, fields: [prop]};
+  var allCb = function(err, records) {
+    if (err) return cb(err);
+    var versions = [];
+    (records || []).forEach(function(record) {
+      var version = record[prop] === undefined ? null : record[prop];
+      if (versions.indexOf(version) === -1) versions.push(version);
+    });
+    // Go from the highest version down, so that the records bumped by a
+    // group cannot match the next one
+    versions.sort(function(a, b) {
+      return (b || 0) - (a || 0) || (a === null) - (b === null);
+    });
+    var count = 0;
+    async.eachSeries(versions, function(version, next) {
+      var cond = {};
+      cond[prop] = version;
+      var changes = util._extend({}, data);
+      changes[prop] = (version || 0) + 1;
+      var updateCb = function(err, info) {
+        if (err) return next(err);
+        count += (info && info.count) || 0;
+        next();
+      };
+      var versionWhere = whereIsEmpty(where) ? cond : {and: [where, cond]};
+      if (connector.update.length === 5) {
+        connector.update(Model.modelName, versionWhere, changes, options, updateCb);
+      } else {
+        connector.update(Model.modelName, versionWhere, changes, updateCb);
+      }
+    }, function(err) {
+      cb(err, {count: count});
+    });
+  };
+  if (connector.all.length === 4) {
+    connector.all(Model.modelName, filter, options, allCb);
+  } else {
+    connector.all(Model.modelName, filter, allCb);
+  }
+}
+
+/*!
+ * Operation types of `bulkWrite()`
+ */
+var BULK_OPERATIONS = ['insert', 'update', 'upsert', 'delete'];
+
+/*!
+ * Get the type of a bulk write operation, `undefined` for invalid ones.
+ * @param {Object} op The operation
+ * @returns {String}
+ */
+function bulkOperationType(op) {
+  if (!op || typeof op !== 'object') return undefined;
+  var types = BULK_OPERATIONS.filter(function(type) {
+    return op[type] && typeof op[type] === 'object';
+  });
+  return types.length === 1 ? types[0] : undefined;
+}
+
+/*!
+ * Run the hooks and validations of a bulk write operation before it is
+ * written, and build the operation to pass to the connector.
+ * @param {Function} Model The model class
+ * @param {Object} op The operation
+ * @param {Object} bulk The `{index, count}` of the operation in the batch
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, item)
+ */
+function prepareBulkOperation(Model, op, bulk, options, cb) {
+  var type = bulkOperationType(op);
+  var item = {type: type, bulk: bulk, hookState: {}};
+  var err;
+  if (!type) {
+    err = new Error(g.f('Invalid bulk write operation: %j', op));
+    err.statusCode = 400;
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  var versioned = !!Model.definition.settings.version;
+  if (versioned && (type === 'update' || (type === 'upsert' && getIdValue(Model, op.upsert) != null))) {
+    err = new Error(g.f('{{bulkWrite()}} does not support %s operations on versioned models', type));
+    err.statusCode = 400;
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+
+  function context(props) {
+    return util._extend({
+      Model: Model,
+      bulk: bulk,
+      hookState: item.hookState,
+      options: options,
+    }, props);
+  }
+
+  function validate(inst, data, validateUpsert, next) {
+    var doValidate = options.validate;
+    if (doValidate === undefined) {
+      doValidate = validateUpsert && Model.settings.validateUpsert !== undefined ?
+        Model.settings.validateUpsert : Model.settings.automaticValidation;
+    }
+    if (doValidate === false) return next();
+    inst.isValid(function(valid) {
+      if (valid) return next();
+      // Upserts ignore validation errors unless validation is configured,
+      // like updateOrCreate()
+      if (!validateUpsert || doValidate) return cb(new ValidationError(inst));
+      g.warn('Ignoring validation errors in {{bulkWrite()}}:');
+      g.warn('  %s', new ValidationError(inst).message);
+      next();
+    }, data, options);
+  }
+
+  function coerce(where, data) {
+    try {
+      item.where = Model._coerce(removeUndefined(where));
+      if (data) item.data = Model._coerce(removeComputed(Model, removeUndefined(data)));
+    } catch (e) {
+      cb(e);
+      return false;
+    }
+    return true;
+  }
+
+  switch (type) {
+    case 'insert':
+      return prepareInsert(op.insert || {});
+    case 'upsert':
+      if (getIdValue(Model, op.upsert) == null) {
+        return prepareInsert(op.upsert);
+      }
+      return prepareUpsert(op.upsert);
+    case 'update':
+      return prepareUpdate(op.update.where || {}, op.update.data || {});
+    case 'delete':
+      return prepareDelete(op.delete.where || {});
+  }
+
+  function prepareInsert(data) {
+    var inst = new Model(data);
+    var enforced = {};
+    Model.applyProperties(enforced, inst);
+    inst.setAttributes(enforced);
+    item.instance = inst;
+    item.isNewInstance = true;
+    Model.notifyObserversOf('before save', context({instance: inst, isNewInstance: true}), function(err) {
+      if (err) return cb(err);
+      validate(inst, inst.toObject(true), false, function() {
+        var versionProp = Model.definition.settings.version;
+        if (versionProp) {
+          inst[versionProp] = 1;
+        }
+        var ctx = context({
+          data: removeUndefined(inst.toObject(true)),
+          isNewInstance: true,
+          currentInstance: inst,
+        });
+        Model.notifyObserversOf('persist', ctx, function(err) {
+          if (err) return cb(err);
+          item.write = {insert: Model._forDB(ctx.data)};
+          cb(null, item);
+        });
+      });
+    });
+  }
+
+  function prepareUpsert(data) {
+    var where = byIdQuery(Model, getIdValue(Model, data)).where;
+    Model.notifyObserversOf('before save', context({where: where, data: data}), function(err, ctx) {
+      if (err) return cb(err);
+      var inst = ctx.data instanceof Model ? ctx.data : new Model(ctx.data, {applyDefaultValues: false});
+      var update = inst.toObject(false);
+      Model.applyProperties(update, inst);
+      item.instance = inst;
+      validate(inst, update, true, function() {
+        var ctx = context({
+          where: where,
+          data: restoreSoftDeleted(Model, removeUndefined(update)),
+          currentInstance: inst,
+        });
+        Model.notifyObserversOf('persist', ctx, function(err) {
+          if (err) return cb(err);
+          item.write = {upsert: Model._forDB(ctx.data)};
+          cb(null, item);
+        });
+      });
+    });
+  }
+
+  function prepareUpdate(where, data) {
+    var query = {where: where};
+    Model.applyScope(query);
+    Model._excludeSoftDeleted(query, options);
+    Model.applyProperties(data);
+    Model.notifyObserversOf('access', context({query: query}), function(err, ctx) {
+      if (err) return cb(err);
+      var beforeCtx = context({where: ctx.query.where, data: data});
+      Model.notifyObserversOf('before save', beforeCtx, function(err, ctx) {
+        if (err) return cb(err);
+        if (!coerce(ctx.where, ctx.data)) return;
+        var persistCtx = context({where: item.where, data: item.data});
+        Model.notifyObserversOf('persist', persistCtx, function(err) {
+          if (err) return cb(err);
+          item.write = {update: {where: item.where, data: persistCtx.data}};
+          cb(null, item);
+        });
+      });
+    });
+  }
+
+  function prepareDelete(where) {
+    var query = {where: where};
+    Model.applyScope(query);
+    if (!options.hardDelete) Model._excludeSoftDeleted(query, options);
+    var softDelete = isSoftDelete(Model, options);
+    Model.notifyObserversOf('access', context({query: query}), function(err, ctx) {
+      if (err) return cb(err);
+      var beforeCtx = context({where: ctx.query.where});
+      if (softDelete) beforeCtx.softDelete = true;
+      Model.notifyObserversOf('before delete', beforeCtx, function(err, ctx) {
+        if (err) return cb(err);
+        if (!coerce(ctx.where)) return;
+        if (!softDelete) {
+          item.write = {delete: {where: item.where}};
+          return cb(null, item);
+        }
+        item.softDelete = true;
+        var data = {};
+        data[Model.definition.settings.softDelete.property] = new Date();
+        var persistCtx = context({where: item.where, data: data, isNewInstance: false, softDelete: true});
+        Model.notifyObserversOf('persist', persistCtx, function(err) {
+          if (err) return cb(err);
+          item.write = {update: {where: item.where, data: persistCtx.data}};
+          cb(null, item);
+        });
+      });
+    });
+  }
+}
+
+/*!
+ * Update the instance of a written bulk operation and notify the `after save`
+ * or `after delete` observers.
+ * @param {Function} Model The model class
+ * @param {Object} item The prepared operation
+ * @param {Object} written The result reported by the connector
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, info)
+ */
+function completeBulkOperation(Model, item, written, options, cb) {
+  var context = {
+    Model: Model,
+    bulk: item.bulk,
+    hookState: item.hookState,
+    options: options,
+  };
+  var inst = item.instance;
+  var info = {};
+
+  if (item.write.insert) {
+    var id = written.id;
+    if (id != null) {
+      var _idName = idName(Model);
+      inst.__data[_idName] = id;
+      defineReadonlyProp(inst, _idName, id);
+    }
+    inst.__persisted = true;
+    inst._snapshot();
+    info = {id: getIdValue(Model, inst), instance: inst, isNewInstance: true};
+    context.instance = inst;
+    context.isNewInstance = true;
+    return Model.notifyObserversOf('after save', context, function(err) {
+      cb(err, info);
+    });
+  }
+
+  if (item.write.upsert) {
+    inst = new Model(written.data || item.write.upsert, {persisted: true});
+    info = {
+      id: getIdValue(Model, inst),
+      instance: inst,
+      isNewInstance: !!written.isNewInstance,
+    };
+    context.instance = inst;
+    context.isNewInstance = info.isNewInstance;
+    return Model.notifyObserversOf('after save', context, function(err) {
+      cb(err, info);
+    });
+  }
+
+  info = {count: written.count || 0};
+  context.where = item.where;
+  if (item.type === 'delete') {
+    if (item.softDelete) context.softDelete = true;
+    return Model.notifyObserversOf('after delete', context, function(err) {
+      cb(err, info);
+    });
+  }
+  context.data = item.data;
+  Model.notifyObserversOf('after save', context, function(err) {
+    cb(err, info);
+  });
+}
+
+/*!
+ * Write a bulk write operation with the CRUD methods of a connector without
+ * `bulkWrite()`.
+ * @param {Connector} connector The connector
+ * @param {String} model The model name
+ * @param {Object} op The operation passed to the connector
+ * @param {Object} options The options object
+ * @param {Function} cb Callback, called with (err, result)
+ */
+function writeBulkOperation(connector, model, op, options, cb) {
+  function invoke(method, args, done) {
+    var fn = connector[method];
+    args = [model].concat(args);
+    if (fn.length === args.length + 2) {
+      args.push(options);
+    }
+    fn.apply(connector, args.concat(done));
+  }
+
+  if (op.insert) {
+    invoke('create', [op.insert], function(err, id) {
+      cb(err, {id: id});
+    });
+  } else if (op.upsert) {
+    invoke('updateOrCreate', [op.upsert], function(err, data, info) {
+      cb(err, {data: data, isNewInstance: info && info.isNewInstance});
+    });
+  } else if (op.update) {
+    invoke('update', [op.update.where, op.update.data], function(err, info) {
+      cb(err, {count: info && info.count});
+    });
+  } else {
+    invoke('destroyAll', [op.delete.where], function(err, info) {
+      cb(err, {count: info && info.count});
+    });
+  }
+}
+
 function PKMissingError(modelName) {
   this.name = 'PKMissingError';
   this.message = 'Primary key is missing for the ' + modelName + ' model';
@@ -19,6 +19,9 @@ var utils = require('./utils');
 var ModelBaseClass = require('./model.js');
 var DataAccessObject = require('./dao.js');
 var defineScope = require('./scope.js').defineScope;
+var setupHistory = require('./history.js').setupHistory;
+var setupQueryCache = require('./query-cache.js').setupQueryCache;
+var defineFromJSONSchema = require('./json-schema.js').defineFromJSONSchema;
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
 var assert = require('assert');
@@ -294,6 +297,11 @@ DataSource.prototype.setup = function(name, settings) {
   this.connected = false;
   this.connecting = false;
 
+  // State of the connection reported by health()
+  this._lastError = null;
+  this._connectionFailed = false;
+  this._reconnectAttempts = 0;
+
   if (typeof connector === 'string') {
     name = connector;
     connector = undefined;
@@ -332,6 +340,8 @@ DataSource.prototype.setup = function(name, settings) {
       } else {
         // The connection fails, let's report it and hope it will be recovered in the next call
         g.error('Connection fails: %s\nIt will be retried for the next request.', err);
+        this._connectionFailed = true;
+        this._recordError(err);
         this.emit('error', err);
         this.connecting = false;
       }
@@ -365,26 +375,39 @@ DataSource.prototype.setup = function(name, settings) {
       return;
     }
     dataSource.connecting = true;
-    if (dataSource.connector.connect) {
-      dataSource.connector.connect(function(err, result) {
-        if (!err) {
-          dataSource.connected = true;
-          dataSource.connecting = false;
-          dataSource.emit('connected');
-        } else {
-          dataSource.connected = false;
-          dataSource.connecting = false;
-          dataSource.emit('error', err);
-        }
-        cb && cb(err, result);
+
+    // Retrying after a failed connection
+    var attempt = 0;
+    if (dataSource._connectionFailed) {
+      attempt = ++dataSource._reconnectAttempts;
+      dataSource.emit('reconnecting', {
+        attempt: attempt,
+        error: dataSource._lastError && dataSource._lastError.error,
       });
-    } else {
-      process.nextTick(function() {
-        dataSource.connected = true;
-        dataSource.connecting = false;
+    }
+
+    var done = function(err, result) {
+      dataSource.connected = !err;
+      dataSource.connecting = false;
+      if (!err) {
+        dataSource._connectionFailed = false;
+        dataSource._reconnectAttempts = 0;
+        if (attempt) {
+          dataSource.emit('reconnected', {attempt: attempt});
+        }
         dataSource.emit('connected');
-        cb && cb();
-      });
+      } else {
+        dataSource._connectionFailed = true;
+        dataSource._recordError(err);
+        dataSource.emit('error', err);
+      }
+      cb && cb(err, result);
+    };
+
+    if (dataSource.connector.connect) {
+      dataSource.connector.connect(done);
+    } else {
+      process.nextTick(done);
     }
   };
 };
@@ -551,6 +574,12 @@ DataSource.prototype.setupDataAccess = function(modelClass, settings) {
   // define scopes from LDL (options.relations)
   var scopes = settings.scopes || {};
   this.defineScopes(modelClass, scopes);
+
+  // record the changes from LDL (options.history)
+  setupHistory(this, modelClass);
+
+  // cache the query results from LDL (options.cache)
+  setupQueryCache(this, modelClass);
 };
 
 /**
@@ -1688,6 +1717,18 @@ DataSource.prototype.buildModelFromInstance = function(name, json, options) {
   return this.createModel(name, schema, options);
 };
 
+/**
+ * Define a model attached to this data source from a JSON Schema.
+ * See `ModelBuilder.prototype.defineFromJSONSchema()`.
+ * @param {String} name The model name
+ * @param {Object} schema The JSON Schema
+ * @param {Object} [settings] The model settings
+ * @returns {Function} The model class
+ */
+DataSource.prototype.defineFromJSONSchema = function(name, schema, settings) {
+  return defineFromJSONSchema(this.createModel.bind(this), name, schema, settings);
+};
+
 /**
  * Check whether migrations needed
  * This method applies only to SQL connectors.
@@ -2152,9 +2193,15 @@ DataSource.prototype.ready = function(obj, args) {
 /**
  * Ping the underlying connector to test the connections
  * @param {Function} [cb] Callback function
+ * @returns {Promise} A promise when no callback is given
  */
 DataSource.prototype.ping = function(cb) {
   var self = this;
+  var callback = cb || utils.createPromiseCallback();
+  cb = function(err) {
+    if (err) self._recordError(err);
+    callback.apply(this, arguments);
+  };
   if (self.connector.ping) {
     this.connector.ping(cb);
   } else if (self.connector.discoverModelProperties) {
@@ -2165,6 +2212,76 @@ DataSource.prototype.ping = function(cb) {
       cb(err);
     });
   }
+  return callback.promise;
+};
+
+/**
+ * Check the health of the data source, for example from a readiness probe.
+ * The connector is pinged, and the report includes:
+ *
+ * - status: `'up'` when the ping succeeded, `'down'` otherwise
+ * - connector: The name of the connector
+ * - connected: Whether the data source is connected
+ * - latency: The duration of the ping in ms
+ * - pool: The statistics of the connection pool, when the connector
+ *   implements `getPoolStats()`
+ * - reconnectAttempts: The number of attempts to connect again since the
+ *   connection failed
+ * - lastError: The last connection or ping error as `{message, code, time}`,
+ *   `null` when there was no error
+ *
+ * The data source emits `reconnecting` with `{attempt, error}` before each of
+ * these attempts, and `reconnected` with `{attempt}` when one succeeds.
+ *
+ * @callback {Function} [cb] Callback function called with (err, report)
+ * @returns {Promise} A promise when no callback is provided
+ */
+DataSource.prototype.health = function(cb) {
+  var self = this;
+  cb = cb || utils.createPromiseCallback();
+  var start = Date.now();
+
+  var report = function(err) {
+    var connector = self.connector;
+    var lastError = self._lastError;
+    var health = {
+      status: err ? 'down' : 'up',
+      connector: (connector && connector.name) || self.name,
+      connected: self.connected,
+      latency: Date.now() - start,
+      reconnectAttempts: self._reconnectAttempts,
+      lastError: lastError && {
+        message: lastError.error.message,
+        code: lastError.error.code,
+        time: lastError.time,
+      },
+    };
+    if (connector && typeof connector.getPoolStats === 'function') {
+      health.pool = connector.getPoolStats();
+    }
+    cb(null, health);
+  };
+
+  if (!this.connector) {
+    process.nextTick(function() {
+      var err = new Error(g.f('Not connected'));
+      self._recordError(err);
+      report(err);
+    });
+  } else {
+    this.ping(report);
+  }
+  return cb.promise;
+};
+
+/*!
+ * Keep the last connection error for `health()`.
+ */
+DataSource.prototype._recordError = function(err) {
+  if (!(err instanceof Error)) {
+    err = new Error(String(err));
+  }
+  this._lastError = {error: err, time: new Date()};
 };
 
 /**
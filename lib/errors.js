@@ -0,0 +1,43 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('strong-globalize')();
+var util = require('util');
+
+exports.VersionConflictError = VersionConflictError;
+
+/**
+ * VersionConflictError is reported when a write to a model configured with
+ * the `version` setting does not find the record at the expected version,
+ * because it was modified or deleted in the meantime.
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The id of the record
+ * @param {Number} version The expected version
+ * @class VersionConflictError
+ */
+function VersionConflictError(modelName, id, version) {
+  if (!(this instanceof VersionConflictError)) {
+    return new VersionConflictError(modelName, id, version);
+  }
+  Error.call(this);
+
+  this.name = 'VersionConflictError';
+  this.message = g.f('The `%s` instance with {{id}} %s is not at version %s',
+    modelName, id, version);
+  this.code = 'VERSION_CONFLICT';
+  this.statusCode = 409;
+  this.details = {
+    context: modelName,
+    id: id,
+    version: version,
+  };
+
+  Error.captureStackTrace(this, this.constructor);
+}
+
+util.inherits(VersionConflictError, Error);
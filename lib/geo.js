@@ -8,7 +8,8 @@
 var assert = require('assert');
 
 /*!
- * Get a near filter from a given where object. For connector use only.
+ * Get a near filter from a given where object, looking into its `and`
+ * clauses too. For connector use only.
  */
 
 exports.nearFilter = function nearFilter(where) {
@@ -18,10 +19,15 @@ exports.nearFilter = function nearFilter(where) {
     Object.keys(where).forEach(function(key) {
       var ex = where[key];
 
-      if (ex && ex.near) {
+      if (key === 'and' && Array.isArray(ex)) {
+        ex.forEach(function(cond) {
+          result = nearFilter(cond) || result;
+        });
+      } else if (ex && ex.near) {
         result = {
           near: ex.near,
           maxDistance: ex.maxDistance,
+          minDistance: ex.minDistance,
           unit: ex.unit,
           key: key,
         };
@@ -39,6 +45,7 @@ exports.nearFilter = function nearFilter(where) {
 exports.filter = function(arr, filter) {
   var origin = filter.near;
   var max = filter.maxDistance > 0 ? filter.maxDistance : false;
+  var min = filter.minDistance > 0 ? filter.minDistance : false;
   var unit = filter.unit;
   var key = filter.key;
 
@@ -47,7 +54,7 @@ exports.filter = function(arr, filter) {
   var result = [];
 
   arr.forEach(function(obj) {
-    var loc = obj[key];
+    var loc = getLocation(obj, key);
 
     // filter out objects without locations
     if (!loc) return;
@@ -61,7 +68,7 @@ exports.filter = function(arr, filter) {
 
     var d = GeoPoint.distanceBetween(origin, loc, {type: unit});
 
-    if (max && d > max) {
+    if ((max && d > max) || (min && d < min)) {
       // dont add
     } else {
       distances[obj.id] = d;
@@ -70,8 +77,8 @@ exports.filter = function(arr, filter) {
   });
 
   return result.sort(function(objA, objB) {
-    var a = objA[key];
-    var b = objB[key];
+    var a = getLocation(objA, key);
+    var b = getLocation(objB, key);
 
     if (a && b) {
       var da = distances[objA.id];
@@ -85,6 +92,17 @@ exports.filter = function(arr, filter) {
   });
 };
 
+/*!
+ * Get the location of an object, the key can be the path of a nested
+ * property such as `address.location`.
+ */
+
+function getLocation(obj, key) {
+  return key.split('.').reduce(function(val, k) {
+    return val == null ? val : val[k];
+  }, obj);
+}
+
 exports.GeoPoint = GeoPoint;
 
 /**
@@ -0,0 +1,244 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('strong-globalize')();
+var util = require('util');
+var utils = require('./utils');
+
+exports.setupHistory = setupHistory;
+
+/*!
+ * Record the changes of a model with the `history` setting into a companion
+ * history model, and add the `history()` and `findAsOf()` methods.
+ *
+ * The setting accepts `true` or an object with:
+ * - model: Name of the history model, defaults to `<Model>History`. An
+ *   existing model with this name is used as is
+ * - dataSource: The data source of the history model, defaults to the one of
+ *   the model
+ * - options: Names of the `options` fields to record with each change, such
+ *   as `'userId'` or `'accessToken.userId'`
+ *
+ * @param {DataSource} dataSource The data source the model is attached to
+ * @param {Function} Model The model class
+ */
+function setupHistory(dataSource, Model) {
+  var settings = Model.definition.settings;
+  if (!settings.history || Model.hasOwnProperty('_historyModel')) return;
+
+  if (typeof settings.history !== 'object') {
+    settings.history = {};
+  }
+  var historySettings = settings.history;
+  historySettings.model = historySettings.model || Model.modelName + 'History';
+  historySettings.options = [].concat(historySettings.options || []);
+
+  var historyDataSource = historySettings.dataSource || dataSource;
+  var HistoryModel = historyDataSource.modelBuilder.models[historySettings.model];
+  if (!HistoryModel || !HistoryModel.dataSource) {
+    var idProp = Model.definition.properties[Model.definition.idName()];
+    HistoryModel = historyDataSource.createModel(historySettings.model, {
+      modelId: {type: idProp ? idProp.type : String, index: true},
+      operation: String,
+      before: Object,
+      after: Object,
+      context: Object,
+      changedAt: {type: Date, index: true},
+    });
+  }
+  Object.defineProperty(Model, '_historyModel', {
+    writable: true,
+    enumerable: false,
+    configurable: true,
+    value: HistoryModel,
+  });
+
+  Model.observe('before save', function(ctx, next) {
+    // A model instance without id is always created
+    var inst = ctx.instance || ctx.currentInstance;
+    if (inst && getId(Model, inst) == null) return next();
+    findBefore(Model, ctx, next);
+  });
+
+  Model.observe('after save', function(ctx, next) {
+    var before = ctx.hookState.historyBefore || {};
+    if (ctx.instance) {
+      var after = ctx.instance.toObject(true);
+      var previous = before[getId(Model, after)] || null;
+      return record(Model, ctx, [{before: previous, after: after}], next);
+    }
+    // Bulk updates: read back the records seen before the update
+    var ids = Object.keys(before).map(function(id) {
+      return before[id][Model.definition.idName()];
+    });
+    if (!ids.length) return next();
+    var where = {};
+    where[Model.definition.idName()] = {inq: ids};
+    Model.find({where: where}, findOptions(ctx), function(err, found) {
+      if (err) return next(err);
+      record(Model, ctx, found.map(function(inst) {
+        var after = inst.toObject(true);
+        return {before: before[getId(Model, after)], after: after};
+      }), next);
+    });
+  });
+
+  Model.observe('before delete', function(ctx, next) {
+    findBefore(Model, ctx, next);
+  });
+
+  Model.observe('after delete', function(ctx, next) {
+    var before = ctx.hookState.historyBefore || {};
+    record(Model, ctx, Object.keys(before).map(function(id) {
+      return {before: before[id], after: null};
+    }), next);
+  });
+
+  /**
+   * Get the recorded changes of a model instance, oldest first.
+   *
+   * Each change has the `operation` (`create`, `update` or `delete`), the
+   * `before` and `after` data of the instance, the `context` picked from the
+   * options of the operation, and the `changedAt` date.
+   *
+   * @param {*} id The model id
+   * @param {Object} [options] Options
+   * @callback {Function} cb Callback function called with (err, changes)
+   * @returns {Promise} A promise when no callback is provided
+   */
+  Model.history = function(id, options, cb) {
+    if (cb === undefined && typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    cb = cb || utils.createPromiseCallback();
+    this._historyModel.find({
+      where: {modelId: id},
+      order: ['changedAt ASC', this._historyModel.definition.idName() + ' ASC'],
+    }, options || {}, cb);
+    return cb.promise;
+  };
+
+  /**
+   * Find a model instance as it was at the given point in time.
+   *
+   * @param {*} id The model id
+   * @param {Date|String|Number} date The point in time
+   * @param {Object} [options] Options
+   * @callback {Function} cb Callback function called with (err, instance),
+   * `instance` is `null` when it did not exist at that time
+   * @returns {Promise} A promise when no callback is provided
+   */
+  Model.findAsOf = function(id, date, options, cb) {
+    if (cb === undefined && typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    cb = cb || utils.createPromiseCallback();
+    var self = this;
+    var asOf = new Date(date);
+    if (isNaN(asOf.getTime())) {
+      var err = new Error(g.f('Invalid date: %j', date));
+      err.statusCode = 400;
+      process.nextTick(function() {
+        cb(err);
+      });
+      return cb.promise;
+    }
+    var HistoryModel = this._historyModel;
+    HistoryModel.findOne({
+      where: {modelId: id, changedAt: {lte: asOf}},
+      order: ['changedAt DESC', HistoryModel.definition.idName() + ' DESC'],
+    }, options || {}, function(err, change) {
+      if (err) return cb(err);
+      if (!change || !change.after) return cb(null, null);
+      cb(null, new self(change.after, {persisted: true}));
+    });
+    return cb.promise;
+  };
+}
+
+function getId(Model, data) {
+  return data[Model.definition.idName()];
+}
+
+/*!
+ * Options to read the records of an operation with, including soft deleted
+ * ones.
+ */
+function findOptions(ctx) {
+  return util._extend(util._extend({}, ctx.options), {withDeleted: true});
+}
+
+/*!
+ * Keep the data of the records affected by an operation in the hook state.
+ */
+function findBefore(Model, ctx, next) {
+  var where = ctx.where;
+  var inst = ctx.instance || ctx.currentInstance;
+  if (inst) {
+    where = {};
+    where[Model.definition.idName()] = getId(Model, inst);
+  }
+  Model.find({where: where}, findOptions(ctx), function(err, found) {
+    if (err) return next(err);
+    var before = ctx.hookState.historyBefore = {};
+    found.forEach(function(inst) {
+      var data = inst.toObject(true);
+      before[getId(Model, data)] = data;
+    });
+    next();
+  });
+}
+
+/*!
+ * Pick the `options` fields configured in the history settings.
+ */
+function pickContext(paths, options) {
+  var context = {};
+  paths.forEach(function(path) {
+    var keys = path.split('.');
+    var value = options;
+    for (var i = 0; i < keys.length && value != null; i++) {
+      value = value[keys[i]];
+    }
+    if (value === undefined) return;
+    var target = context;
+    for (i = 0; i < keys.length - 1; i++) {
+      target = target[keys[i]] = target[keys[i]] || {};
+    }
+    target[keys[keys.length - 1]] = value;
+  });
+  return context;
+}
+
+/*!
+ * Write the changes of an operation into the history model.
+ */
+function record(Model, ctx, changes, next) {
+  if (!changes.length) return next();
+  var HistoryModel = Model._historyModel;
+  var settings = Model.definition.settings.history;
+  var context = pickContext(settings.options, ctx.options || {});
+  var now = new Date();
+  var entries = changes.map(function(change) {
+    var data = change.after || change.before;
+    return {
+      modelId: getId(Model, data),
+      operation: !change.after ? 'delete' : change.before ? 'update' : 'create',
+      before: change.before || null,
+      after: change.after || null,
+      context: context,
+      changedAt: now,
+    };
+  });
+  // Share the transaction, if any, when both models use the same data source
+  var options = HistoryModel.dataSource === Model.dataSource ? ctx.options : {};
+  HistoryModel.create(entries, options, function(err) {
+    next(err);
+  });
+}
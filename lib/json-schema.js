@@ -0,0 +1,378 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('strong-globalize')();
+var GeoPoint = require('./geo').GeoPoint;
+var Types = require('./types').Types;
+var formats = require('./validations').formats;
+
+exports.toJSONSchema = toJSONSchema;
+exports.defineFromJSONSchema = defineFromJSONSchema;
+
+var SCHEMA_URIS = {
+  'draft-07': 'http://json-schema.org/draft-07/schema#',
+  '2020-12': 'https://json-schema.org/draft/2020-12/schema',
+};
+
+/*!
+ * Build the JSON Schema of a model.
+ *
+ * Named models used as property types, such as the ones of embedded
+ * relations, are described under `definitions` (`$defs` for 2020-12) and
+ * referenced with `$ref`; anonymous models are described inline.
+ *
+ * @param {Function} Model The model class
+ * @options {Object} [options]
+ * @property {String} draft `draft-07` (default) or `2020-12`
+ * @property {Boolean} hidden Include the hidden properties
+ * @returns {Object} The JSON Schema
+ */
+function toJSONSchema(Model, options) {
+  options = options || {};
+  var draft = options.draft || 'draft-07';
+  if (!SCHEMA_URIS[draft]) {
+    throw new Error(g.f('Unsupported JSON Schema draft: %s', draft));
+  }
+  var context = {
+    root: Model,
+    defsKey: draft === '2020-12' ? '$defs' : 'definitions',
+    defs: {},
+    hidden: options.hidden,
+  };
+  var schema = {$schema: SCHEMA_URIS[draft]};
+  var modelSchema = buildModelSchema(Model, context);
+  for (var key in modelSchema) {
+    schema[key] = modelSchema[key];
+  }
+  if (Object.keys(context.defs).length) {
+    schema[context.defsKey] = context.defs;
+  }
+  return schema;
+}
+
+function isModelClass(type) {
+  return typeof type === 'function' && !!type.definition && !!type.modelName;
+}
+
+function buildModelSchema(Model, context) {
+  var settings = Model.definition.settings;
+  var properties = Model.definition.properties;
+  var validations = Model.validations || {};
+  var hidden = settings.hidden || [];
+  var schema = {};
+  if (!settings.anonymous) {
+    schema.title = Model.modelName;
+  }
+  if (settings.description) {
+    schema.description = [].concat(settings.description).join('\n');
+  }
+  schema.type = 'object';
+  schema.properties = {};
+  var required = [];
+
+  Object.keys(properties).forEach(function(name) {
+    if (!context.hidden && hidden.indexOf(name) !== -1) return;
+    var prop = properties[name];
+    var propSchema = buildTypeSchema(prop.type, context);
+    if (prop.description) {
+      propSchema.description = [].concat(prop.description).join('\n');
+    }
+    if (prop.default !== undefined && typeof prop.default !== 'function') {
+      propSchema.default = prop.default;
+    }
+    if ((prop.id && prop.generated) || prop.computed) {
+      propSchema.readOnly = true;
+    }
+    (validations[name] || []).forEach(function(validation) {
+      // Conditional validations cannot be expressed as constraints
+      if (validation.if || validation.unless || validation.when) return;
+      if (validation.validation === 'presence') {
+        if (required.indexOf(name) === -1) required.push(name);
+      } else {
+        applyValidation(propSchema, validation);
+      }
+    });
+    schema.properties[name] = propSchema;
+  });
+
+  if (required.length) {
+    schema.required = required;
+  }
+  if (settings.strict) {
+    schema.additionalProperties = false;
+  }
+  return schema;
+}
+
+function buildTypeSchema(type, context) {
+  if (Array.isArray(type)) {
+    var schema = {type: 'array'};
+    if (type[0]) {
+      schema.items = buildTypeSchema(type[0], context);
+    }
+    return schema;
+  }
+  switch (type) {
+    case String:
+    case Types.Text:
+      return {type: 'string'};
+    case Number:
+      return {type: 'number'};
+    case Boolean:
+      return {type: 'boolean'};
+    case Date:
+      return {type: 'string', format: 'date-time'};
+    case Buffer:
+      return {type: 'string', contentEncoding: 'base64'};
+    case Array:
+      return {type: 'array'};
+    case Object:
+    case Types.JSON:
+      return {type: 'object'};
+    case GeoPoint:
+      return {
+        type: 'object',
+        properties: {lat: {type: 'number'}, lng: {type: 'number'}},
+        required: ['lat', 'lng'],
+      };
+  }
+  if (isModelClass(type)) {
+    if (type.settings.anonymous) {
+      return buildModelSchema(type, context);
+    }
+    if (type === context.root) {
+      return {$ref: '#'};
+    }
+    var name = type.modelName;
+    if (!context.defs[name]) {
+      // Register the name first so that recursive models terminate
+      context.defs[name] = {};
+      var defSchema = buildModelSchema(type, context);
+      for (var key in defSchema) {
+        context.defs[name][key] = defSchema[key];
+      }
+    }
+    return {$ref: '#/' + context.defsKey + '/' + name};
+  }
+  // Any or custom types
+  return {};
+}
+
+function applyValidation(schema, validation) {
+  var isArray = schema.type === 'array';
+  switch (validation.validation) {
+    case 'length':
+      var min = validation.is || validation.min;
+      var max = validation.is || validation.max;
+      if (min) schema[isArray ? 'minItems' : 'minLength'] = min;
+      if (max) schema[isArray ? 'maxItems' : 'maxLength'] = max;
+      break;
+    case 'format':
+      if (validation.format) {
+        schema.format = validation.format;
+        break;
+      }
+      var pattern = validation['with'];
+      schema.pattern = pattern instanceof RegExp ? pattern.source : String(pattern);
+      break;
+    case 'inclusion':
+      schema.enum = validation.in;
+      break;
+    case 'exclusion':
+      schema.not = {enum: validation.in};
+      break;
+    case 'numericality':
+      if (validation.int) {
+        schema.type = 'integer';
+      } else if (!schema.type) {
+        schema.type = 'number';
+      }
+      if (validation.min != null) schema.minimum = validation.min;
+      if (validation.max != null) schema.maximum = validation.max;
+      break;
+  }
+}
+
+/*!
+ * Define a model from a JSON Schema with the given `define` function, such
+ * as `modelBuilder.define` or `dataSource.createModel`.
+ *
+ * Models described under `definitions` or `$defs` are defined with their key
+ * as name. Nested objects become anonymous models, and `minimum`, `maximum`,
+ * `minLength`, `maxLength`, `minItems`, `maxItems`, `pattern`, `format`,
+ * `enum`, `not.enum` and `integer` become validations.
+ *
+ * @param {Function} define The function to define models with
+ * @param {String} name The model name
+ * @param {Object} schema The JSON Schema
+ * @param {Object} [settings] Model settings
+ * @returns {Function} The model class
+ */
+function defineFromJSONSchema(define, name, schema, settings) {
+  var defs = schema.$defs || schema.definitions || {};
+  var refs = {'#': name};
+  Object.keys(defs).forEach(function(key) {
+    refs['#/definitions/' + key] = refs['#/$defs/' + key] = key;
+  });
+
+  Object.keys(defs).forEach(function(key) {
+    defineModel(key, defs[key], {});
+  });
+  return defineModel(name, schema, settings || {});
+
+  function defineModel(modelName, modelSchema, modelSettings) {
+    var converted = convertObjectSchema(modelSchema, refs);
+    if (modelSchema.additionalProperties === false &&
+        modelSettings.strict === undefined) {
+      modelSettings.strict = true;
+    }
+    if (modelSchema.description && !modelSettings.description) {
+      modelSettings.description = modelSchema.description;
+    }
+    var Model = define(modelName, converted.properties, modelSettings);
+    applyValidations(Model, converted);
+    return Model;
+  }
+}
+
+function convertObjectSchema(schema, refs) {
+  var result = {properties: {}, validations: [], nested: {}};
+  var required = schema.required || [];
+  var properties = schema.properties || {};
+  Object.keys(properties).forEach(function(name) {
+    var propSchema = properties[name];
+    var prop = convertPropertySchema(propSchema, refs);
+    if (required.indexOf(name) !== -1) {
+      prop.definition.required = true;
+    }
+    result.properties[name] = prop.definition;
+    prop.validations.forEach(function(validation) {
+      validation.options.allowBlank = required.indexOf(name) === -1;
+      if (prop.nullable) validation.options.allowNull = true;
+      result.validations.push([validation.method, name, validation.options]);
+    });
+    if (prop.nested) {
+      result.nested[name] = prop.nested;
+    }
+  });
+  return result;
+}
+
+function convertPropertySchema(schema, refs) {
+  var definition = {};
+  var validations = [];
+  var nested;
+  var types = [].concat(schema.type || []);
+  var nullable = types.indexOf('null') !== -1;
+  var type = types.filter(function(t) { return t !== 'null'; })[0];
+
+  if (schema.$ref) {
+    if (!refs[schema.$ref]) {
+      throw new Error(g.f('Unsupported JSON Schema reference: %s', schema.$ref));
+    }
+    definition.type = refs[schema.$ref];
+  } else {
+    if (!type && schema.enum && schema.enum.length) {
+      type = typeof schema.enum[0];
+    }
+    switch (type) {
+      case 'string':
+        if (schema.format === 'date-time' || schema.format === 'date') {
+          definition.type = 'date';
+        } else if (schema.contentEncoding === 'base64') {
+          definition.type = 'buffer';
+        } else {
+          definition.type = 'string';
+        }
+        break;
+      case 'integer':
+        definition.type = 'number';
+        break;
+      case 'number':
+      case 'boolean':
+        definition.type = type;
+        break;
+      case 'array':
+        var items = schema.items || {};
+        var item = convertPropertySchema(items, refs);
+        definition.type = [item.definition.type];
+        nested = item.nested;
+        break;
+      case 'object':
+        if (schema.properties) {
+          var isGeoPoint = Object.keys(schema.properties).sort().join() === 'lat,lng';
+          if (isGeoPoint) {
+            definition.type = 'geopoint';
+          } else {
+            nested = convertObjectSchema(schema, refs);
+            definition.type = nested.properties;
+          }
+        } else {
+          definition.type = 'object';
+        }
+        break;
+      default:
+        definition.type = 'any';
+    }
+  }
+
+  if (schema.description) {
+    definition.description = schema.description;
+  }
+  if (schema.default !== undefined) {
+    definition.default = schema.default;
+  }
+
+  if (type === 'integer' || schema.minimum !== undefined || schema.maximum !== undefined) {
+    var range = {};
+    if (type === 'integer') range.int = true;
+    if (schema.minimum !== undefined) range.min = schema.minimum;
+    if (schema.maximum !== undefined) range.max = schema.maximum;
+    validations.push({method: 'validatesNumericalityOf', options: range});
+  }
+
+  var min = type === 'array' ? schema.minItems : schema.minLength;
+  var max = type === 'array' ? schema.maxItems : schema.maxLength;
+  if (min !== undefined || max !== undefined) {
+    var length = {};
+    if (min !== undefined) length.min = min;
+    if (max !== undefined) length.max = max;
+    validations.push({method: 'validatesLengthOf', options: length});
+  }
+  if (schema.pattern) {
+    validations.push({method: 'validatesFormatOf', options: {with: new RegExp(schema.pattern)}});
+  }
+  if (formats.hasOwnProperty(schema.format)) {
+    validations.push({method: 'validatesFormatOf', options: {format: schema.format}});
+  }
+  if (schema.enum) {
+    validations.push({method: 'validatesInclusionOf', options: {in: schema.enum}});
+  }
+  if (schema.not && schema.not.enum) {
+    validations.push({method: 'validatesExclusionOf', options: {in: schema.not.enum}});
+  }
+
+  return {
+    definition: definition,
+    validations: validations,
+    nested: nested,
+    nullable: nullable,
+  };
+}
+
+function applyValidations(Model, converted) {
+  converted.validations.forEach(function(validation) {
+    Model[validation[0]](validation[1], validation[2]);
+  });
+  Object.keys(converted.nested).forEach(function(name) {
+    var type = Model.definition.properties[name].type;
+    if (Array.isArray(type)) type = type[0];
+    if (isModelClass(type)) {
+      applyValidations(type, converted.nested[name]);
+    }
+  });
+}
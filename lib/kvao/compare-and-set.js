@@ -0,0 +1,60 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+var modelValue = require('./model-value');
+
+/**
+ * Atomically replace the value associated with the given key, only if the
+ * current value is equal to the expected one. Values are compared by their
+ * serialized form, so that objects with the same content are equal.
+ *
+ * @param {String} key Key of the value to replace.
+ * @param {*} expected The expected current value.
+ * @param {*} value The new value.
+ * @options {Number|Object} options Optional settings for the key-value
+ *   pair. If a Number is provided, it is set as the TTL (time to live) in ms
+ *   (milliseconds) for the key-value pair.
+ * @property {Number} ttl TTL for the key-value pair in ms.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Boolean} replaced `true` if the value was replaced, `false` if the
+ *   key does not exist or has another value.
+ * @promise
+ *
+ * @header KVAO.compareAndSet(key, expected, value, cb)
+ */
+module.exports = function keyValueCompareAndSet(key, expected, value, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(expected != null, 'expected must be defined and not null');
+  assert(value != null, 'value must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.compareAndSet === 'function',
+    'compareAndSet() must be implemented by the connector');
+  var Model = this;
+  // The expected value is compared with the stored data, it is not validated
+  modelValue.toStoredValue(Model, expected, {validate: false}, function(err, expectedData) {
+    if (err) return callback(err);
+    modelValue.toStoredValue(Model, value, options, function(err, data) {
+      if (err) return callback(err);
+      connector.compareAndSet(Model.modelName, key, expectedData, data, options, callback);
+    });
+  });
+  return callback.promise;
+};
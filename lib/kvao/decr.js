@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Atomically decrement the integer value associated with the given key. A
+ * missing key is created with the value `0` before being decremented.
+ *
+ * @param {String} key Key of the counter.
+ * @param {Number} [delta] The integer to subtract, defaults to `1`.
+ * @options {Number|Object} options Optional settings. If a Number is
+ *   provided, it is set as the TTL (time to live) in ms (milliseconds).
+ * @property {Number} ttl TTL in ms applied when the key is created.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Number} value The decremented value.
+ * @promise
+ *
+ * @header KVAO.decr(key, cb)
+ */
+module.exports = function keyValueDecr(key, delta, options, callback) {
+  if (typeof delta === 'number') {
+    delta = -delta;
+  } else {
+    // No delta, shift the arguments
+    callback = options;
+    options = delta;
+    delta = -1;
+  }
+  return this.incr(key, delta, options, callback);
+};
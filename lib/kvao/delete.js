@@ -0,0 +1,35 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Delete the key-value pair associated with the given key.
+ *
+ * @param {String} key Key to delete.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Boolean} deleted `true` if the key existed.
+ * @promise
+ *
+ * @header KVAO.delete(key, cb)
+ */
+module.exports = function keyValueDelete(key, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.delete === 'function',
+    'delete() must be implemented by the connector');
+  connector.delete(this.modelName, key, options, callback);
+  return callback.promise;
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var utils = require('../utils');
+var modelValue = require('./model-value');
+
+/**
+ * Return the values associated with the given keys. Connectors without
+ * `getMany()` are queried one key at a time.
+ *
+ * @param {String[]} keys Keys to use when searching the database.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Array} values The values in the order of the keys, `null` for
+ *   the keys not found.
+ * @promise
+ *
+ * @header KVAO.getMany(keys, cb)
+ */
+module.exports = function keyValueGetMany(keys, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(Array.isArray(keys), 'keys must be an array');
+  keys.forEach(function(key) {
+    assert(typeof key === 'string' && key, 'keys must be non-empty strings');
+  });
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  var Model = this;
+  var modelName = this.modelName;
+  if (typeof connector.getMany === 'function') {
+    connector.getMany(modelName, keys, options, done);
+  } else {
+    async.mapSeries(keys, function(key, next) {
+      connector.get(modelName, key, options, next);
+    }, done);
+  }
+
+  function done(err, values) {
+    if (err) return callback(err);
+    callback(null, values.map(function(value) {
+      return modelValue.fromStoredValue(Model, value);
+    }));
+  }
+  return callback.promise;
+};
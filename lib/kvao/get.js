@@ -2,6 +2,7 @@
 
 var assert = require('assert');
 var utils = require('../utils');
+var modelValue = require('./model-value');
 
 /**
  * Return the value associated with a given key.
@@ -26,9 +27,10 @@ module.exports = function keyValueGet(key, options, callback) {
   assert(typeof key === 'string' && key, 'key must be a non-empty string');
 
   callback = callback || utils.createPromiseCallback();
+  var Model = this;
   this.getConnector().get(this.modelName, key, options, function(err, result) {
-    // TODO convert raw result to Model instance (?)
-    callback(err, result);
+    if (err) return callback(err);
+    callback(null, modelValue.fromStoredValue(Model, result));
   });
   return callback.promise;
 };
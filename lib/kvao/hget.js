@@ -0,0 +1,38 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Return the value of a field of the hash stored at the given key.
+ *
+ * @param {String} key Key of the hash.
+ * @param {String} field Name of the field.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {*} value The value of the field, `null` when the key or the field
+ *   does not exist.
+ * @promise
+ *
+ * @header KVAO.hget(key, field, cb)
+ */
+module.exports = function keyValueHget(key, field, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof field === 'string' && field, 'field must be a non-empty string');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.hget === 'function',
+    'hget() must be implemented by the connector');
+  connector.hget(this.modelName, key, field, options, callback);
+  return callback.promise;
+};
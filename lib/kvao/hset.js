@@ -0,0 +1,49 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Set the value of a field of the hash stored at the given key, creating the
+ * hash when the key does not exist. The other fields are left untouched.
+ *
+ * @param {String} key Key of the hash.
+ * @param {String} field Name of the field.
+ * @param {*} value Value to persist.
+ * @options {Number|Object} options Optional settings. If a Number is
+ *   provided, it is set as the TTL (time to live) in ms (milliseconds).
+ * @property {Number} ttl TTL in ms to set for the key. Without it, the TTL of
+ *   an existing key is kept.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Boolean} created `true` if the field did not exist.
+ * @promise
+ *
+ * @header KVAO.hset(key, field, value, cb)
+ */
+module.exports = function keyValueHset(key, field, value, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof field === 'string' && field, 'field must be a non-empty string');
+  assert(value != null, 'value must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.hset === 'function',
+    'hset() must be implemented by the connector');
+  connector.hset(this.modelName, key, field, value, options, callback);
+  return callback.promise;
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Atomically increment the integer value associated with the given key. A
+ * missing key is created with the value `0` before being incremented.
+ *
+ * @param {String} key Key of the counter.
+ * @param {Number} [delta] The integer to add, defaults to `1`.
+ * @options {Number|Object} options Optional settings. If a Number is
+ *   provided, it is set as the TTL (time to live) in ms (milliseconds).
+ * @property {Number} ttl TTL in ms applied when the key is created.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Number} value The incremented value.
+ * @promise
+ *
+ * @header KVAO.incr(key, cb)
+ */
+module.exports = function keyValueIncr(key, delta, options, callback) {
+  if (typeof delta === 'function') {
+    callback = delta;
+    delta = undefined;
+    options = undefined;
+  } else if (typeof delta === 'object') {
+    callback = options;
+    options = delta;
+    delta = undefined;
+  } else if (callback === undefined && typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  if (delta === undefined) {
+    delta = 1;
+  }
+  if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof delta === 'number' && delta % 1 === 0, 'delta must be an integer');
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.incr === 'function',
+    'incr() must be implemented by the connector');
+  connector.incr(this.modelName, key, delta, options, callback);
+  return callback.promise;
+};
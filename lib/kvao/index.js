@@ -11,6 +11,26 @@ KeyValueAccessObject.expire = require('./expire');
 KeyValueAccessObject.ttl = require('./ttl');
 KeyValueAccessObject.iterateKeys = require('./iterate-keys');
 KeyValueAccessObject.keys = require('./keys');
+KeyValueAccessObject.incr = require('./incr');
+KeyValueAccessObject.decr = require('./decr');
+KeyValueAccessObject.setIfNotExists = require('./set-if-not-exists');
+KeyValueAccessObject.compareAndSet = require('./compare-and-set');
+KeyValueAccessObject.delete = require('./delete');
+KeyValueAccessObject.getMany = require('./get-many');
+KeyValueAccessObject.setMany = require('./set-many');
+KeyValueAccessObject.subscribe = require('./subscribe');
+KeyValueAccessObject.unsubscribe = require('./unsubscribe');
+KeyValueAccessObject.publish = require('./publish');
+KeyValueAccessObject.hget = require('./hget');
+KeyValueAccessObject.hset = require('./hset');
+KeyValueAccessObject.hdel = require('./hdel');
+KeyValueAccessObject.lpush = require('./lpush');
+KeyValueAccessObject.rpush = require('./rpush');
+KeyValueAccessObject.lpop = require('./lpop');
+KeyValueAccessObject.rpop = require('./rpop');
+KeyValueAccessObject.lrange = require('./lrange');
+KeyValueAccessObject.zadd = require('./zadd');
+KeyValueAccessObject.zrangeByScore = require('./zrange-by-score');
 
 KeyValueAccessObject.getConnector = function() {
   return this.getDataSource().connector;
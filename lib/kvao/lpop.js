@@ -0,0 +1,36 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Remove and return the value at the head of the list stored at the given
+ * key. The key is deleted with its last value.
+ *
+ * @param {String} key Key of the list.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {*} value The removed value, `null` when the key does not exist.
+ * @promise
+ *
+ * @header KVAO.lpop(key, cb)
+ */
+module.exports = function keyValueLpop(key, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.lpop === 'function',
+    'lpop() must be implemented by the connector');
+  connector.lpop(this.modelName, key, options, callback);
+  return callback.promise;
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Return the values of the list stored at the given key between the start
+ * and stop indexes, both included. Negative indexes count from the tail of
+ * the list, `-1` being the last value.
+ *
+ * @param {String} key Key of the list.
+ * @param {Number} start Index of the first value.
+ * @param {Number} stop Index of the last value.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Array} values The values, empty when the key does not exist.
+ * @promise
+ *
+ * @header KVAO.lrange(key, start, stop, cb)
+ */
+module.exports = function keyValueLrange(key, start, stop, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof start === 'number' && start % 1 === 0, 'start must be an integer');
+  assert(typeof stop === 'number' && stop % 1 === 0, 'stop must be an integer');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.lrange === 'function',
+    'lrange() must be implemented by the connector');
+  connector.lrange(this.modelName, key, start, stop, options, callback);
+  return callback.promise;
+};
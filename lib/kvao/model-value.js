@@ -0,0 +1,65 @@
+'use strict';
+
+var ValidationError = require('../validations').ValidationError;
+
+exports.toStoredValue = toStoredValue;
+exports.fromStoredValue = fromStoredValue;
+
+/*!
+ * Objects other than arrays, buffers and dates are stored as instances of
+ * the model. The other values are stored as they are.
+ */
+function isModelValue(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !Buffer.isBuffer(value) && !(value instanceof Date);
+}
+
+/*!
+ * Coerce an object value to the properties of the model and validate it,
+ * like `create()` does, and report the data to pass to the connector.
+ *
+ * @param {Function} Model The key-value model
+ * @param {*} value The value to store
+ * @param {Object} options The options of the operation, `validate` set to
+ * `false` skips the validation
+ * @param {Function} cb Callback, called with (err, data)
+ */
+function toStoredValue(Model, value, options, cb) {
+  if (!isModelValue(value)) return cb(null, value);
+
+  var inst = value instanceof Model ? value : new Model(value);
+  var data = inst.toObject(true);
+  if (options.validate === false) {
+    return cb(null, data);
+  }
+  // only when options.validate is not set, take model-setting into consideration
+  if (options.validate === undefined && Model.settings.automaticValidation === false) {
+    return cb(null, data);
+  }
+  inst.isValid(function(valid) {
+    if (!valid) return cb(new ValidationError(inst));
+    cb(null, data);
+  }, data, options);
+}
+
+/*!
+ * Build the model instance of an object value read from the connector.
+ *
+ * @param {Function} Model The key-value model
+ * @param {*} value The value returned by the connector
+ * @returns {*} The model instance, or the value when it is not an object
+ */
+function fromStoredValue(Model, value) {
+  if (!isModelValue(value)) return value;
+  var inst = new Model(value, {applySetters: false, persisted: true});
+  // Convert the serialized properties back to their types like the property
+  // setters do, without calling the custom setters of the model
+  var properties = Model.definition.properties;
+  Object.keys(properties).forEach(function(name) {
+    if (inst.__data[name] != null && !properties[name].computed && !Model.setter[name]) {
+      inst[name] = inst.__data[name];
+    }
+  });
+  inst._snapshot();
+  return inst;
+}
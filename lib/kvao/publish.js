@@ -0,0 +1,37 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Publish a message on a channel. The message is delivered to the
+ * subscriptions with a pattern matching the channel.
+ *
+ * @param {String} channel Name of the channel.
+ * @param {*} message The message, serialized like the values.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @promise
+ *
+ * @header KVAO.publish(channel, message, cb)
+ */
+module.exports = function keyValuePublish(channel, message, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof channel === 'string' && channel, 'channel must be a non-empty string');
+  assert(message != null, 'message must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.publish === 'function',
+    'publish() must be implemented by the connector');
+  connector.publish(this.modelName, channel, message, options, callback);
+  return callback.promise;
+};
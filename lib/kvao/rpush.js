@@ -0,0 +1,47 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Add a value at the tail of the list stored at the given key, creating the
+ * list when the key does not exist.
+ *
+ * @param {String} key Key of the list.
+ * @param {*} value Value to add.
+ * @options {Number|Object} options Optional settings. If a Number is
+ *   provided, it is set as the TTL (time to live) in ms (milliseconds).
+ * @property {Number} ttl TTL in ms to set for the key. Without it, the TTL of
+ *   an existing key is kept.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Number} length The length of the list.
+ * @promise
+ *
+ * @header KVAO.rpush(key, value, cb)
+ */
+module.exports = function keyValueRpush(key, value, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(value != null, 'value must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.rpush === 'function',
+    'rpush() must be implemented by the connector');
+  connector.rpush(this.modelName, key, value, options, callback);
+  return callback.promise;
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+var modelValue = require('./model-value');
+
+/**
+ * Persist a value for the given key only if the key does not exist yet.
+ *
+ * @param {String} key Key to associate with the given value.
+ * @param {*} value Value to persist.
+ * @options {Number|Object} options Optional settings for the key-value
+ *   pair. If a Number is provided, it is set as the TTL (time to live) in ms
+ *   (milliseconds) for the key-value pair.
+ * @property {Number} ttl TTL for the key-value pair in ms.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Boolean} created `true` if the value was persisted, `false` if
+ *   the key already existed.
+ * @promise
+ *
+ * @header KVAO.setIfNotExists(key, value, cb)
+ */
+module.exports = function keyValueSetIfNotExists(key, value, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(value != null, 'value must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.setIfNotExists === 'function',
+    'setIfNotExists() must be implemented by the connector');
+  var modelName = this.modelName;
+  modelValue.toStoredValue(this, value, options, function(err, data) {
+    if (err) return callback(err);
+    connector.setIfNotExists(modelName, key, data, options, callback);
+  });
+  return callback.promise;
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var utils = require('../utils');
+var modelValue = require('./model-value');
+
+/**
+ * Persist several key-value pairs. Connectors without `setMany()` persist
+ * one pair at a time.
+ *
+ * @param {Object} entries Object mapping the keys to the values to persist.
+ * @options {Number|Object} options Optional settings for the key-value
+ *   pairs. If a Number is provided, it is set as the TTL (time to live) in ms
+ *   (milliseconds) for the key-value pairs.
+ * @property {Number} ttl TTL for the key-value pairs in ms.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @promise
+ *
+ * @header KVAO.setMany(entries, cb)
+ */
+module.exports = function keyValueSetMany(entries, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(entries && typeof entries === 'object' && !Array.isArray(entries),
+    'entries must be an object');
+  Object.keys(entries).forEach(function(key) {
+    assert(entries[key] != null, 'values must be defined and not null');
+  });
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  var Model = this;
+  var modelName = this.modelName;
+  var data = {};
+  async.eachSeries(Object.keys(entries), function(key, done) {
+    modelValue.toStoredValue(Model, entries[key], options, function(err, value) {
+      data[key] = value;
+      done(err);
+    });
+  }, function(err) {
+    if (err) return callback(err);
+    if (typeof connector.setMany === 'function') {
+      connector.setMany(modelName, data, options, callback);
+    } else {
+      async.eachSeries(Object.keys(data), function(key, done) {
+        connector.set(modelName, key, data[key], options, done);
+      }, function(err) {
+        callback(err);
+      });
+    }
+  });
+  return callback.promise;
+};
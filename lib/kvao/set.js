@@ -2,6 +2,7 @@
 
 var assert = require('assert');
 var utils = require('../utils');
+var modelValue = require('./model-value');
 
 /**
  * Persist a value and associate it with the given key.
@@ -38,7 +39,11 @@ module.exports = function keyValueSet(key, value, options, callback) {
 
   callback = callback || utils.createPromiseCallback();
 
-  // TODO convert possible model instance in "value" to raw data via toObect()
-  this.getConnector().set(this.modelName, key, value, options, callback);
+  var connector = this.getConnector();
+  var modelName = this.modelName;
+  modelValue.toStoredValue(this, value, options, function(err, data) {
+    if (err) return callback(err);
+    connector.set(modelName, key, data, options, callback);
+  });
   return callback.promise;
 };
@@ -0,0 +1,47 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Subscribe to the changes of the keys and to the messages published on the
+ * channels matching the given pattern. The handler is called with an event
+ * object:
+ *
+ *  - `{type: 'set', key}` when a value was set for the key
+ *  - `{type: 'delete', key}` when the key was deleted
+ *  - `{type: 'expire', key}` when the key was discarded because its TTL
+ *    elapsed
+ *  - `{type: 'message', channel, message}` when a message was published on
+ *    the channel
+ *
+ * @param {String} pattern Glob pattern of the keys and channels, supporting
+ *   the `?` and `*` operators like `iterateKeys()`.
+ * @param {Function} handler Function called with the event object.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Object} subscription Handle to pass to `unsubscribe()`.
+ * @promise
+ *
+ * @header KVAO.subscribe(pattern, handler, cb)
+ */
+module.exports = function keyValueSubscribe(pattern, handler, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof pattern === 'string' && pattern, 'pattern must be a non-empty string');
+  assert(typeof handler === 'function', 'handler must be a function');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.subscribe === 'function',
+    'subscribe() must be implemented by the connector');
+  connector.subscribe(this.modelName, pattern, handler, options, callback);
+  return callback.promise;
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Stop delivering the events of a subscription.
+ *
+ * @param {Object} subscription The subscription returned by `subscribe()`.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @promise
+ *
+ * @header KVAO.unsubscribe(subscription, cb)
+ */
+module.exports = function keyValueUnsubscribe(subscription, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(subscription != null, 'subscription must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.unsubscribe === 'function',
+    'unsubscribe() must be implemented by the connector');
+  connector.unsubscribe(this.modelName, subscription, options, callback);
+  return callback.promise;
+};
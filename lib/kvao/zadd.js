@@ -0,0 +1,50 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Add a member with the given score to the sorted set stored at the given
+ * key, creating the set when the key does not exist. The score of an
+ * existing member is updated.
+ *
+ * @param {String} key Key of the sorted set.
+ * @param {Number} score Score of the member.
+ * @param {*} member The member.
+ * @options {Number|Object} options Optional settings. If a Number is
+ *   provided, it is set as the TTL (time to live) in ms (milliseconds).
+ * @property {Number} ttl TTL in ms to set for the key. Without it, the TTL of
+ *   an existing key is kept.
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Boolean} created `true` if the member was not in the set.
+ * @promise
+ *
+ * @header KVAO.zadd(key, score, member, cb)
+ */
+module.exports = function keyValueZadd(key, score, member, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = {ttl: options};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof score === 'number' && isFinite(score), 'score must be a finite number');
+  assert(member != null, 'member must be defined and not null');
+  assert(typeof options === 'object', 'options must be an object');
+  if ('ttl' in options) {
+    assert(typeof options.ttl === 'number' && options.ttl > 0,
+      'options.ttl must be a positive number');
+  }
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.zadd === 'function',
+    'zadd() must be implemented by the connector');
+  connector.zadd(this.modelName, key, score, member, options, callback);
+  return callback.promise;
+};
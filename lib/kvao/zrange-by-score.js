@@ -0,0 +1,40 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('../utils');
+
+/**
+ * Return the members of the sorted set stored at the given key with a score
+ * between min and max, both included, ordered by score.
+ *
+ * @param {String} key Key of the sorted set.
+ * @param {Number} min The minimum score.
+ * @param {Number} max The maximum score.
+ * @options {Object} options
+ * @callback {Function} callback
+ * @param {Error} err Error object.
+ * @param {Array} members The members, empty when the key does not exist.
+ * @promise
+ *
+ * @header KVAO.zrangeByScore(key, min, max, cb)
+ */
+module.exports = function keyValueZrangeByScore(key, min, max, options, callback) {
+  if (callback == undefined && typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (!options) {
+    options = {};
+  }
+
+  assert(typeof key === 'string' && key, 'key must be a non-empty string');
+  assert(typeof min === 'number' && !isNaN(min), 'min must be a number');
+  assert(typeof max === 'number' && !isNaN(max), 'max must be a number');
+  assert(typeof options === 'object', 'options must be an object');
+
+  callback = callback || utils.createPromiseCallback();
+  var connector = this.getConnector();
+  assert(typeof connector.zrangeByScore === 'function',
+    'zrangeByScore() must be implemented by the connector');
+  connector.zrangeByScore(this.modelName, key, min, max, options, callback);
+  return callback.promise;
+};
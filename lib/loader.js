@@ -0,0 +1,183 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+module.exports = Loader;
+
+/**
+ * Loader batches and memoizes the lookups of model instances by id made
+ * while handling a request. Pass a new loader as `loader` in the options of
+ * `findById()`, `findByIds()` and of `belongsTo` relation getters:
+ *
+ * ```js
+ * var options = {loader: new Loader()};
+ * posts.forEach(function(post) {
+ *   post.author(false, options, cb);
+ * });
+ * ```
+ *
+ * The ids requested in the same tick are loaded with one `inq` query per
+ * model, and each instance is loaded at most once during the life of the
+ * loader. Lookups with a filter other than `include` are not batched.
+ *
+ * @class Loader
+ */
+function Loader() {
+  if (!(this instanceof Loader)) {
+    return new Loader();
+  }
+  this._batches = [];
+  this._memo = Object.create(null);
+}
+
+/**
+ * Check whether the lookups with the given filter can be batched.
+ *
+ * @param {Object} [filter] The filter of the lookup
+ * @returns {Boolean}
+ */
+Loader.isBatchable = function(filter) {
+  return !filter || Object.keys(filter).every(function(key) {
+    return key === 'include' || filter[key] === undefined;
+  });
+};
+
+/**
+ * Load a model instance by id.
+ *
+ * @param {Function} Model The model class
+ * @param {*} id The id value
+ * @param {Object} [filter] The filter, with `include` only
+ * @param {Object} [options] The options passed to `find()`
+ * @callback {Function} cb Callback function called with (err, instance),
+ * `instance` is `null` when not found
+ */
+Loader.prototype.load = function(Model, id, filter, options, cb) {
+  var include = JSON.stringify((filter && filter.include) || null);
+  var key = memoKey(Model, id) + include;
+  var entry = this._memo[key];
+  if (entry) {
+    if (!entry.done) {
+      entry.callbacks.push(cb);
+    } else {
+      process.nextTick(function() {
+        cb(null, entry.value);
+      });
+    }
+    return;
+  }
+  entry = this._memo[key] = {key: key, done: false, callbacks: [cb]};
+
+  var batch = this._batches.filter(function(b) {
+    return b.Model === Model && b.include === include && b.options === options;
+  })[0];
+  if (!batch) {
+    batch = {
+      Model: Model,
+      include: include,
+      filter: filter,
+      options: options,
+      ids: [],
+      entries: Object.create(null),
+    };
+    this._batches.push(batch);
+    process.nextTick(this._dispatch.bind(this, batch));
+  }
+  batch.ids.push(id);
+  batch.entries[String(id)] = entry;
+};
+
+/**
+ * Load model instances by ids. Like `findByIds()`, the instances are
+ * returned in the order of the ids and the ids not found are left out.
+ *
+ * @param {Function} Model The model class
+ * @param {Array} ids The id values
+ * @param {Object} [filter] The filter, with `include` only
+ * @param {Object} [options] The options passed to `find()`
+ * @callback {Function} cb Callback function called with (err, instances)
+ */
+Loader.prototype.loadMany = function(Model, ids, filter, options, cb) {
+  var results = [];
+  var pending = ids.length;
+  var failed = false;
+  if (!pending) {
+    return process.nextTick(function() {
+      cb(null, []);
+    });
+  }
+  ids.forEach(function(id, i) {
+    this.load(Model, id, filter, options, function(err, inst) {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return cb(err);
+      }
+      results[i] = inst;
+      if (--pending === 0) {
+        cb(null, results.filter(function(inst, i) {
+          return inst && results.indexOf(inst) === i;
+        }));
+      }
+    });
+  }, this);
+};
+
+/**
+ * Forget the loaded instances, for example after they were modified.
+ *
+ * @param {Function} [Model] Forget the instances of this model only
+ * @param {*} [id] Forget the instance with this id only
+ */
+Loader.prototype.clear = function(Model, id) {
+  var prefix = Model ? Model.modelName + '\u0000' : '';
+  if (Model && id !== undefined) {
+    prefix = memoKey(Model, id);
+  }
+  Object.keys(this._memo).forEach(function(key) {
+    if (key.indexOf(prefix) === 0) {
+      delete this._memo[key];
+    }
+  }, this);
+};
+
+/*!
+ * Load the ids of a batch with one query.
+ */
+Loader.prototype._dispatch = function(batch) {
+  var self = this;
+  this._batches.splice(this._batches.indexOf(batch), 1);
+
+  var Model = batch.Model;
+  var pk = Model.definition.idName() || 'id';
+  var query = {where: {}};
+  query.where[pk] = {inq: batch.ids};
+  if (batch.filter && batch.filter.include) {
+    query.include = batch.filter.include;
+  }
+  Model.find(query, batch.options || {}, function(err, found) {
+    var byId = Object.create(null);
+    (found || []).forEach(function(inst) {
+      byId[String(inst[pk])] = inst;
+    });
+    batch.ids.forEach(function(id) {
+      var entry = batch.entries[String(id)];
+      entry.done = true;
+      entry.value = byId[String(id)] || null;
+      if (err) {
+        // Do not keep the failures, so that the instance can be loaded again
+        delete self._memo[entry.key];
+      }
+      entry.callbacks.forEach(function(cb) {
+        cb(err, err ? undefined : entry.value);
+      });
+    });
+  });
+};
+
+function memoKey(Model, id) {
+  return Model.modelName + '\u0000' + String(id) + '\u0000';
+}
@@ -19,11 +19,13 @@ var List = require('./list.js');
 var ModelDefinition = require('./model-definition.js');
 var mergeSettings = require('./utils').mergeSettings;
 var MixinProvider = require('./mixins');
+var formats = require('./validations').formats;
 
 // Set up types
 require('./types')(ModelBuilder);
 
 var introspect = require('./introspection')(ModelBuilder);
+var defineFromJSONSchema = require('./json-schema').defineFromJSONSchema;
 
 /*!
  * Export public API
@@ -287,6 +289,28 @@ ModelBuilder.prototype.define = function defineClass(className, properties, sett
     ModelClass.definition.defineProperty('id', {type: Number, id: 1, generated: true});
   }
 
+  // Normalize the soft delete setting and add the property marking
+  // deleted instances
+  if (settings.softDelete) {
+    if (typeof settings.softDelete !== 'object') {
+      settings.softDelete = {};
+    }
+    settings.softDelete.property = settings.softDelete.property || 'deletedAt';
+    if (!modelDefinition.properties[settings.softDelete.property]) {
+      ModelClass.definition.defineProperty(settings.softDelete.property, {type: Date});
+    }
+  }
+
+  // Normalize the version setting and add the property holding the version
+  if (settings.version) {
+    if (typeof settings.version !== 'string') {
+      settings.version = '_version';
+    }
+    if (!modelDefinition.properties[settings.version]) {
+      ModelClass.definition.defineProperty(settings.version, {type: Number});
+    }
+  }
+
   idNames = modelDefinition.idNames(); // Reload it after rebuild
   // Create a virtual property 'id'
   if (idNames.length === 1) {
@@ -422,10 +446,15 @@ ModelBuilder.prototype.define = function defineClass(className, properties, sett
       throw new Error(g.f('Invalid type for property %s', propertyName));
     }
 
+    if (prop.computed) {
+      return setupComputedProperty(ModelClass, propertyName, prop);
+    }
+
     if (prop.required) {
       var requiredOptions = typeof prop.required === 'object' ? prop.required : undefined;
       ModelClass.validatesPresenceOf(propertyName, requiredOptions);
     }
+    setupPropertyValidations(ModelClass, propertyName, prop);
 
     Object.defineProperty(ModelClass.prototype, propertyName, {
       get: function() {
@@ -498,6 +527,8 @@ ModelBuilder.prototype.define = function defineClass(className, properties, sett
     ModelClass.registerProperty(propertyName);
   }
 
+  setupSettingsValidations(ModelClass, ModelClass.settings.validations);
+
   var mixinSettings = settings.mixins || {};
   keys = Object.keys(mixinSettings);
   size = keys.length;
@@ -551,6 +582,77 @@ function BooleanType(arg) {
   return Boolean(arg);
 }
 
+/*!
+ * Register the validations declared by the `min`, `max`, `minLength`,
+ * `maxLength`, `pattern`, `enum` and `format` options of a property.
+ * Missing values are left to the `required` option.
+ */
+function setupPropertyValidations(ModelClass, propertyName, prop) {
+  function options(conf) {
+    conf.allowBlank = true;
+    conf.allowNull = true;
+    return conf;
+  }
+
+  if (prop.min != null || prop.max != null) {
+    ModelClass.validatesNumericalityOf(propertyName, options({min: prop.min, max: prop.max}));
+  }
+  if (prop.minLength != null || prop.maxLength != null) {
+    ModelClass.validatesLengthOf(propertyName, options({min: prop.minLength, max: prop.maxLength}));
+  }
+  if (prop.pattern) {
+    var pattern = prop.pattern instanceof RegExp ? prop.pattern : new RegExp(prop.pattern);
+    ModelClass.validatesFormatOf(propertyName, options({with: pattern}));
+  }
+  if (Array.isArray(prop.enum)) {
+    ModelClass.validatesInclusionOf(propertyName, options({in: prop.enum}));
+  }
+  // Other formats, such as the ones of dates, are not validated
+  if (typeof prop.format === 'string' && formats.hasOwnProperty(prop.format)) {
+    ModelClass.validatesFormatOf(propertyName, options({format: prop.format}));
+  }
+}
+
+var configurators = {
+  presence: 'validatesPresenceOf',
+  absence: 'validatesAbsenceOf',
+  length: 'validatesLengthOf',
+  numericality: 'validatesNumericalityOf',
+  inclusion: 'validatesInclusionOf',
+  exclusion: 'validatesExclusionOf',
+  format: 'validatesFormatOf',
+  uniqueness: 'validatesUniquenessOf',
+  comparison: 'validatesComparisonOf',
+};
+
+/*!
+ * Register the validations declared by the `validations` model setting.
+ * Each entry has the `property` (or a list of properties) to validate, the
+ * `validation` name and the options of the validation, for example:
+ *
+ *     {"property": "endDate", "validation": "comparison", "gt": "startDate"}
+ */
+function setupSettingsValidations(ModelClass, validations) {
+  if (!Array.isArray(validations)) return;
+  validations.forEach(function(entry) {
+    var configurator = configurators[entry.validation];
+    if (!configurator) {
+      throw new Error(g.f('Unknown validation %s in the settings of model %s',
+        entry.validation, ModelClass.modelName));
+    }
+    var options = {};
+    Object.keys(entry).forEach(function(key) {
+      if (key !== 'property' && key !== 'validation') options[key] = entry[key];
+    });
+    if (typeof options['with'] === 'string') {
+      options['with'] = new RegExp(options['with']);
+    }
+    [].concat(entry.property).forEach(function(propertyName) {
+      ModelClass[configurator](propertyName, util._extend({}, options));
+    });
+  });
+}
+
 /**
  * Define single property named `propertyName` on `model`
  *
@@ -639,6 +741,93 @@ ModelBuilder.prototype.copyModel = function copyModel(Master) {
   return Slave;
 };
 
+/*!
+ * Define a property computed by the `computed` method of the model, or by
+ * the `computed` function, called with the instance as `this`.
+ *
+ * A computed property is read-only and is never persisted. The value of a
+ * computing function returning a promise is resolved by a `loaded` observer
+ * when instances are loaded, and is `undefined` for other instances.
+ * @param {Function} ModelClass The model class
+ * @param {String} propertyName The property name
+ * @param {Object} prop The property definition
+ */
+function setupComputedProperty(ModelClass, propertyName, prop) {
+  Object.defineProperty(ModelClass.prototype, propertyName, {
+    get: function() {
+      var data = this.__data || {};
+      // Values resolved when loaded, or properties excluded by `fields`
+      if (data.hasOwnProperty(propertyName)) {
+        return data[propertyName];
+      }
+      var value = computeProperty(this, prop);
+      return isThenable(value) ? undefined : value;
+    },
+    set: function(value) {
+      // Computed properties are read-only
+    },
+    configurable: true,
+    enumerable: true,
+  });
+
+  if (ModelClass.hasOwnProperty('_computedObserver')) return;
+  hiddenProperty(ModelClass, '_computedObserver', function(ctx, next) {
+    // The observers of base models are notified for their subclasses too
+    if (ctx.Model !== ModelClass || !ctx.data) return next();
+    var props = ModelClass.definition.properties;
+    var inst = new ModelClass(ctx.data, {applySetters: false});
+    var pending = 1;
+    var failed = false;
+    var done = function(err) {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return next(err);
+      }
+      if (--pending === 0) next();
+    };
+    Object.keys(props).forEach(function(name) {
+      if (!props[name].computed) return;
+      var value;
+      try {
+        value = computeProperty(inst, props[name]);
+      } catch (err) {
+        return done(err);
+      }
+      if (!isThenable(value)) return;
+      pending++;
+      value.then(function(resolved) {
+        ctx.data[name] = resolved;
+        done();
+      }, done);
+    });
+    done();
+  });
+  ModelClass.observe('loaded', ModelClass._computedObserver);
+}
+
+/*!
+ * Compute the value of a computed property of the instance
+ */
+function computeProperty(inst, prop) {
+  var fn = prop.computed;
+  if (typeof fn === 'string') {
+    fn = inst[fn];
+    if (typeof fn !== 'function') {
+      throw new Error(g.f('Computed property method %s is not defined in %s',
+        prop.computed, inst.constructor.modelName));
+    }
+  }
+  return fn.call(inst);
+}
+
+/*!
+ * Check if the value is a promise
+ */
+function isThenable(value) {
+  return !!value && typeof value.then === 'function';
+}
+
 /*!
  * Define hidden property
  */
@@ -785,3 +974,15 @@ ModelBuilder.prototype.buildModelFromInstance = function(name, json, options) {
   // Create a model for the generated schema
   return this.define(name, schema, options);
 };
+
+/**
+ * Define a model from a JSON Schema (draft-07 or 2020-12). The models under
+ * `definitions` or `$defs` are defined too, named after their keys.
+ * @param {String} name The model name
+ * @param {Object} schema The JSON Schema
+ * @param {Object} [settings] The model settings
+ * @returns {Function} The model class
+ */
+ModelBuilder.prototype.defineFromJSONSchema = function(name, schema, settings) {
+  return defineFromJSONSchema(this.define.bind(this), name, schema, settings);
+};
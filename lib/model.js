@@ -22,9 +22,11 @@ var jutil = require('./jutil');
 var List = require('./list');
 var Hookable = require('./hooks');
 var validations = require('./validations');
+var jsonSchema = require('./json-schema');
 var _extend = util._extend;
 var utils = require('./utils');
 var fieldsToArray = utils.fieldsToArray;
+var isSameValue = utils.isSameValue;
 var uuid = require('node-uuid');
 var shortid = require('shortid');
 
@@ -144,6 +146,14 @@ ModelBaseClass.prototype._initProperties = function(data, options) {
         configurable: true,
         value: false,
       },
+
+      // Property values as of the last load or save
+      __previous: {
+        writable: true,
+        enumerable: false,
+        configurable: true,
+        value: undefined,
+      },
     });
 
     if (strict) {
@@ -160,6 +170,7 @@ ModelBaseClass.prototype._initProperties = function(data, options) {
     this.__dataSource = options.dataSource;
     this.__strict = strict;
     this.__persisted = false;
+    this.__previous = undefined;
     if (strict) {
       this.__unknownProperties = [];
     }
@@ -194,7 +205,12 @@ ModelBaseClass.prototype._initProperties = function(data, options) {
       propVal = null;
     }
 
-    if (properties[p]) {
+    if (properties[p] && properties[p].computed) {
+      // Computed property, only the values resolved when loaded are kept
+      if (this.__persisted) {
+        self.__data[p] = propVal;
+      }
+    } else if (properties[p]) {
       // Managed property
       if (applySetters || properties[p].id) {
         self[p] = propVal;
@@ -260,12 +276,21 @@ ModelBaseClass.prototype._initProperties = function(data, options) {
     keys = keys.filter(function(k) {
       return (options.fields.indexOf(k) != -1);
     });
+    // Leave out the computed properties not selected
+    Object.keys(properties).forEach(function(k) {
+      if (properties[k].computed && keys.indexOf(k) === -1) {
+        self.__data[k] = undefined;
+      }
+    });
   }
 
   size = keys.length;
 
   for (k = 0; k < size; k++) {
     p = keys[k];
+    if (properties[p].computed) {
+      continue;
+    }
     propVal = self.__data[p];
     var type = properties[p].type;
 
@@ -351,6 +376,10 @@ ModelBaseClass.prototype._initProperties = function(data, options) {
       }
     }
   }
+
+  if (this.__persisted) {
+    this._snapshot();
+  }
   this.trigger('initialize');
 };
 
@@ -367,6 +396,20 @@ ModelBaseClass.defineProperty = function(prop, params) {
   }
 };
 
+/**
+ * Describe the model as a JSON Schema, including the constraints of its
+ * length, format, inclusion, exclusion and numericality validations.
+ *
+ * @options {Object} [options]
+ * @property {String} draft The JSON Schema version, `draft-07` (default) or
+ * `2020-12`
+ * @property {Boolean} hidden Include the hidden properties
+ * @returns {Object} The JSON Schema
+ */
+ModelBaseClass.toJSONSchema = function(options) {
+  return jsonSchema.toJSONSchema(this, options);
+};
+
 ModelBaseClass.getPropertyType = function(propName) {
   var prop = this.definition.properties[propName];
   if (!prop) {
@@ -585,6 +628,150 @@ ModelBaseClass.prototype.reset = function() {
   }
 };
 
+/**
+ * Check if the instance has changes that were not persisted yet.
+ * An instance that has never been loaded or saved is dirty as soon as
+ * any property is set.
+ *
+ * @param {String} [prop] Check only the given property
+ * @returns {Boolean}
+ */
+ModelBaseClass.prototype.isDirty = function(prop) {
+  var changed = this.changed();
+  return prop === undefined ? changed.length > 0 : changed.indexOf(prop) !== -1;
+};
+
+/**
+ * Get the names of the properties changed since the instance was last
+ * loaded or saved.
+ *
+ * @returns {String[]}
+ */
+ModelBaseClass.prototype.changed = function() {
+  var previous = previousValues(this);
+  var current = snapshotOf(this);
+  var names = Object.keys(current);
+  Object.keys(previous).forEach(function(p) {
+    if (!(p in current)) names.push(p);
+  });
+  return names.filter(function(p) {
+    if (!this.__previous) return current[p] !== undefined;
+    return !isSameValue(previous[p], current[p]);
+  }, this);
+};
+
+/**
+ * Get the value of a property as of the last load or save.
+ *
+ * @param {String} [prop] Property name; when omitted, all the values are
+ * returned as an object
+ * @returns {*}
+ */
+ModelBaseClass.prototype.previous = function(prop) {
+  var previous = previousValues(this);
+  if (prop === undefined) return cloneValue(previous);
+  return cloneValue(previous[prop]);
+};
+
+/**
+ * Describe the changes made since the last load or save
+ * as `{prop: {previous: oldValue, current: newValue}}`.
+ * @param {Object} [data] Describe the changes this data would make instead
+ * @private
+ */
+ModelBaseClass.prototype._changes = function(data) {
+  var previous = previousValues(this);
+  var current = snapshotOf(this);
+  var names = this.changed();
+  if (data) {
+    if (!this.__previous) previous = current;
+    current = data;
+    names = Object.keys(data).filter(function(p) {
+      return typeof data[p] !== 'function' && !isSameValue(previous[p], data[p]);
+    });
+  }
+  var changes = {};
+  names.forEach(function(p) {
+    changes[p] = {previous: cloneValue(previous[p]), current: current[p]};
+  });
+  return changes;
+};
+
+/**
+ * Record a copy of the current property values as the persisted state, so
+ * that the values changed in place are reported too.
+ * @private
+ */
+ModelBaseClass.prototype._snapshot = function() {
+  var self = this;
+  var props = this.constructor.definition.properties;
+  var data = this.__data;
+  var previous = {};
+  Object.keys(props).concat(Object.keys(data)).forEach(function(p) {
+    // Computed properties change with the properties they are computed from
+    if (p.indexOf('__') === 0 || (props[p] && props[p].computed)) return;
+    // The id can be held by a read-only property of the instance
+    var val = p in data ? data[p] : self[p];
+    if (typeof val === 'function') return;
+    previous[p] = copyValue(val);
+  });
+  this.__previous = previous;
+};
+
+/*!
+ * Get the persisted values of an instance in the form returned by
+ * `toObject(false)`.
+ */
+function previousValues(inst) {
+  var previous = inst.__previous || {};
+  var persistUndefinedAsNull = inst.constructor.definition.settings.persistUndefinedAsNull;
+  var values = {};
+  Object.keys(previous).forEach(function(p) {
+    var val = previous[p];
+    if (val !== undefined && val !== null && typeof val.toObject === 'function') {
+      val = val.toObject(false, false, true);
+    } else if (val === undefined && persistUndefinedAsNull) {
+      val = null;
+    }
+    values[p] = val;
+  });
+  return values;
+}
+
+function copyValue(val) {
+  if (val !== undefined && val !== null && typeof val.toObject === 'function') {
+    return val.toObject(false, false, true);
+  }
+  return cloneValue(val);
+}
+
+/*!
+ * Copy the property values of an instance, including nested models and
+ * lists, so that later changes to the instance do not leak into the copy.
+ */
+function snapshotOf(inst) {
+  var data = inst.toObject(false);
+  var props = inst.constructor.definition.properties;
+  var snapshot = {};
+  Object.keys(data).forEach(function(p) {
+    // Computed properties change with the properties they are computed from
+    if (props[p] && props[p].computed) return;
+    if (typeof data[p] !== 'function') snapshot[p] = cloneValue(data[p]);
+  });
+  return snapshot;
+}
+
+function cloneValue(val) {
+  if (val instanceof Date) return new Date(val.getTime());
+  if (Array.isArray(val)) return val.map(cloneValue);
+  if (val && typeof val === 'object' && val.constructor === Object) {
+    var copy = {};
+    for (var k in val) copy[k] = cloneValue(val[k]);
+    return copy;
+  }
+  return val;
+}
+
 // Node v0.11+ allows custom inspect functions to return an object
 // instead of string. That way options like `showHidden` and `colors`
 // can be preserved.
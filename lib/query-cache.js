@@ -0,0 +1,249 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var async = require('async');
+var crypto = require('crypto');
+var utils = require('./utils');
+var GeoPoint = require('./geo').GeoPoint;
+var debug = require('debug')('loopback:query-cache');
+
+exports.setupQueryCache = setupQueryCache;
+exports.cachedAll = cachedAll;
+
+var DEFAULT_TTL = 60000;
+var GENERATION_KEY = 'generation';
+
+/*!
+ * Cache the results of the queries of a model with the `cache` setting in a
+ * key-value data source, and add the `clearCache()` method.
+ *
+ * The setting accepts `true` or an object with:
+ * - dataSource: The key-value data source to store the results in, defaults
+ *   to a `kv-memory` data source shared by the models of the data source
+ * - model: Name of the key-value model, defaults to `<Model>Cache`
+ * - ttl: Time to live of the cached results in ms, defaults to 60000
+ *
+ * Cached results are stored under the current generation of the model. The
+ * `after save` and `after delete` observers start a new generation, so that
+ * the results cached before the change are not used anymore and expire. The
+ * changes made in a transaction start it when the transaction is committed.
+ *
+ * @param {DataSource} dataSource The data source the model is attached to
+ * @param {Function} Model The model class
+ */
+function setupQueryCache(dataSource, Model) {
+  var settings = Model.definition.settings;
+  if (!settings.cache || Model.hasOwnProperty('_cacheModel')) return;
+
+  if (typeof settings.cache !== 'object') {
+    settings.cache = {};
+  }
+  var cacheSettings = settings.cache;
+  cacheSettings.model = cacheSettings.model || Model.modelName + 'Cache';
+  cacheSettings.ttl = cacheSettings.ttl || DEFAULT_TTL;
+
+  var cacheDataSource = cacheSettings.dataSource || defaultCacheDataSource(dataSource);
+  var CacheModel = cacheDataSource.modelBuilder.models[cacheSettings.model];
+  if (!CacheModel || CacheModel.dataSource !== cacheDataSource) {
+    CacheModel = cacheDataSource.createModel(cacheSettings.model);
+  }
+  Object.defineProperty(Model, '_cacheModel', {
+    writable: true,
+    enumerable: false,
+    configurable: true,
+    value: CacheModel,
+  });
+
+  Model.observe('after save', function(ctx, next) {
+    invalidateAfterWrite(Model, ctx.options, next);
+  });
+
+  Model.observe('after delete', function(ctx, next) {
+    invalidateAfterWrite(Model, ctx.options, next);
+  });
+
+  /**
+   * Discard the cached query results of the model, for example after the
+   * data was changed without going through the model.
+   *
+   * @callback {Function} cb Callback function called with (err)
+   * @returns {Promise} A promise when no callback is provided
+   */
+  Model.clearCache = function(cb) {
+    cb = cb || utils.createPromiseCallback();
+    invalidate(this, cb);
+    return cb.promise;
+  };
+}
+
+/*!
+ * Get the `kv-memory` data source holding the caches of the models of a data
+ * source without a configured cache data source.
+ */
+function defaultCacheDataSource(dataSource) {
+  if (!dataSource._queryCacheDataSource) {
+    Object.defineProperty(dataSource, '_queryCacheDataSource', {
+      writable: true,
+      enumerable: false,
+      configurable: true,
+      value: new dataSource.constructor('kv-memory'),
+    });
+  }
+  return dataSource._queryCacheDataSource;
+}
+
+/*!
+ * Start a new generation of the cached results of a model.
+ */
+function invalidate(Model, cb) {
+  var generation = Date.now().toString(36) + Math.random().toString(36).slice(2);
+  Model._cacheModel.set(GENERATION_KEY, generation, function(err) {
+    cb(err);
+  });
+}
+
+/*!
+ * Start a new generation after a write. The changes made in a transaction
+ * are not visible outside of it until it is committed: the generation is
+ * started after the commit, and not at all when it is rolled back.
+ */
+function invalidateAfterWrite(Model, options, cb) {
+  var transaction = options && options.transaction;
+  if (!transaction || typeof transaction.observe !== 'function') {
+    return invalidate(Model, cb);
+  }
+  var models = transaction.__queryCacheModels;
+  if (!models) {
+    models = [];
+    Object.defineProperty(transaction, '__queryCacheModels', {
+      writable: false,
+      enumerable: false,
+      configurable: true,
+      value: models,
+    });
+    transaction.observe('after commit', function(ctx, next) {
+      async.eachSeries(models, invalidate, function(err) {
+        if (err) {
+          // The transaction is committed already, do not fail it
+          debug('Cannot invalidate the cache after commit: %s', err);
+        }
+        next();
+      });
+    });
+  }
+  if (models.indexOf(Model) === -1) {
+    models.push(Model);
+  }
+  process.nextTick(cb);
+}
+
+/*!
+ * Serialize a query with sorted object keys, so that equivalent queries
+ * share the cached results.
+ */
+function normalize(value) {
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    var sorted = {};
+    Object.keys(value).sort().forEach(function(key) {
+      if (value[key] !== undefined) sorted[key] = normalize(value[key]);
+    });
+    return sorted;
+  }
+  return value;
+}
+
+function cacheKey(generation, query) {
+  var hash = crypto.createHash('sha1')
+    .update(JSON.stringify(normalize(query)))
+    .digest('hex');
+  return 'query:' + generation + ':' + hash;
+}
+
+/*!
+ * Turn a property value read back from the JSON stored in the cache into the
+ * type of the property.
+ */
+function fromCachedValue(type, value) {
+  if (value == null) return value;
+  if (Array.isArray(type)) {
+    return Array.isArray(value) ? value.map(function(item) {
+      return fromCachedValue(type[0], item);
+    }) : value;
+  }
+  if (type === Date) return new Date(value);
+  if (type === Buffer) {
+    return Buffer.from(value && value.type === 'Buffer' ? value.data : value);
+  }
+  if (type === GeoPoint) return new GeoPoint(value);
+  return value;
+}
+
+/*!
+ * Restore the types of the properties of the cached records, as the
+ * connector returns them.
+ */
+function fromCache(Model, data) {
+  var properties = Model.definition.properties;
+  return data.map(function(record) {
+    Object.keys(record).forEach(function(name) {
+      if (properties[name]) {
+        record[name] = fromCachedValue(properties[name].type, record[name]);
+      }
+    });
+    return record;
+  });
+}
+
+/*!
+ * Load the raw results of a query through the cache of the model. The cache
+ * is bypassed for models without the `cache` setting, inside transactions,
+ * with `options.cache` set to `false`, and for queries including related
+ * models, whose changes do not invalidate the cache of the model. Failures
+ * of the cache are logged and the results are loaded from the connector.
+ *
+ * @param {Function} Model The model class
+ * @param {Object} query The query passed to the connector
+ * @param {Object} options The options of the operation
+ * @param {Function} load Function loading the results from the connector,
+ * called with (cb)
+ * @param {Function} cb Callback, called with (err, data)
+ */
+function cachedAll(Model, query, options, load, cb) {
+  var CacheModel = Model._cacheModel;
+  if (!CacheModel || options.cache === false || options.transaction ||
+      query.include) {
+    return load(cb);
+  }
+  CacheModel.get(GENERATION_KEY, function(err, generation) {
+    if (err) {
+      debug('Cannot read the cache generation of %s: %s', Model.modelName, err);
+      return load(cb);
+    }
+    var key = cacheKey(generation || '0', query);
+    CacheModel.get(key, function(err, cached) {
+      if (err) {
+        debug('Cannot read the cached results of %s: %s', Model.modelName, err);
+      } else if (cached) {
+        debug('Cache hit %s %s', Model.modelName, key);
+        return cb(null, fromCache(Model, cached));
+      }
+      load(function(err, data) {
+        if (err || !Array.isArray(data)) return cb(err, data);
+        var ttl = Model.definition.settings.cache.ttl;
+        CacheModel.set(key, data, {ttl: ttl}, function(err) {
+          if (err) {
+            debug('Cannot cache the results of %s: %s', Model.modelName, err);
+          }
+          cb(null, data);
+        });
+      });
+    });
+  });
+}
@@ -1397,6 +1397,9 @@ BelongsTo.prototype.destroy = function(options, cb) {
  * - order.customer(customer): Synchronous setter of the target model instance
  * - order.customer(): Synchronous getter of the target model instance
  *
+ * A `Loader` passed as `options.loader` batches the lookups of the target
+ * model instances made in the same tick.
+ *
  * @param refresh
  * @param params
  * @returns {*}
@@ -1479,7 +1482,14 @@ BelongsTo.prototype.related = function(condOrRefresh, options, cb) {
         query.fields.push(pk); // always include the pk
       }
 
-      modelTo.findOne(query, options, function(err, inst) {
+      var loader = options && options.loader;
+      var byId = pk === modelTo.definition.idName() &&
+        Object.keys(query).length === 1 && Object.keys(query.where).length === 1;
+      var findTarget = loader && byId ?
+        function(done) { loader.load(modelTo, query.where[pk], null, options, done); } :
+        function(done) { modelTo.findOne(query, options, done); };
+
+      findTarget(function(err, inst) {
         if (err) {
           return cb(err);
         }
@@ -67,6 +67,14 @@ function TransactionMixin() {
  *
  */
 TransactionMixin.beginTransaction = function(options, cb) {
+  if (typeof options === 'function' && cb === undefined) {
+    cb = options;
+    options = {};
+  }
+  if (typeof options === 'string') {
+    options = {isolationLevel: options};
+  }
+  options = options || {};
   cb = cb || utils.createPromiseCallback();
   if (Transaction) {
     var connector = this.getConnector();
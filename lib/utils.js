@@ -21,6 +21,7 @@ exports.uniq = uniq;
 exports.toRegExp = toRegExp;
 exports.hasRegExpFlags = hasRegExpFlags;
 exports.idEquals = idEquals;
+exports.isSameValue = isSameValue;
 exports.findIndexOf = findIndexOf;
 exports.collectTargetIds = collectTargetIds;
 exports.idName = idName;
@@ -576,6 +577,40 @@ function idEquals(id1, id2) {
   return false;
 }
 
+/**
+ * Compare two property values: dates by their time, arrays and objects of the
+ * same constructor by their items, and other objects, such as MongoDB
+ * ObjectID, by their string value
+ * @param {*} a The first value
+ * @param {*} b The second value
+ * @returns {Boolean} true if the values are the same
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every(function(v, i) {
+      return isSameValue(v, b[i]);
+    });
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' &&
+      !Array.isArray(a) && !Array.isArray(b)) {
+    if (a.constructor !== b.constructor) return false;
+    var keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(function(k) {
+      return b.hasOwnProperty(k) && isSameValue(a[k], b[k]);
+    });
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    // ids such as MongoDB ObjectID compare by their string value
+    return a != null && b != null && String(a) === String(b);
+  }
+  return false;
+}
+
 // Defaults to native Array.prototype.indexOf when no idEqual is present
 // Otherwise, returns the lowest index for which isEqual(arr[]index, target) is true
 function findIndexOf(arr, target, isEqual) {
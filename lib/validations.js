@@ -5,9 +5,12 @@
 
 'use strict';
 
-var g = require('strong-globalize')();
+var SG = require('strong-globalize');
+var g = SG();
+var path = require('path');
 var util = require('util');
 var extend = util._extend;
+var isSameValue = require('./utils').isSameValue;
 
 /*!
  * Module exports
@@ -15,6 +18,16 @@ var extend = util._extend;
 exports.ValidationError = ValidationError;
 exports.Validatable = Validatable;
 
+/*!
+ * Well-known formats of the format validator
+ */
+var formats = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+exports.formats = formats;
+
 /**
  * This class provides methods that add validation cababilities to models.
  * Each of the validations runs when the `obj.isValid()` method is called.
@@ -25,6 +38,12 @@ exports.Validatable = Validatable;
  *
  * In more complicated cases it can be a set of messages, for each possible error condition; for example:
  * `User.validatesLengthOf('password', { min: 6, max: 20, message: {min: 'too short', max: 'too long'}});`
+ *
+ * A validation can be limited to the instances matching a `when` condition.
+ * The condition maps property names to a value, or to an object with one of
+ * the `eq`, `neq`, `gt`, `gte`, `lt`, `lte`, `inq` and `nin` operators, and
+ * can combine conditions with `and` and `or`; for example:
+ * `Order.validatesPresenceOf('shippingAddress', {when: {deliveryType: 'ship'}});`
  * @class Validatable
  */
 function Validatable() {
@@ -105,15 +124,20 @@ Validatable.validatesLengthOf = getConfigurator('length');
  * ```
  * User.validatesNumericalityOf('age', { message: { number: '...' }});
  * User.validatesNumericalityOf('age', {int: true, message: { int: '...' }});
+ * User.validatesNumericalityOf('age', {min: 18, max: 120});
  * ```
  *
  * @param {String} propertyName  Property name to validate.
  * @options {Object} Options See below.
  * @property {Boolean} int If true, then property must be an integer to be valid.
+ * @property {Number} min Minimal value of the property.
+ * @property {Number} max Maximal value of the property.
  * @property {Object} message Optional object with string properties for 'int' for integer validation.  Default error messages:
  *
  * - number: is not a number
  * - int: is not an integer
+ * - min: is too small
+ * - max: is too large
  */
 Validatable.validatesNumericalityOf = getConfigurator('numericality');
 
@@ -156,9 +180,14 @@ Validatable.validatesExclusionOf = getConfigurator('exclusion');
  * Require a model to include a property that matches the given format.  Example:
  * `User.validatesFormatOf('name', {with: /\w+/});`
  *
+ * A well-known format can be used instead of a regular expression, the error
+ * code is then suffixed with the format name, for example `format.email`.
+ * Example: `User.validatesFormatOf('email', {format: 'email'});`
+ *
  * @param {String} propertyName  Property name to validate.
  * @options {Object} Options
  * @property {RegExp} with Regular expression to validate format.
+ * @property {String} format Name of a well-known format: `email`, `uri` or `uuid`.
  * @property {String} message Optional error message if property is not valid.  Default error message: " is invalid".
  * @property {Boolean} allowNull Whether null values are allowed.
  */
@@ -243,6 +272,32 @@ Validatable.validateAsync = getConfigurator('custom', {async: true});
  */
 Validatable.validatesUniquenessOf = getConfigurator('uniqueness', {async: true});
 
+/**
+ * Validate comparison. Require a property value to compare to the value of
+ * another property of the same model. The comparison is skipped when the
+ * other property has no value.
+ *
+ * Example:
+ * ```
+ * Event.validatesComparisonOf('endDate', {gt: 'startDate'});
+ * User.validatesComparisonOf('passwordConfirmation', {eq: 'password'});
+ * ```
+ *
+ * @param {String} propertyName  Property name to validate.
+ * @options {Object} Options See below.
+ * @property {String} eq Name of the property the value must be equal to.
+ * @property {String} neq Name of the property the value must differ from.
+ * @property {String} gt Name of the property the value must be greater than.
+ * @property {String} gte Name of the property the value must be greater than or equal to.
+ * @property {String} lt Name of the property the value must be less than.
+ * @property {String} lte Name of the property the value must be less than or equal to.
+ * @property {Object} message Optional object with string properties for each
+ * operator. Default error messages, such as "must be greater than startDate",
+ * name the compared property.
+ * @property {Boolean} allowNull Whether null values are allowed.
+ */
+Validatable.validatesComparisonOf = getConfigurator('comparison');
+
 // implementation of validators
 
 /*!
@@ -293,6 +348,12 @@ function validateNumericality(attr, conf, err, options) {
   if (conf.int && this[attr] !== Math.round(this[attr])) {
     return err('int');
   }
+  if (conf.min != null && this[attr] < conf.min) {
+    return err('min');
+  }
+  if (conf.max != null && this[attr] > conf.max) {
+    return err('max');
+  }
 }
 
 /*!
@@ -323,15 +384,44 @@ function validateExclusion(attr, conf, err, options) {
 function validateFormat(attr, conf, err, options) {
   if (nullCheck.call(this, attr, conf, err)) return;
 
+  var pattern = conf.format ? formats[conf.format] : conf['with'];
   if (typeof this[attr] === 'string') {
-    if (!this[attr].match(conf['with'])) {
-      err();
+    if (!this[attr].match(pattern)) {
+      err(conf.format);
     }
   } else {
-    err();
+    err(conf.format);
   }
 }
 
+/*!
+ * Comparison validator
+ */
+function validateComparison(attr, conf, err, options) {
+  if (nullCheck.call(this, attr, conf, err)) return;
+
+  var value = comparable(this[attr]);
+  Object.keys(comparators).forEach(function(op) {
+    if (conf[op] === undefined || this[conf[op]] == null) return;
+    if (!comparators[op](value, comparable(this[conf[op]]))) {
+      err(op);
+    }
+  }, this);
+}
+
+var comparators = {
+  eq: function(a, b) { return a === b; },
+  neq: function(a, b) { return a !== b; },
+  gt: function(a, b) { return a > b; },
+  gte: function(a, b) { return a >= b; },
+  lt: function(a, b) { return a < b; },
+  lte: function(a, b) { return a <= b; },
+};
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
 /*!
  * Custom validator
  */
@@ -354,35 +444,164 @@ function validateUniqueness(attr, conf, err, options, done) {
   if (blank(this[attr])) {
     return process.nextTick(done);
   }
-  var cond = {where: {}};
-  cond.where[attr] = this[attr];
+  var cond = {where: uniquenessWhere(this, attr, conf)};
 
-  if (conf && conf.scopedTo) {
-    conf.scopedTo.forEach(function(k) {
-      var val = this[k];
-      if (val !== undefined)
-        cond.where[k] = this[k];
-    }, this);
+  // Use the result of the batch check of an array create, if any
+  var checks = options && options.uniquenessChecks;
+  var key = JSON.stringify(cond.where);
+  if (checks && checks.hasOwnProperty(key)) {
+    if (checks[key]) err();
+    return process.nextTick(done);
   }
 
-  var idName = this.constructor.definition.idName();
-  var isNewRecord = this.isNewRecord();
   this.constructor.find(cond, options, function(error, found) {
     if (error) {
       err(error);
-    } else if (found.length > 1) {
-      err();
-    } else if (found.length === 1 && idName === attr && isNewRecord) {
-      err();
-    } else if (found.length === 1 && (
-      !this.id || !found[0].id || found[0].id.toString() != this.id.toString()
-    )) {
+    } else if (isTaken(this, attr, found)) {
       err();
     }
     done();
   }.bind(this));
 }
 
+/*!
+ * Build the query condition of a uniqueness validation
+ */
+function uniquenessWhere(inst, attr, conf) {
+  var where = {};
+  where[attr] = inst[attr];
+
+  if (conf && conf.scopedTo) {
+    conf.scopedTo.forEach(function(k) {
+      var val = inst[k];
+      if (val !== undefined)
+        where[k] = inst[k];
+    });
+  }
+  return where;
+}
+
+/*!
+ * Check whether the records found by a uniqueness validation conflict with
+ * the validated instance
+ */
+function isTaken(inst, attr, found) {
+  var idName = inst.constructor.definition.idName();
+  if (found.length > 1) return true;
+  if (found.length === 1 && idName === attr && inst.isNewRecord()) return true;
+  return found.length === 1 &&
+    (!inst.id || !found[0].id || found[0].id.toString() != inst.id.toString());
+}
+
+/*!
+ * Check the uniqueness validations of the instances of an array create with
+ * one query per validation, and report the duplicates within the batch.
+ *
+ * The callback receives the options to create each instance with, they carry
+ * the results for the uniqueness validator. When the model has no uniqueness
+ * validation, the callback is called right away with no options, so that the
+ * creates are not delayed.
+ *
+ * @param {Function} Model The model class
+ * @param {Object[]} items The data or instances to create
+ * @param {Object} options The options of the create
+ * @callback {Function} cb Callback function called with (err, itemOptions)
+ */
+exports.checkUniquenessBatch = function(Model, items, options, cb) {
+  var validations = Model.validations || {};
+  var checks = [];
+  Object.keys(validations).forEach(function(attr) {
+    validations[attr].forEach(function(conf) {
+      if (conf.validation === 'uniqueness') checks.push({attr: attr, conf: conf});
+    });
+  });
+  if (!checks.length) return cb();
+
+  var instances = items.map(function(item) {
+    return item instanceof Model ? item : new Model(item);
+  });
+  var results = instances.map(function() { return {}; });
+  var pending = checks.length, failed = false;
+
+  checks.forEach(function(check) {
+    var attr = check.attr, conf = check.conf;
+    var first = {}, conditions = [];
+    instances.forEach(function(inst, i) {
+      if (blank(inst[attr]) || skipValidation(inst, conf, 'if') ||
+          skipValidation(inst, conf, 'unless') ||
+          (conf.when && !matchCondition(inst, conf.when))) return;
+      var where = uniquenessWhere(inst, attr, conf);
+      var key = JSON.stringify(where);
+      if (first.hasOwnProperty(key)) {
+        // Duplicate within the batch
+        results[i][key] = true;
+      } else {
+        first[key] = i;
+        conditions.push(where);
+      }
+    });
+    if (!conditions.length) return next();
+
+    var where = conditions.length === 1 ? conditions[0] : {or: conditions};
+    if (!conf.scopedTo || !conf.scopedTo.length) {
+      where = {};
+      where[attr] = {inq: conditions.map(function(c) { return c[attr]; })};
+    }
+    Model.find({where: where}, options, function(err, found) {
+      if (err) return next(err);
+      Object.keys(first).forEach(function(key) {
+        var i = first[key];
+        var cond = JSON.parse(key);
+        var matches = found.filter(function(record) {
+          return Object.keys(cond).every(function(k) {
+            return isSameValue(record[k], instances[i][k]);
+          });
+        });
+        results[i][key] = isTaken(instances[i], attr, matches);
+      });
+      next();
+    });
+  });
+
+  function next(err) {
+    if (failed) return;
+    if (err) {
+      failed = true;
+      return cb(err);
+    }
+    if (--pending) return;
+    cb(null, results.map(function(checks) {
+      var itemOptions = extend({}, options);
+      Object.defineProperty(itemOptions, 'uniquenessChecks', {
+        enumerable: false,
+        configurable: true,
+        value: checks,
+      });
+      return itemOptions;
+    }));
+  }
+};
+
+/*!
+ * Build the ValidationError of a duplicate key error reported by a connector
+ * for the given property
+ *
+ * @param {Object} inst The model instance
+ * @param {String} attr The property name
+ * @param {Object} [options] The options of the operation
+ * @returns {ValidationError}
+ */
+exports.uniquenessError = function(inst, attr, options) {
+  var errors = new Errors;
+  errors.add(attr, lookupMessage(['uniqueness'], {}, options && options.locale), 'uniqueness');
+  Object.defineProperty(inst, 'errors', {
+    enumerable: false,
+    configurable: true,
+    value: errors,
+  });
+  return new ValidationError(inst);
+};
+
 var validators = {
   presence: validatePresence,
   absence: validateAbsence,
@@ -391,6 +610,7 @@ var validators = {
   inclusion: validateInclusion,
   exclusion: validateExclusion,
   format: validateFormat,
+  comparison: validateComparison,
   custom: validateCustom,
   uniqueness: validateUniqueness,
 };
@@ -432,6 +652,13 @@ function getConfigurator(name, opts) {
  *     }
  * });
  * ```
+ *
+ * Model instances nested in properties, such as the ones of a property typed
+ * as another model or as a list of models, are validated too. Their errors
+ * are reported under the dotted path of the nested property, for example
+ * `addresses.2.zip`. Set the `validate` option of a property to `false` to
+ * skip its nested instances.
+ *
  * @param {Function} callback called with (valid)
  * @returns {Boolean} True if no asynchronous validation is configured and all properties pass validation.
  */
@@ -439,12 +666,13 @@ Validatable.prototype.isValid = function(callback, data, options) {
   options = options || {};
   var valid = true, inst = this, wait = 0, async = false;
   var validations = this.constructor.validations;
+  var nested = nestedInstances(this);
 
   var reportDiscardedProperties = this.__strict &&
     this.__unknownProperties && this.__unknownProperties.length;
 
   // exit with success when no errors
-  if (typeof validations !== 'object' && !reportDiscardedProperties) {
+  if (typeof validations !== 'object' && !reportDiscardedProperties && !nested.length) {
     cleanErrors(this);
     if (callback) {
       this.trigger('validate', function(validationsDone) {
@@ -478,18 +706,37 @@ Validatable.prototype.isValid = function(callback, data, options) {
             validationFailed(inst, attr, v, options, done);
           });
         } else {
-          if (validationFailed(inst, attr, v)) {
+          if (validationFailed(inst, attr, v, options)) {
             valid = false;
           }
         }
       });
     });
 
+    nested.forEach(function(item) {
+      var pending = true, completed = false;
+      item.instance.isValid(function(nestedValid) {
+        if (!nestedValid) addNestedErrors(inst, item.path, item.instance.errors);
+        if (pending) {
+          completed = true;
+          if (!nestedValid) valid = false;
+        } else {
+          done(!nestedValid);
+        }
+      }, undefined, options);
+      pending = false;
+      // The nested instance has asynchronous validations
+      if (!completed) {
+        async = true;
+        wait += 1;
+      }
+    });
+
     if (reportDiscardedProperties) {
       for (var ix in inst.__unknownProperties) {
         var key = inst.__unknownProperties[ix];
         var code = 'unknown-property';
-        var msg = defaultMessages[code];
+        var msg = lookupMessage([code], {}, options.locale);
         inst.errors.add(key, msg, code);
         valid = false;
       }
@@ -526,6 +773,53 @@ Validatable.prototype.isValid = function(callback, data, options) {
   }
 };
 
+/*!
+ * List the model instances nested in the properties of a model instance, with
+ * their dotted path. The properties of embedded relations are skipped, as the
+ * relations validate them.
+ */
+function nestedInstances(inst) {
+  var Model = inst.constructor;
+  var properties = Model.definition && Model.definition.properties;
+  if (!properties || !inst.__data) return [];
+  var relations = Model.relations || {};
+  var embedded = Object.keys(relations).map(function(name) {
+    return relations[name].embed && relations[name].keyFrom;
+  });
+
+  var result = [];
+  Object.keys(properties).forEach(function(name) {
+    if (properties[name].validate === false || embedded.indexOf(name) !== -1) return;
+    var value = inst.__data[name];
+    if (isValidatable(value)) {
+      result.push({path: name, instance: value});
+    } else if (Array.isArray(value)) {
+      value.forEach(function(item, index) {
+        if (isValidatable(item)) {
+          result.push({path: name + '.' + index, instance: item});
+        }
+      });
+    }
+  });
+  return result;
+}
+
+function isValidatable(value) {
+  return value != null && typeof value === 'object' && typeof value.isValid === 'function';
+}
+
+/*!
+ * Report the errors of a nested model instance under its path
+ */
+function addNestedErrors(inst, path, errors) {
+  if (!errors) return;
+  Object.keys(errors).forEach(function(field) {
+    errors[field].forEach(function(message, i) {
+      inst.errors.add(path + '.' + field, message, errors.codes[field][i]);
+    });
+  });
+}
+
 function cleanErrors(inst) {
   Object.defineProperty(inst, 'errors', {
     enumerable: false,
@@ -547,7 +841,8 @@ function validationFailed(inst, attr, conf, options, cb) {
   // here we should check skip validation conditions (if, unless)
   // that can be specified in conf
   if (skipValidation(inst, conf, 'if') ||
-      skipValidation(inst, conf, 'unless')) {
+      skipValidation(inst, conf, 'unless') ||
+      (conf.when && !matchCondition(inst, conf.when))) {
     if (cb) cb(false);
     return false;
   }
@@ -558,26 +853,19 @@ function validationFailed(inst, attr, conf, options, cb) {
   validatorArguments.push(attr);
   validatorArguments.push(conf);
   validatorArguments.push(function onerror(kind) {
-    var message, code = conf.code || conf.validation;
-    if (conf.message) {
-      message = conf.message;
-    }
-    if (!message && defaultMessages[conf.validation]) {
-      message = defaultMessages[conf.validation];
-    }
-    if (!message) {
-      message = 'is invalid';
-    }
+    var message = conf.message, code = conf.code || conf.validation;
+    var keys = [];
     if (kind) {
       code += '.' + kind;
-      if (message[kind]) {
-        // get deeper
-        message = message[kind];
-      } else if (defaultMessages.common[kind]) {
-        message = defaultMessages.common[kind];
-      } else {
-        message = 'is invalid';
-      }
+      message = message && message[kind];
+      keys.push(code, conf.validation + '.' + kind, kind);
+    } else {
+      keys.push(code, conf.validation);
+    }
+    if (typeof message === 'string') {
+      message = interpolate(message, conf);
+    } else {
+      message = lookupMessage(keys.concat('invalid'), conf, options && options.locale);
     }
     if (kind !== false) inst.errors.add(attr, message, code);
     fail = true;
@@ -611,28 +899,190 @@ function skipValidation(inst, conf, kind) {
   return !doValidate;
 }
 
+/*!
+ * Check whether a model instance matches the `when` condition of a validation
+ */
+function matchCondition(inst, where) {
+  return Object.keys(where).every(function(key) {
+    var cond = where[key];
+    if (key === 'and' || key === 'or') {
+      var method = key === 'and' ? 'every' : 'some';
+      return cond[method](function(c) {
+        return matchCondition(inst, c);
+      });
+    }
+    var value = comparable(inst[key]);
+    if (cond == null) {
+      return value == null;
+    }
+    if (typeof cond !== 'object' || cond instanceof Date) {
+      return value === comparable(cond);
+    }
+    return Object.keys(cond).every(function(op) {
+      if (op === 'inq' || op === 'nin') {
+        var found = cond[op].some(function(v) {
+          return comparable(v) === value;
+        });
+        return op === 'inq' ? found : !found;
+      }
+      return comparators[op](value, comparable(cond[op]));
+    });
+  });
+}
+
+/*!
+ * Check the operators of the `when` condition of a validation, so that
+ * invalid conditions are reported when the validation is configured
+ * rather than by `isValid()`.
+ */
+function checkCondition(cls, attr, where) {
+  function invalid(reason) {
+    return new Error(g.f('Invalid {{when}} condition of the validation of %s.%s: %s',
+      cls.modelName, attr, reason));
+  }
+  if (!where || typeof where !== 'object' || Array.isArray(where)) {
+    throw invalid(g.f('the condition must be an object'));
+  }
+  Object.keys(where).forEach(function(key) {
+    var cond = where[key];
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(cond)) {
+        throw invalid(g.f('%s must be an array', key));
+      }
+      return cond.forEach(function(c) {
+        checkCondition(cls, attr, c);
+      });
+    }
+    if (cond == null || typeof cond !== 'object' || cond instanceof Date) return;
+    Object.keys(cond).forEach(function(op) {
+      if (op === 'inq' || op === 'nin') {
+        if (!Array.isArray(cond[op])) {
+          throw invalid(g.f('%s of %s must be an array', op, key));
+        }
+      } else if (!comparators[op]) {
+        throw invalid(g.f('unknown operator %s', op));
+      }
+    });
+  });
+}
+
+/*!
+ * Default messages, by error code, as functions of the strong-globalize
+ * instance of the requested locale and of the options of the validation.
+ * The ones of the `blank`, `null` and `invalid` keys apply to any validation.
+ */
 var defaultMessages = {
-  presence: 'can\'t be blank',
-  absence: 'can\'t be set',
-  'unknown-property': 'is not defined in the model',
-  length: {
-    min: 'too short',
-    max: 'too long',
-    is: 'length is wrong',
-  },
-  common: {
-    blank: 'is blank',
-    'null': 'is null',
+  presence: function(g) { return g.f('can\'t be blank'); },
+  absence: function(g) { return g.f('can\'t be set'); },
+  'unknown-property': function(g) { return g.f('is not defined in the model'); },
+  'length.min': function(g) { return g.f('too short'); },
+  'length.max': function(g) { return g.f('too long'); },
+  'length.is': function(g) { return g.f('length is wrong'); },
+  blank: function(g) { return g.f('is blank'); },
+  'null': function(g) { return g.f('is null'); },
+  invalid: function(g) { return g.f('is invalid'); },
+  'comparison.eq': function(g, conf) { return g.f('must be equal to %s', conf.eq); },
+  'comparison.neq': function(g, conf) { return g.f('must be different from %s', conf.neq); },
+  'comparison.gt': function(g, conf) { return g.f('must be greater than %s', conf.gt); },
+  'comparison.gte': function(g, conf) {
+    return g.f('must be greater than or equal to %s', conf.gte);
   },
-  numericality: {
-    'int': 'is not an integer',
-    'number': 'is not a number',
+  'comparison.lt': function(g, conf) { return g.f('must be less than %s', conf.lt); },
+  'comparison.lte': function(g, conf) {
+    return g.f('must be less than or equal to %s', conf.lte);
   },
-  inclusion: 'is not included in the list',
-  exclusion: 'is reserved',
-  uniqueness: 'is not unique',
+  'numericality.int': function(g) { return g.f('is not an integer'); },
+  'numericality.number': function(g) { return g.f('is not a number'); },
+  'numericality.min': function(g) { return g.f('is too small'); },
+  'numericality.max': function(g) { return g.f('is too large'); },
+  'format.email': function(g) { return g.f('is not a valid email address'); },
+  'format.uri': function(g) { return g.f('is not a valid URI'); },
+  'format.uuid': function(g) { return g.f('is not a valid UUID'); },
+  inclusion: function(g) { return g.f('is not included in the list'); },
+  exclusion: function(g) { return g.f('is reserved'); },
+  uniqueness: function(g) { return g.f('is not unique'); },
 };
 
+/*!
+ * Messages registered by `ValidationError.registerMessages()`, by lower-cased
+ * locale
+ */
+var messageCatalogs = {};
+
+/*!
+ * strong-globalize instances by requested locale
+ */
+var localeGlobalizers = {};
+
+/*!
+ * Get the strong-globalize instance of a locale, or of its language, falling
+ * back to the one of the module when strong-globalize does not support either.
+ * The messages of a language are loaded on its first use, from the root
+ * directory of strong-globalize, so point it back to the juggler beforehand.
+ */
+function globalizeFor(locale) {
+  if (!locale) return g;
+  locale = String(locale);
+  if (localeGlobalizers.hasOwnProperty(locale)) return localeGlobalizers[locale];
+
+  var lg = g;
+  var candidates = [locale, locale.split('-')[0]];
+  for (var i = 0; i < candidates.length; i++) {
+    var candidate = SG();
+    candidate.setLanguage(candidates[i]);
+    if (candidate.getLanguage() === candidates[i]) {
+      SG.SetRootDir(path.join(__dirname, '..'));
+      lg = candidate;
+      break;
+    }
+  }
+  localeGlobalizers[locale] = lg;
+  return lg;
+}
+
+/*!
+ * Find the registered message of the first of the given keys, in the
+ * requested locale, then in its language, in the language of strong-globalize,
+ * and in English. Otherwise, use the default message of the first key known,
+ * as translated by strong-globalize for the requested locale.
+ */
+function lookupMessage(keys, conf, locale) {
+  var locales = [];
+  var i, j;
+  [locale, g.getLanguage(), 'en'].forEach(function(l) {
+    if (!l) return;
+    l = String(l).toLowerCase();
+    [l, l.split('-')[0]].forEach(function(candidate) {
+      if (locales.indexOf(candidate) === -1) locales.push(candidate);
+    });
+  });
+
+  for (i = 0; i < locales.length; i++) {
+    var messages = messageCatalogs[locales[i]];
+    if (!messages) continue;
+    for (j = 0; j < keys.length; j++) {
+      if (messages.hasOwnProperty(keys[j])) return interpolate(messages[keys[j]], conf);
+    }
+  }
+  var lg = globalizeFor(locale);
+  for (j = 0; j < keys.length; j++) {
+    if (defaultMessages.hasOwnProperty(keys[j])) return defaultMessages[keys[j]](lg, conf);
+  }
+  return defaultMessages.invalid(lg, conf);
+}
+
+/*!
+ * Replace the `{name}` placeholders of a message with the options of the
+ * validation
+ */
+function interpolate(message, conf) {
+  return String(message).replace(/\{(\w+)\}/g, function(match, key) {
+    var value = conf[key];
+    if (value === undefined) return match;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
 /**
  * Checks if attribute is undefined or null. Calls err function with 'blank' or 'null'.
  * See defaultMessages. You can affect this behaviour with conf.allowBlank and conf.allowNull.
@@ -698,6 +1148,7 @@ function configure(cls, validation, args, opts) {
   conf.validation = validation;
   args.forEach(function(attr) {
     if (typeof attr === 'string') {
+      if (conf.when) checkCondition(cls, attr, conf.when);
       var validation = extend({}, conf);
       validation.options = opts || {};
       cls.validations[attr] = cls.validations[attr] || [];
@@ -818,6 +1269,37 @@ var errorHasStackProperty = !!(new Error).stack;
 
 ValidationError.maxPropertyStringLength = 32;
 
+/**
+ * Register the validation messages of a locale, by error code, such as
+ * `presence`, `length.min` or the `code` of a custom validation. The `blank`,
+ * `null` and `invalid` keys give the messages used by any validation.
+ * Messages can refer to the options of the validation, such as `{min}`,
+ * `{max}` or `{in}`.
+ *
+ * Validation messages are looked up in the locale given by the `locale`
+ * option of the operation, such as `{locale: 'de-CH'}`, then in its language
+ * (`de`), then in the language of strong-globalize, and finally in English.
+ * Otherwise, the built-in message is used, translated for the locale when
+ * strong-globalize supports it.
+ *
+ * Example:
+ * ```
+ * ValidationError.registerMessages('de', {
+ *   presence: 'darf nicht leer sein',
+ *   'length.min': 'muss mindestens {min} Zeichen lang sein',
+ *   'invalid-email': 'ist keine gültige E-Mail-Adresse',
+ * });
+ * user.isValid(callback, null, {locale: 'de'});
+ * ```
+ *
+ * @param {String} locale The locale, such as `de` or `pt-BR`
+ * @param {Object} messages Messages by error code
+ */
+ValidationError.registerMessages = function(locale, messages) {
+  locale = String(locale).toLowerCase();
+  messageCatalogs[locale] = extend(extend({}, messageCatalogs[locale]), messages);
+};
+
 function formatErrors(errors, propertyValues) {
   var DELIM = '; ';
   errors = errors || {};
@@ -827,7 +1309,7 @@ function formatErrors(errors, propertyValues) {
     })
     .map(function(propertyName) {
       var messages = errors[propertyName];
-      var propertyValue = propertyValues[propertyName];
+      var propertyValue = getPathValue(propertyValues, propertyName);
       return messages.map(function(msg) {
         return formatPropertyError(propertyName, propertyValue, msg);
       }).join(DELIM);
@@ -835,6 +1317,13 @@ function formatErrors(errors, propertyValues) {
     .join(DELIM);
 }
 
+function getPathValue(values, path) {
+  if (path in values) return values[path];
+  return path.split('.').reduce(function(value, key) {
+    return value == null ? undefined : value[key];
+  }, values);
+}
+
 function formatPropertyError(propertyName, propertyValue, errorMessage) {
   var formattedValue;
   var valueType = typeof propertyValue;
@@ -0,0 +1,218 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+var DataSource = require('../').DataSource;
+
+var db, Order;
+
+describe('aggregate', function() {
+  before(function(done) {
+    db = getSchema();
+    Order = db.define('Order', {
+      customer: String,
+      status: String,
+      amount: Number,
+      createdAt: Date,
+    });
+    db.automigrate(['Order'], done);
+  });
+
+  before(seed);
+
+  it('aggregates all matching records without groupBy', function() {
+    return Order.aggregate({
+      fields: {
+        orders: {count: '*'},
+        total: {sum: 'amount'},
+        average: {avg: 'amount'},
+        smallest: {min: 'amount'},
+        largest: {max: 'amount'},
+      },
+    }).then(function(rows) {
+      rows.should.eql([{
+        orders: 5,
+        total: 100,
+        average: 20,
+        smallest: 5,
+        largest: 40,
+      }]);
+    });
+  });
+
+  it('groups records by the given properties', function() {
+    return Order.aggregate({
+      groupBy: 'customer',
+      fields: {total: {sum: 'amount'}, orders: {count: '*'}},
+      order: 'customer',
+    }).then(function(rows) {
+      rows.should.eql([
+        {customer: 'alice', total: 55, orders: 3},
+        {customer: 'bob', total: 45, orders: 2},
+      ]);
+    });
+  });
+
+  it('groups records by multiple properties', function() {
+    return Order.aggregate({
+      groupBy: ['customer', 'status'],
+      fields: {total: {sum: 'amount'}},
+      order: ['customer', 'status'],
+    }).then(function(rows) {
+      rows.should.eql([
+        {customer: 'alice', status: 'new', total: 5},
+        {customer: 'alice', status: 'paid', total: 50},
+        {customer: 'bob', status: 'new', total: 40},
+        {customer: 'bob', status: 'paid', total: 5},
+      ]);
+    });
+  });
+
+  it('applies the where condition', function() {
+    return Order.aggregate({
+      where: {status: 'paid'},
+      fields: {total: {sum: 'amount'}},
+    }).then(function(rows) {
+      rows.should.eql([{total: 55}]);
+    });
+  });
+
+  it('returns null aggregations for an empty set', function() {
+    return Order.aggregate({
+      where: {status: 'cancelled'},
+      fields: {orders: {count: '*'}, total: {sum: 'amount'}},
+    }).then(function(rows) {
+      rows.should.eql([{orders: 0, total: null}]);
+    });
+  });
+
+  it('orders and limits the rows by aggregation', function() {
+    return Order.aggregate({
+      groupBy: 'customer',
+      fields: {total: {sum: 'amount'}},
+      order: 'total DESC',
+      limit: 1,
+    }).then(function(rows) {
+      rows.should.eql([{customer: 'alice', total: 55}]);
+    });
+  });
+
+  it('supports min/max of dates', function() {
+    return Order.aggregate({
+      fields: {first: {min: 'createdAt'}, last: {max: 'createdAt'}},
+    }).then(function(rows) {
+      rows[0].first.getTime().should.equal(new Date('2016-01-01').getTime());
+      rows[0].last.getTime().should.equal(new Date('2016-01-05').getTime());
+    });
+  });
+
+  it('notifies access observers', function() {
+    var ctx;
+    Order.observe('access', function(context, next) {
+      ctx = context;
+      context.query.where = {customer: 'bob'};
+      next();
+    });
+    return Order.aggregate({fields: {total: {sum: 'amount'}}})
+      .then(function(rows) {
+        Order.clearObservers('access');
+        ctx.query.should.have.properties(['where', 'groupBy', 'fields']);
+        rows.should.eql([{total: 45}]);
+      }, function(err) {
+        Order.clearObservers('access');
+        throw err;
+      });
+  });
+
+  it('rejects an unknown aggregate function', function() {
+    return Order.aggregate({fields: {total: {median: 'amount'}}})
+      .then(function() {
+        throw new Error('aggregate() should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+      });
+  });
+
+  it('rejects an unknown property', function() {
+    return Order.aggregate({groupBy: 'unknown', fields: {n: {count: '*'}}})
+      .then(function() {
+        throw new Error('aggregate() should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+      });
+  });
+
+  it('rejects missing fields', function() {
+    return Order.aggregate({groupBy: 'customer'})
+      .then(function() {
+        throw new Error('aggregate() should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+      });
+  });
+
+  describe('with a default scope', function() {
+    var PaidOrder;
+
+    before(function() {
+      PaidOrder = db.define('PaidOrder', Order.definition.properties, {
+        scope: {where: {status: 'paid'}},
+        memory: {collection: 'Order'},
+      });
+    });
+
+    it('applies the default scope', function() {
+      return PaidOrder.aggregate({fields: {total: {sum: 'amount'}}})
+        .then(function(rows) {
+          rows.should.eql([{total: 55}]);
+        });
+    });
+  });
+
+  describe('without connector support', function() {
+    var ds, Item;
+
+    before(function(done) {
+      ds = new DataSource('memory');
+      ds.connector.aggregate = null;
+      Item = ds.define('Item', {category: String, price: Number});
+      Item.create([
+        {category: 'a', price: 1},
+        {category: 'a', price: 2},
+        {category: 'b', price: 4},
+      ], done);
+    });
+
+    it('aggregates the records in memory', function() {
+      return Item.aggregate({
+        groupBy: 'category',
+        fields: {total: {sum: 'price'}},
+        order: 'category',
+      }).then(function(rows) {
+        rows.should.eql([
+          {category: 'a', total: 3},
+          {category: 'b', total: 4},
+        ]);
+      });
+    });
+  });
+});
+
+function seed(done) {
+  Order.destroyAll(function(err) {
+    if (err) return done(err);
+    Order.create([
+      {customer: 'alice', status: 'paid', amount: 10, createdAt: new Date('2016-01-01')},
+      {customer: 'alice', status: 'paid', amount: 40, createdAt: new Date('2016-01-02')},
+      {customer: 'alice', status: 'new', amount: 5, createdAt: new Date('2016-01-03')},
+      {customer: 'bob', status: 'new', amount: 40, createdAt: new Date('2016-01-04')},
+      {customer: 'bob', status: 'paid', amount: 5, createdAt: new Date('2016-01-05')},
+    ], done);
+  });
+}
@@ -566,6 +566,141 @@ describe('basic-querying', function() {
     });
   });
 
+  describe('find with keyset cursors', function() {
+    before(seed);
+
+    function seqs(users) {
+      return users.map(function(u) { return u.seq; });
+    }
+
+    it('should return cursors with limited results', function() {
+      return User.find({order: 'seq', limit: 2, withCursors: true}).then(function(users) {
+        seqs(users).should.eql([0, 1]);
+        users.nextCursor.should.be.a.String();
+        users.prevCursor.should.be.a.String();
+      });
+    });
+
+    it('should find the page after a cursor', function() {
+      return User.find({order: 'seq', limit: 2, withCursors: true}).then(function(users) {
+        return User.find({order: 'seq', limit: 2, after: users.nextCursor});
+      }).then(function(users) {
+        seqs(users).should.eql([2, 3]);
+        return User.find({order: 'seq', limit: 2, after: users.nextCursor});
+      }).then(function(users) {
+        seqs(users).should.eql([4, 5]);
+        return User.find({order: 'seq', limit: 2, after: users.nextCursor});
+      }).then(function(users) {
+        users.should.be.empty();
+        should.not.exist(users.nextCursor);
+      });
+    });
+
+    it('should find the page before a cursor', function() {
+      return User.find({order: 'seq DESC', limit: 2, withCursors: true}).then(function(users) {
+        seqs(users).should.eql([5, 4]);
+        return User.find({order: 'seq DESC', limit: 2, after: users.nextCursor});
+      }).then(function(users) {
+        seqs(users).should.eql([3, 2]);
+        return User.find({order: 'seq DESC', limit: 3, before: users.prevCursor});
+      }).then(function(users) {
+        seqs(users).should.eql([5, 4]);
+      });
+    });
+
+    it('should combine the cursor with the where condition', function() {
+      var filter = {where: {vip: true}, order: 'name', limit: 1, withCursors: true};
+      return User.find(filter).then(function(users) {
+        users.map(function(u) { return u.name; }).should.eql(['John Lennon']);
+        filter.after = users.nextCursor;
+        return User.find(filter);
+      }).then(function(users) {
+        users.map(function(u) { return u.name; }).should.eql(['Paul McCartney']);
+      });
+    });
+
+    it('should use the id to break ties', function() {
+      var filter = {where: {role: 'lead'}, order: 'role', limit: 1, withCursors: true};
+      return User.find(filter).then(function(users) {
+        users.should.have.lengthOf(1);
+        filter.after = users.nextCursor;
+        return User.find(filter);
+      }).then(function(users) {
+        users.should.have.lengthOf(1);
+        filter.after = users.nextCursor;
+        return User.find(filter);
+      }).then(function(users) {
+        users.should.be.empty();
+      });
+    });
+
+    it('should only return cursors when asked for', function() {
+      return User.find({order: 'seq', limit: 2}).then(function(users) {
+        should.not.exist(users.nextCursor);
+        return User.findOne({order: 'seq'});
+      }).then(function(user) {
+        user.seq.should.equal(0);
+      });
+    });
+
+    it('should reject fields leaving out an order key', function() {
+      return User.find({order: 'seq', fields: ['name', 'id'], withCursors: true})
+        .then(function() {
+          throw new Error('find() should have failed');
+        }, function(err) {
+          err.statusCode.should.equal(400);
+          err.message.should.match(/seq/);
+          return User.find({order: 'seq', fields: ['seq', 'id'], limit: 1, withCursors: true});
+        }).then(function(users) {
+          users.nextCursor.should.be.a.String();
+        });
+    });
+
+    it('should reject an invalid cursor', function() {
+      return User.find({after: 'not-a-cursor'}).then(function() {
+        throw new Error('find() should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+      });
+    });
+
+    it('should reject a cursor that is not a valid token', function() {
+      var tokens = [
+        Buffer.from('{"o":').toString('base64'),
+        Buffer.from('{"o":["seq ASC"]}').toString('base64'),
+        42,
+      ];
+      return Promise.all(tokens.map(function(token) {
+        return User.find({order: 'seq', after: token}).then(function() {
+          throw new Error('find() should have failed');
+        }, function(err) {
+          err.statusCode.should.equal(400);
+          err.message.should.match(/cursor/);
+        });
+      }));
+    });
+
+    it('should reject a cursor built for another order', function() {
+      return User.find({order: 'seq', limit: 1, withCursors: true}).then(function(users) {
+        return User.find({order: 'name', after: users.nextCursor});
+      }).then(function() {
+        throw new Error('find() should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+      });
+    });
+
+    it('should reject a cursor combined with skip', function() {
+      return User.find({order: 'seq', limit: 1, withCursors: true}).then(function(users) {
+        return User.find({order: 'seq', skip: 1, after: users.nextCursor});
+      }).then(function() {
+        throw new Error('find() should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+      });
+    });
+  });
+
   describe('count', function() {
     before(seed);
 
@@ -588,6 +723,79 @@ describe('basic-querying', function() {
     });
   });
 
+  describe('findStream', function() {
+    before(seed);
+
+    it('should stream all instances', function(done) {
+      collect(User.findStream({order: 'seq'}), function(err, users) {
+        if (err) return done(err);
+        users.should.have.lengthOf(6);
+        users[0].should.be.instanceOf(User);
+        users.map(function(u) { return u.seq; }).should.eql([0, 1, 2, 3, 4, 5]);
+        done();
+      });
+    });
+
+    it('should fetch instances in batches', function(done) {
+      collect(User.findStream({order: 'seq'}, {batchSize: 4}), function(err, users) {
+        if (err) return done(err);
+        users.map(function(u) { return u.seq; }).should.eql([0, 1, 2, 3, 4, 5]);
+        done();
+      });
+    });
+
+    it('should honor where, skip and limit', function(done) {
+      var filter = {where: {seq: {gt: 0}}, order: 'seq', skip: 1, limit: 3};
+      collect(User.findStream(filter, {batchSize: 2}), function(err, users) {
+        if (err) return done(err);
+        users.map(function(u) { return u.seq; }).should.eql([2, 3, 4]);
+        done();
+      });
+    });
+
+    it('should honor fields', function(done) {
+      collect(User.findStream({fields: ['name'], limit: 1}), function(err, users) {
+        if (err) return done(err);
+        var user = users[0].toObject();
+        should.exist(user.name);
+        should.not.exist(user.seq);
+        done();
+      });
+    });
+
+    it('should notify access and loaded observers', function(done) {
+      var events = [];
+      function onAccess(ctx, next) {
+        events.push('access');
+        ctx.query.where = {role: 'lead'};
+        next();
+      }
+      function onLoaded(ctx, next) {
+        events.push('loaded');
+        ctx.data.name = ctx.data.name.toUpperCase();
+        next();
+      }
+      User.observe('access', onAccess);
+      User.observe('loaded', onLoaded);
+      collect(User.findStream({order: 'seq'}, {batchSize: 1}), function(err, users) {
+        User.removeObserver('access', onAccess);
+        User.removeObserver('loaded', onLoaded);
+        if (err) return done(err);
+        events.should.eql(['access', 'loaded', 'loaded']);
+        users.map(function(u) { return u.name; })
+          .should.eql(['JOHN LENNON', 'PAUL MCCARTNEY']);
+        done();
+      });
+    });
+
+    it('should report invalid filters as an error event', function(done) {
+      User.findStream({limit: -1}).on('error', function(err) {
+        err.statusCode.should.equal(400);
+        done();
+      }).resume();
+    });
+  });
+
   describe('findOne', function() {
     before(seed);
 
@@ -893,6 +1101,17 @@ function seed(done) {
   ], done);
 }
 
+function collect(stream, done) {
+  var items = [];
+  stream.on('data', function(item) {
+    items.push(item);
+  });
+  stream.on('error', done);
+  stream.on('end', function() {
+    done(null, items);
+  });
+}
+
 function nextAfterDelay(ctx, next) {
   var randomTimeoutTrigger = Math.floor(Math.random() * 100);
   setTimeout(function() { process.nextTick(next); }, randomTimeoutTrigger);
@@ -0,0 +1,271 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+
+var db, Todo;
+
+describe('bulkWrite', function() {
+  before(function() {
+    db = getSchema();
+    Todo = db.define('Todo', {
+      title: {type: String, required: true},
+      done: {type: Boolean, default: false},
+    }, {forceId: false});
+  });
+
+  beforeEach(function(done) {
+    Todo.clearObservers('before save');
+    Todo.clearObservers('after save');
+    Todo.clearObservers('before delete');
+    Todo.clearObservers('after delete');
+    db.automigrate(['Todo'], done);
+  });
+
+  function statuses(results) {
+    return results.map(function(r) { return r.status; });
+  }
+
+  it('runs inserts, updates, upserts and deletes', function() {
+    var existing;
+    return Promise.all(['a', 'b', 'c'].map(function(title) {
+      return Todo.create({title: title});
+    }))
+      .then(function(todos) {
+        existing = todos;
+        return Todo.bulkWrite([
+          {insert: {title: 'd'}},
+          {update: {where: {title: 'a'}, data: {done: true}}},
+          {upsert: {id: existing[1].id, title: 'B'}},
+          {upsert: {title: 'e'}},
+          {delete: {where: {title: 'c'}}},
+        ]);
+      })
+      .then(function(results) {
+        statuses(results).should.eql(['ok', 'ok', 'ok', 'ok', 'ok']);
+        results.map(function(r) { return r.operation; })
+          .should.eql(['insert', 'update', 'upsert', 'upsert', 'delete']);
+        results[0].instance.should.be.instanceOf(Todo);
+        results[0].instance.title.should.equal('d');
+        results[0].id.should.equal(results[0].instance.id);
+        results[1].count.should.equal(1);
+        results[2].id.should.equal(existing[1].id);
+        results[2].isNewInstance.should.be.false();
+        results[3].isNewInstance.should.be.true();
+        results[4].count.should.equal(1);
+        return Todo.find({order: 'title'});
+      })
+      .then(function(todos) {
+        todos.map(function(t) { return t.title + ':' + t.done; })
+          .should.eql(['B:false', 'a:true', 'd:false', 'e:false']);
+      });
+  });
+
+  it('stops at the first failing operation by default', function() {
+    return Todo.bulkWrite([
+      {insert: {title: 'a'}},
+      {insert: {}},
+      {insert: {title: 'c'}},
+    ])
+      .then(function(results) {
+        statuses(results).should.eql(['ok', 'error', 'skipped']);
+        results[1].error.name.should.equal('ValidationError');
+        return Todo.count();
+      })
+      .then(function(count) {
+        count.should.equal(1);
+      });
+  });
+
+  it('runs all operations when they are not ordered', function() {
+    return Todo.bulkWrite([
+      {insert: {title: 'a'}},
+      {insert: {}},
+      {remove: {}},
+      {insert: {title: 'c'}},
+    ], {ordered: false})
+      .then(function(results) {
+        statuses(results).should.eql(['ok', 'error', 'error', 'ok']);
+        results[2].error.statusCode.should.equal(400);
+        return Todo.count();
+      })
+      .then(function(count) {
+        count.should.equal(2);
+      });
+  });
+
+  it('reports the errors of the connector per operation', function() {
+    var Code = db.define('Code', {code: {type: String, id: true}});
+    return Code.create({code: 'a'})
+      .then(function() {
+        return Code.bulkWrite([
+          {insert: {code: 'a'}},
+          {insert: {code: 'b'}},
+        ], {ordered: false});
+      })
+      .then(function(results) {
+        statuses(results).should.eql(['error', 'ok']);
+        results[0].error.code.should.equal('DUPLICATE_ENTRY');
+      });
+  });
+
+  it('notifies the observers with the position in the batch', function() {
+    var events = [];
+    ['before save', 'after save', 'before delete', 'after delete'].forEach(function(name) {
+      Todo.observe(name, function(ctx, next) {
+        events.push(name + ' ' + ctx.bulk.index + '/' + ctx.bulk.count);
+        next();
+      });
+    });
+
+    return Todo.bulkWrite([
+      {insert: {title: 'a'}},
+      {delete: {where: {title: 'a'}}},
+    ])
+      .then(function() {
+        events.should.eql([
+          'before save 0/2',
+          'before delete 1/2',
+          'after save 0/2',
+          'after delete 1/2',
+        ]);
+      });
+  });
+
+  it('reports the errors of the observers per operation', function() {
+    Todo.observe('before save', function(ctx, next) {
+      if (ctx.instance && ctx.instance.title === 'forbidden') {
+        return next(new Error('not allowed'));
+      }
+      next();
+    });
+
+    return Todo.bulkWrite([
+      {insert: {title: 'forbidden'}},
+      {insert: {title: 'b'}},
+    ], {ordered: false})
+      .then(function(results) {
+        statuses(results).should.eql(['error', 'ok']);
+        results[0].error.message.should.equal('not allowed');
+      });
+  });
+
+  it('checks the uniqueness of the inserted items together', function() {
+    var Tag = db.define('Tag', {name: String});
+    Tag.validatesUniquenessOf('name');
+    return Tag.bulkWrite([
+      {insert: {name: 'a'}},
+      {insert: {name: 'a'}},
+    ], {ordered: false})
+      .then(function(results) {
+        statuses(results).should.eql(['ok', 'error']);
+        results[1].error.details.codes.name.should.eql(['uniqueness']);
+      });
+  });
+
+  it('writes the batch with one call of the connector', function() {
+    var connector = db.connector;
+    var calls = [];
+    var bulkWrite = connector.bulkWrite;
+    connector.bulkWrite = function(model, operations, options, cb) {
+      calls.push(operations);
+      return bulkWrite.apply(this, arguments);
+    };
+
+    return Todo.bulkWrite([
+      {insert: {title: 'a'}},
+      {update: {where: {title: 'a'}, data: {done: true}}},
+    ])
+      .then(function(results) {
+        delete connector.bulkWrite;
+        statuses(results).should.eql(['ok', 'ok']);
+        calls.should.have.length(1);
+        calls[0].should.have.length(2);
+      }, function(err) {
+        delete connector.bulkWrite;
+        throw err;
+      });
+  });
+
+  it('falls back to the CRUD methods of the connector', function() {
+    var connector = db.connector;
+    connector.bulkWrite = undefined;
+
+    return Todo.bulkWrite([
+      {insert: {title: 'a'}},
+      {update: {where: {title: 'a'}, data: {done: true}}},
+      {delete: {where: {title: 'missing'}}},
+    ])
+      .then(function(results) {
+        delete connector.bulkWrite;
+        statuses(results).should.eql(['ok', 'ok', 'ok']);
+        results[1].count.should.equal(1);
+        results[2].count.should.equal(0);
+        return Todo.findOne();
+      }, function(err) {
+        delete connector.bulkWrite;
+        throw err;
+      })
+      .then(function(todo) {
+        todo.done.should.be.true();
+      });
+  });
+
+  it('runs the hooks of each operation after the previous write', function() {
+    var connector = db.connector;
+    var create = connector.create;
+    var events = [];
+    connector.bulkWrite = undefined;
+    connector.create = function(model, data, options, cb) {
+      events.push('write ' + data.title);
+      return create.apply(this, arguments);
+    };
+    Todo.observe('before save', function(ctx, next) {
+      events.push('before save ' + ctx.bulk.index);
+      next();
+    });
+    var restore = function() {
+      delete connector.bulkWrite;
+      connector.create = create;
+    };
+
+    return Todo.bulkWrite([
+      {insert: {id: 1, title: 'a'}},
+      {insert: {id: 1, title: 'b'}},
+      {insert: {id: 2, title: 'c'}},
+    ])
+      .then(function(results) {
+        restore();
+        statuses(results).should.eql(['ok', 'error', 'skipped']);
+        events.should.eql([
+          'before save 0', 'write a',
+          'before save 1', 'write b',
+        ]);
+      }, function(err) {
+        restore();
+        throw err;
+      });
+  });
+
+  it('marks the deleted instances of soft delete models', function() {
+    var Note = db.define('Note', {text: String}, {softDelete: true});
+    return Note.create({text: 'a'})
+      .then(function() {
+        return Note.bulkWrite([{delete: {where: {text: 'a'}}}]);
+      })
+      .then(function(results) {
+        results[0].count.should.equal(1);
+        return Note.find({}, {withDeleted: true});
+      })
+      .then(function(notes) {
+        notes.should.have.length(1);
+        should.exist(notes[0].deletedAt);
+      });
+  });
+});
@@ -0,0 +1,206 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+
+var db, Post;
+
+describe('change tracking', function() {
+  before(function() {
+    db = getSchema();
+    Post = db.define('Post', {
+      title: String,
+      body: String,
+      meta: Object,
+      published: Date,
+    });
+  });
+
+  beforeEach(function(done) {
+    Post.clearObservers('before save');
+    Post.clearObservers('persist');
+    db.automigrate(['Post'], done);
+  });
+
+  it('reports the properties set on a new instance as changed', function() {
+    var post = new Post({title: 'a'});
+    post.isDirty().should.be.true();
+    post.isDirty('title').should.be.true();
+    post.isDirty('body').should.be.false();
+    post.changed().should.eql(['title']);
+  });
+
+  it('reports a loaded instance as clean', function() {
+    return Post.create({title: 'a', meta: {tags: ['x']}})
+      .then(function(post) {
+        post.isDirty().should.be.false();
+        return Post.findById(post.id);
+      })
+      .then(function(post) {
+        post.isDirty().should.be.false();
+        post.changed().should.eql([]);
+      });
+  });
+
+  it('tracks changes of a loaded instance', function() {
+    return Post.create({title: 'a', body: 'b'})
+      .then(function(post) {
+        post.title = 'changed';
+        post.isDirty().should.be.true();
+        post.isDirty('title').should.be.true();
+        post.isDirty('body').should.be.false();
+        post.changed().should.eql(['title']);
+        post.previous('title').should.equal('a');
+        post.previous().should.containEql({title: 'a', body: 'b'});
+
+        post.title = 'a';
+        post.isDirty().should.be.false();
+      });
+  });
+
+  it('detects changes made inside object values', function() {
+    var date = new Date('2016-01-01T00:00:00Z');
+    return Post.create({title: 'a', meta: {tags: ['x']}, published: date})
+      .then(function(post) {
+        post.published = new Date(date.getTime());
+        post.isDirty().should.be.false();
+
+        post.meta.tags.push('y');
+        post.changed().should.eql(['meta']);
+        post.previous('meta').should.eql({tags: ['x']});
+      });
+  });
+
+  it('copies the object values when they are loaded', function() {
+    return Post.create({title: 'a', meta: {tags: ['x']}})
+      .then(function(post) {
+        return Post.findById(post.id);
+      })
+      .then(function(post) {
+        post.__previous.meta.should.not.equal(post.__data.meta);
+        post.__data.meta.tags.push('y');
+        post.changed().should.eql(['meta']);
+        post.previous('meta').should.eql({tags: ['x']});
+      });
+  });
+
+  it('creates the record again when saving a deleted instance', function() {
+    var post;
+    return Post.create({title: 'a', body: 'b'})
+      .then(function(created) {
+        return Post.findById(created.id);
+      })
+      .then(function(found) {
+        post = found;
+        return Post.deleteById(post.id);
+      })
+      .then(function() {
+        post.title = 'changed';
+        return post.save();
+      })
+      .then(function() {
+        return Post.findById(post.id);
+      })
+      .then(function(found) {
+        found.title.should.equal('changed');
+        found.body.should.equal('b');
+      });
+  });
+
+  it('resets the changes on save', function() {
+    return Post.create({title: 'a'})
+      .then(function(post) {
+        post.title = 'b';
+        return post.save();
+      })
+      .then(function(post) {
+        post.isDirty().should.be.false();
+        post.previous('title').should.equal('b');
+      });
+  });
+
+  it('resets the changes on updateAttributes', function() {
+    return Post.create({title: 'a'})
+      .then(function(post) {
+        return post.updateAttributes({title: 'b'});
+      })
+      .then(function(post) {
+        post.isDirty().should.be.false();
+        post.previous('title').should.equal('b');
+      });
+  });
+
+  it('saves only the changed properties', function() {
+    var persisted = [];
+    Post.observe('persist', function(ctx, next) {
+      persisted.push(ctx.data);
+      next();
+    });
+
+    var first, second;
+    return Post.create({title: 'a', body: 'b'})
+      .then(function(post) {
+        return Promise.all([Post.findById(post.id), Post.findById(post.id)]);
+      })
+      .then(function(posts) {
+        first = posts[0];
+        second = posts[1];
+        first.title = 'new title';
+        second.body = 'new body';
+        return first.save();
+      })
+      .then(function() {
+        return second.save();
+      })
+      .then(function() {
+        persisted.slice(1).should.eql([
+          {id: first.id, title: 'new title'},
+          {id: first.id, body: 'new body'},
+        ]);
+        return Post.findById(first.id);
+      })
+      .then(function(post) {
+        post.title.should.equal('new title');
+        post.body.should.equal('new body');
+      });
+  });
+
+  it('exposes the changes to `before save` observers of save', function() {
+    var changes;
+    Post.observe('before save', function(ctx, next) {
+      changes = ctx.changes;
+      next();
+    });
+
+    return Post.create({title: 'a', body: 'b'})
+      .then(function(post) {
+        post.title = 'c';
+        return post.save();
+      })
+      .then(function() {
+        changes.should.eql({title: {previous: 'a', current: 'c'}});
+      });
+  });
+
+  it('exposes the changes to `before save` observers of updateAttributes', function() {
+    var changes;
+    Post.observe('before save', function(ctx, next) {
+      changes = ctx.changes;
+      next();
+    });
+
+    return Post.create({title: 'a', body: 'b'})
+      .then(function(post) {
+        return post.updateAttributes({title: 'c', body: 'b'});
+      })
+      .then(function() {
+        changes.should.eql({title: {previous: 'a', current: 'c'}});
+      });
+  });
+});
@@ -0,0 +1,162 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+
+var db, Person, persisted;
+
+describe('computed properties', function() {
+  before(function() {
+    db = getSchema();
+    Person = db.define('Person', {
+      first: String,
+      last: String,
+      fullName: {type: String, computed: 'getFullName'},
+      initials: {type: String, computed: function() {
+        return (this.first || '').charAt(0) + (this.last || '').charAt(0);
+      }},
+      greeting: {type: String, computed: 'getGreeting'},
+    }, {forceId: false});
+    Person.prototype.getFullName = function() {
+      return [this.first, this.last].join(' ');
+    };
+    Person.prototype.getGreeting = function() {
+      var name = this.first;
+      return new Promise(function(resolve) {
+        setImmediate(function() {
+          resolve('Hello ' + name);
+        });
+      });
+    };
+    Person.observe('persist', function(ctx, next) {
+      persisted.push(ctx.Model._forDB(ctx.data));
+      next();
+    });
+  });
+
+  beforeEach(function(done) {
+    persisted = [];
+    db.automigrate(['Person'], done);
+  });
+
+  it('computes the values from the other properties', function() {
+    var person = new Person({first: 'John', last: 'Doe'});
+    person.fullName.should.equal('John Doe');
+    person.initials.should.equal('JD');
+    person.first = 'Jane';
+    person.fullName.should.equal('Jane Doe');
+    person.toObject().should.containEql({fullName: 'Jane Doe', initials: 'JD'});
+    person.toJSON().fullName.should.equal('Jane Doe');
+  });
+
+  it('ignores values assigned to computed properties', function() {
+    var person = new Person({first: 'John', last: 'Doe', fullName: 'Someone'});
+    person.fullName.should.equal('John Doe');
+    person.fullName = 'Someone else';
+    person.fullName.should.equal('John Doe');
+  });
+
+  it('never persists the computed values', function() {
+    return Person.create({first: 'John', last: 'Doe'})
+      .then(function(person) {
+        return person.updateAttributes({first: 'Jane'});
+      })
+      .then(function(person) {
+        return Person.updateOrCreate({id: person.id, first: 'Joan'});
+      })
+      .then(function() {
+        persisted.should.have.length(3);
+        persisted.forEach(function(data) {
+          data.should.not.have.properties('fullName', 'initials', 'greeting');
+        });
+        return Person.findOne();
+      })
+      .then(function(person) {
+        person.__data.should.not.have.properties('fullName', 'initials');
+        person.fullName.should.equal('Joan Doe');
+      });
+  });
+
+  it('resolves the async values when instances are loaded', function() {
+    return Person.create({first: 'John', last: 'Doe'})
+      .then(function(person) {
+        should.not.exist(person.greeting);
+        return Person.findById(person.id);
+      })
+      .then(function(person) {
+        person.greeting.should.equal('Hello John');
+        person.toJSON().greeting.should.equal('Hello John');
+      });
+  });
+
+  it('includes the computed properties selected in fields only', function() {
+    return Person.create({first: 'John', last: 'Doe'})
+      .then(function() {
+        return Person.findOne({fields: ['first', 'last']});
+      })
+      .then(function(person) {
+        JSON.parse(JSON.stringify(person)).should.eql({first: 'John', last: 'Doe'});
+        return Person.findOne({fields: ['first', 'last', 'fullName']});
+      })
+      .then(function(person) {
+        JSON.parse(JSON.stringify(person)).should.eql({
+          first: 'John',
+          last: 'Doe',
+          fullName: 'John Doe',
+        });
+      });
+  });
+
+  it('fetches the properties the selected computed ones depend on', function() {
+    return Person.create({first: 'John', last: 'Doe'})
+      .then(function() {
+        return Person.findOne({fields: ['fullName', 'greeting']});
+      })
+      .then(function(person) {
+        JSON.parse(JSON.stringify(person)).should.eql({
+          fullName: 'John Doe',
+          greeting: 'Hello John',
+        });
+        person.fullName.should.equal('John Doe');
+        person.__data.should.not.have.properties('first', 'last');
+      });
+  });
+
+  it('rejects a where clause on a computed property', function() {
+    return Person.find({where: {or: [{first: 'John'}, {fullName: 'John Doe'}]}})
+      .then(function() {
+        throw new Error('find should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+        err.message.should.match(/fullName/);
+      });
+  });
+
+  it('rejects an order on a computed property', function() {
+    return Person.find({order: 'first ASC, initials DESC'})
+      .then(function() {
+        throw new Error('find should have failed');
+      }, function(err) {
+        err.statusCode.should.equal(400);
+        err.message.should.match(/initials/);
+      });
+  });
+
+  it('does not report the computed properties as changed', function() {
+    return Person.create({first: 'John', last: 'Doe'})
+      .then(function(person) {
+        person.first = 'Jane';
+        person.changed().should.eql(['first']);
+      });
+  });
+
+  it('describes the computed properties as read-only', function() {
+    Person.toJSONSchema().properties.fullName.should.eql({type: 'string', readOnly: true});
+  });
+});
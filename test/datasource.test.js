@@ -25,4 +25,117 @@ describe('DataSource', function() {
       });
     }).should.throw(/loopback-connector-throwing/);
   });
+
+  describe('health', function() {
+    it('reports a healthy memory data source', function() {
+      var ds = new DataSource('memory');
+      return ds.health().then(function(health) {
+        health.should.containDeep({
+          status: 'up',
+          connector: 'memory',
+          connected: true,
+          reconnectAttempts: 0,
+          lastError: null,
+        });
+        health.latency.should.be.a.Number();
+        health.should.not.have.property('pool');
+      });
+    });
+
+    it('reports the ping failures and the pool stats', function(done) {
+      var ds = new DataSource(givenConnector({
+        ping: function(cb) {
+          var err = new Error('ping failed');
+          err.code = 'ECONNREFUSED';
+          process.nextTick(function() { cb(err); });
+        },
+        getPoolStats: function() {
+          return {size: 5, idle: 2, pending: 0};
+        },
+      }));
+      ds.health(function(err, health) {
+        if (err) return done(err);
+        health.status.should.equal('down');
+        health.connector.should.equal('test-connector');
+        health.pool.should.eql({size: 5, idle: 2, pending: 0});
+        health.lastError.should.have.properties({
+          message: 'ping failed',
+          code: 'ECONNREFUSED',
+        });
+        health.lastError.time.should.be.instanceOf(Date);
+        done();
+      });
+    });
+
+    it('returns a promise from ping without a callback', function() {
+      var ds = new DataSource(givenConnector({
+        ping: function(cb) {
+          process.nextTick(function() { cb(new Error('ping failed')); });
+        },
+      }));
+      return ds.ping().then(function() {
+        throw new Error('ping should have failed');
+      }, function(err) {
+        err.message.should.equal('ping failed');
+        return ds.health();
+      }).then(function(health) {
+        health.lastError.message.should.equal('ping failed');
+      });
+    });
+
+    it('emits events when connecting again after a failure', function(done) {
+      var failures = 2;
+      var ds = new DataSource(givenConnector({
+        connect: function(cb) {
+          process.nextTick(function() {
+            cb(failures-- > 0 ? new Error('connection refused') : null);
+          });
+        },
+      }));
+      var events = [];
+      ds.on('error', function(err) { events.push('error'); });
+      ds.on('reconnecting', function(info) {
+        info.error.message.should.equal('connection refused');
+        events.push('reconnecting ' + info.attempt);
+      });
+      ds.on('reconnected', function(info) { events.push('reconnected ' + info.attempt); });
+
+      // The connection made by initialize() fails first
+      ds.once('error', function() {
+        ds.connect(function() {
+          ds.connect(function(err) {
+            if (err) return done(err);
+            events.should.eql([
+              'error',
+              'reconnecting 1', 'error',
+              'reconnecting 2', 'reconnected 2',
+            ]);
+            ds.connected.should.be.true();
+            ds.health(function(err, health) {
+              if (err) return done(err);
+              health.status.should.equal('up');
+              health.reconnectAttempts.should.equal(0);
+              health.lastError.message.should.equal('connection refused');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
 });
+
+function givenConnector(methods) {
+  return {
+    name: 'test-connector',
+    initialize: function(ds, cb) {
+      ds.connector = methods;
+      methods.name = 'test-connector';
+      if (methods.connect) {
+        methods.connect(cb);
+      } else {
+        cb && process.nextTick(cb);
+      }
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+
+var db, Post;
+
+describe('history', function() {
+  before(function() {
+    db = getSchema();
+    Post = db.define('Post', {title: String}, {
+      history: {options: ['user', 'accessToken.userId']},
+    });
+  });
+
+  beforeEach(function(done) {
+    db.automigrate(['Post', 'PostHistory'], done);
+  });
+
+  function delay(value) {
+    return new Promise(function(resolve) {
+      setTimeout(function() {
+        resolve(value);
+      }, 5);
+    });
+  }
+
+  it('defines the history model', function() {
+    var PostHistory = db.models.PostHistory;
+    should.exist(PostHistory);
+    Post._historyModel.should.equal(PostHistory);
+    PostHistory.definition.properties.should.have.properties(
+      'modelId', 'operation', 'before', 'after', 'context', 'changedAt');
+  });
+
+  it('records creates, updates and deletes', function() {
+    var id;
+    return Post.create({title: 'a'})
+      .then(function(post) {
+        id = post.id;
+        return post.updateAttributes({title: 'b'});
+      })
+      .then(function(post) {
+        post.title = 'c';
+        return post.save();
+      })
+      .then(function(post) {
+        return post.remove();
+      })
+      .then(function() {
+        return Post.history(id);
+      })
+      .then(function(changes) {
+        changes.map(function(c) { return c.operation; })
+          .should.eql(['create', 'update', 'update', 'delete']);
+        should.not.exist(changes[0].before);
+        changes[0].after.should.eql({id: id, title: 'a'});
+        changes[1].before.should.eql({id: id, title: 'a'});
+        changes[1].after.should.eql({id: id, title: 'b'});
+        changes[2].after.should.eql({id: id, title: 'c'});
+        changes[3].before.should.eql({id: id, title: 'c'});
+        should.not.exist(changes[3].after);
+        changes.forEach(function(c) {
+          c.modelId.should.equal(id);
+          c.changedAt.should.be.instanceOf(Date);
+        });
+      });
+  });
+
+  it('records each record changed by updateAll and destroyAll', function() {
+    var ids;
+    return Promise.all([Post.create({title: 'a'}), Post.create({title: 'b'})])
+      .then(function(posts) {
+        ids = posts.map(function(p) { return p.id; });
+        return Post.updateAll({}, {title: 'x'});
+      })
+      .then(function() {
+        return Post.destroyAll({id: ids[0]});
+      })
+      .then(function() {
+        return Promise.all(ids.map(function(id) { return Post.history(id); }));
+      })
+      .then(function(histories) {
+        histories[0].map(function(c) { return c.operation; })
+          .should.eql(['create', 'update', 'delete']);
+        histories[0][1].before.title.should.equal('a');
+        histories[0][1].after.title.should.equal('x');
+        histories[1].map(function(c) { return c.operation; })
+          .should.eql(['create', 'update']);
+        histories[1][1].before.title.should.equal('b');
+      });
+  });
+
+  it('records the configured options fields', function() {
+    var options = {user: 'joe', accessToken: {id: 'secret', userId: 7}, other: 1};
+    return Post.create({title: 'a'}, options)
+      .then(function(post) {
+        return Post.history(post.id);
+      })
+      .then(function(changes) {
+        changes[0].context.should.eql({user: 'joe', accessToken: {userId: 7}});
+      });
+  });
+
+  it('finds an instance as of a point in time', function() {
+    var id, times = [];
+    return Post.create({title: 'a'})
+      .then(delay)
+      .then(function(post) {
+        id = post.id;
+        times.push(new Date());
+        return delay().then(function() {
+          return post.updateAttributes({title: 'b'});
+        });
+      })
+      .then(delay)
+      .then(function(post) {
+        times.push(new Date());
+        return delay().then(function() {
+          return post.remove();
+        });
+      })
+      .then(function() {
+        times.push(new Date());
+        return Promise.all([
+          Post.findAsOf(id, new Date(0)),
+          Post.findAsOf(id, times[0]),
+          Post.findAsOf(id, times[1]),
+          Post.findAsOf(id, times[2]),
+        ]);
+      })
+      .then(function(found) {
+        should.not.exist(found[0]);
+        found[1].should.be.instanceOf(Post);
+        found[1].title.should.equal('a');
+        found[2].title.should.equal('b');
+        should.not.exist(found[3]);
+      });
+  });
+
+  it('rejects an invalid date', function() {
+    return Post.findAsOf(1, 'not a date').then(function() {
+      throw new Error('findAsOf should have failed');
+    }, function(err) {
+      err.statusCode.should.equal(400);
+    });
+  });
+
+  it('uses an existing history model', function() {
+    var AuditLog = db.define('AuditLog', {
+      modelId: Number,
+      operation: String,
+      before: Object,
+      after: Object,
+      context: Object,
+      changedAt: Date,
+    });
+    var Note = db.define('Note', {text: String}, {history: {model: 'AuditLog'}});
+    Note._historyModel.should.equal(AuditLog);
+  });
+
+  it('records the history on another data source', function() {
+    var otherDb = getSchema();
+    var Note = db.define('Note', {text: String}, {history: {dataSource: otherDb}});
+    var NoteHistory = otherDb.models.NoteHistory;
+    Note._historyModel.should.equal(NoteHistory);
+    should.not.exist(db.models.NoteHistory);
+
+    return Note.create({text: 'a'})
+      .then(function(note) {
+        return NoteHistory.find();
+      })
+      .then(function(entries) {
+        entries.should.have.length(1);
+        entries[0].operation.should.equal('create');
+      });
+  });
+});
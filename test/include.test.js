@@ -189,6 +189,30 @@ describe('include', function() {
     });
   });
 
+  it('should fetch relations per batch with findStream', function(done) {
+    var passports = [];
+    Passport.findStream({include: 'owner'}, {batchSize: 2})
+      .on('data', function(p) {
+        passports.push(p);
+      })
+      .on('error', done)
+      .on('end', function() {
+        passports.length.should.be.ok;
+        passports.forEach(function(p) {
+          p.should.have.property('owner');
+          p.toJSON().should.not.have.property('__cachedRelations');
+          var owner = p.__cachedRelations.owner;
+          if (!p.ownerId) {
+            should.not.exist(owner);
+          } else {
+            should.exist(owner);
+            owner.id.should.eql(p.ownerId);
+          }
+        });
+        done();
+      });
+  });
+
   it('should support limit', function(done) {
     Passport.find({
       include: {
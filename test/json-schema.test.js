@@ -0,0 +1,304 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+var jdb = require('../');
+var ModelBuilder = jdb.ModelBuilder;
+
+describe('JSON Schema', function() {
+  describe('toJSONSchema', function() {
+    var builder;
+
+    beforeEach(function() {
+      builder = new ModelBuilder();
+    });
+
+    it('describes the property types', function() {
+      var Item = builder.define('Item', {
+        name: {type: String, required: true, description: 'The name'},
+        price: {type: Number, default: 0},
+        available: Boolean,
+        created: Date,
+        image: Buffer,
+        tags: [String],
+        location: 'GeoPoint',
+        extra: Object,
+        anything: 'any',
+      }, {idInjection: false});
+
+      Item.toJSONSchema().should.eql({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Item',
+        type: 'object',
+        properties: {
+          name: {type: 'string', description: 'The name'},
+          price: {type: 'number', default: 0},
+          available: {type: 'boolean'},
+          created: {type: 'string', format: 'date-time'},
+          image: {type: 'string', contentEncoding: 'base64'},
+          tags: {type: 'array', items: {type: 'string'}},
+          location: {
+            type: 'object',
+            properties: {lat: {type: 'number'}, lng: {type: 'number'}},
+            required: ['lat', 'lng'],
+          },
+          extra: {type: 'object'},
+          anything: {},
+        },
+        required: ['name'],
+      });
+    });
+
+    it('describes the validations', function() {
+      var User = builder.define('User', {
+        name: String,
+        code: String,
+        role: String,
+        nick: String,
+        age: Number,
+        emails: [String],
+        bio: String,
+      }, {strict: true, idInjection: false});
+      User.validatesPresenceOf('name');
+      User.validatesLengthOf('name', {min: 2, max: 20});
+      User.validatesLengthOf('code', {is: 3});
+      User.validatesLengthOf('emails', {max: 5});
+      User.validatesFormatOf('code', {with: /^[A-Z]+$/});
+      User.validatesInclusionOf('role', {in: ['admin', 'user']});
+      User.validatesExclusionOf('nick', {in: ['root']});
+      User.validatesNumericalityOf('age', {int: true});
+      User.validatesLengthOf('bio', {max: 5, if: 'isNewRecord'});
+
+      var schema = User.toJSONSchema();
+      schema.required.should.eql(['name']);
+      schema.additionalProperties.should.be.false();
+      schema.properties.should.eql({
+        name: {type: 'string', minLength: 2, maxLength: 20},
+        code: {type: 'string', minLength: 3, maxLength: 3, pattern: '^[A-Z]+$'},
+        role: {type: 'string', enum: ['admin', 'user']},
+        nick: {type: 'string', not: {enum: ['root']}},
+        age: {type: 'integer'},
+        emails: {type: 'array', items: {type: 'string'}, maxItems: 5},
+        bio: {type: 'string'},
+      });
+    });
+
+    it('describes the declarative property rules', function() {
+      var Item = builder.define('Item', {
+        price: {type: Number, min: 0, max: 10},
+        contact: {type: String, format: 'email'},
+      }, {idInjection: false});
+
+      Item.toJSONSchema().properties.should.eql({
+        price: {type: 'number', minimum: 0, maximum: 10},
+        contact: {type: 'string', format: 'email'},
+      });
+    });
+
+    it('describes nested anonymous models inline', function() {
+      var Customer = builder.define('Customer', {
+        address: {street: String, city: {type: String, required: true}},
+      });
+
+      Customer.toJSONSchema().properties.address.should.eql({
+        type: 'object',
+        properties: {street: {type: 'string'}, city: {type: 'string'}},
+        required: ['city'],
+      });
+    });
+
+    it('supports draft 2020-12', function() {
+      var Customer = builder.define('Customer', {name: String});
+      Customer.toJSONSchema({draft: '2020-12'}).$schema
+        .should.equal('https://json-schema.org/draft/2020-12/schema');
+      (function() {
+        Customer.toJSONSchema({draft: 'draft-03'});
+      }).should.throw(/draft-03/);
+    });
+
+    it('omits hidden properties', function() {
+      var User = builder.define('User', {name: String, password: String},
+        {hidden: ['password'], idInjection: false});
+      User.toJSONSchema().properties.should.have.keys('name');
+      User.toJSONSchema({hidden: true}).properties.should.have.keys('name', 'password');
+    });
+
+    it('references the models of embedded relations', function() {
+      var db = getSchema();
+      var Address = db.define('Address', {street: String}, {idInjection: false});
+      var Person = db.define('Person', {name: String});
+      Person.embedsOne(Address);
+      Person.embedsMany(Address, {as: 'otherAddresses', property: 'others'});
+      Person.belongsTo(Person, {as: 'parent'});
+
+      var schema = Person.toJSONSchema();
+      schema.properties.address.should.eql({$ref: '#/definitions/Address'});
+      schema.properties.others.should.eql({
+        type: 'array',
+        items: {$ref: '#/definitions/Address'},
+      });
+      schema.properties.id.readOnly.should.be.true();
+      schema.properties.should.have.property('parentId');
+      schema.definitions.should.eql({
+        Address: {
+          title: 'Address',
+          type: 'object',
+          properties: {street: {type: 'string'}},
+        },
+      });
+
+      Person.toJSONSchema({draft: '2020-12'}).$defs.should.have.keys('Address');
+    });
+  });
+
+  describe('defineFromJSONSchema', function() {
+    var builder;
+
+    beforeEach(function() {
+      builder = new ModelBuilder();
+    });
+
+    it('defines the properties', function() {
+      var Item = builder.defineFromJSONSchema('Item', {
+        type: 'object',
+        properties: {
+          name: {type: 'string', description: 'The name'},
+          price: {type: 'number', default: 0},
+          count: {type: 'integer'},
+          available: {type: 'boolean'},
+          created: {type: 'string', format: 'date-time'},
+          image: {type: 'string', contentEncoding: 'base64'},
+          tags: {type: 'array', items: {type: 'string'}},
+          location: {type: 'object', properties: {lat: {type: 'number'}, lng: {type: 'number'}}},
+          extra: {type: 'object'},
+          note: {type: ['string', 'null']},
+        },
+        required: ['name'],
+      });
+
+      var props = Item.definition.properties;
+      props.name.type.should.equal(String);
+      props.name.required.should.be.true();
+      props.name.description.should.equal('The name');
+      props.price.type.should.equal(Number);
+      props.price.default.should.equal(0);
+      props.count.type.should.equal(Number);
+      props.available.type.should.equal(Boolean);
+      props.created.type.should.equal(Date);
+      props.image.type.should.equal(Buffer);
+      props.tags.type.should.eql([String]);
+      props.location.type.should.equal(jdb.GeoPoint);
+      props.extra.type.should.equal(Object);
+      props.note.type.should.equal(String);
+    });
+
+    it('defines the validations', function() {
+      var User = builder.defineFromJSONSchema('User', {
+        type: 'object',
+        properties: {
+          name: {type: 'string', minLength: 2, maxLength: 5},
+          code: {type: 'string', pattern: '^[A-Z]+$'},
+          role: {enum: ['admin', 'user']},
+          nick: {type: 'string', not: {enum: ['root']}},
+          age: {type: 'integer'},
+        },
+        required: ['name'],
+        additionalProperties: false,
+      });
+
+      User.settings.strict.should.be.true();
+      new User({name: 'joe'}).isValid().should.be.true();
+
+      var user = new User({name: 'j', code: 'abc', role: 'guest', nick: 'root', age: 1.5});
+      user.isValid().should.be.false();
+      user.errors.codes.should.eql({
+        name: ['length.min'],
+        code: ['format'],
+        role: ['inclusion'],
+        nick: ['exclusion'],
+        age: ['numericality.int'],
+      });
+    });
+
+    it('defines the range and format validations', function() {
+      var Item = builder.defineFromJSONSchema('Item', {
+        type: 'object',
+        properties: {
+          count: {type: 'integer', minimum: 1},
+          contact: {type: 'string', format: 'email'},
+        },
+      });
+
+      var item = new Item({count: 0, contact: 'joe'});
+      item.isValid().should.be.false();
+      item.errors.codes.should.eql({
+        count: ['numericality.min'],
+        contact: ['format.email'],
+      });
+      new Item({count: 1.5}).isValid().should.be.false();
+    });
+
+    it('defines nested objects as anonymous models', function() {
+      var Customer = builder.defineFromJSONSchema('Customer', {
+        type: 'object',
+        properties: {
+          address: {
+            type: 'object',
+            properties: {city: {type: 'string', maxLength: 3}},
+            required: ['city'],
+          },
+        },
+      });
+
+      var Address = Customer.definition.properties.address.type;
+      Address.settings.anonymous.should.be.true();
+      new Address({}).isValid().should.be.false();
+      new Address({city: 'Rome'}).isValid().should.be.false();
+      new Address({city: 'Oslo'.substr(0, 3)}).isValid().should.be.true();
+    });
+
+    it('defines the referenced models', function() {
+      var Person = builder.defineFromJSONSchema('Person', {
+        type: 'object',
+        properties: {
+          address: {$ref: '#/$defs/Address'},
+          friends: {type: 'array', items: {$ref: '#'}},
+        },
+        $defs: {
+          Address: {type: 'object', properties: {street: {type: 'string'}}},
+        },
+      });
+
+      var Address = builder.models.Address;
+      should.exist(Address);
+      Person.definition.properties.address.type.should.equal(Address);
+      Person.definition.properties.friends.type.should.eql([Person]);
+    });
+
+    it('round-trips the exported schema', function() {
+      var db = getSchema();
+      var Person = db.define('Person', {name: {type: String, required: true}});
+      Person.validatesLengthOf('name', {max: 10});
+
+      var Copy = db.defineFromJSONSchema('PersonCopy', Person.toJSONSchema());
+      Copy.dataSource.should.equal(db);
+      Copy.toJSONSchema().properties.name.should.eql(Person.toJSONSchema().properties.name);
+      Copy.toJSONSchema().required.should.eql(['name']);
+    });
+
+    it('rejects unsupported references', function() {
+      (function() {
+        builder.defineFromJSONSchema('Item', {
+          type: 'object',
+          properties: {owner: {$ref: 'http://example.com/user.json'}},
+        });
+      }).should.throw(/example\.com/);
+    });
+  });
+});
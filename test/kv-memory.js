@@ -8,4 +8,19 @@ describe('KeyValue-Memory connector', function() {
   };
 
   require('./kvao.suite')(dataSourceFactory);
+
+  it('notifies the keys removed by the scheduled cleanup', function(done) {
+    var ds = new DataSource({connector: kvMemory, cleanupInterval: 10});
+    var CacheItem = ds.createModel('CacheItem');
+    CacheItem.subscribe('*', function(event) {
+      if (event.type !== 'expire') return;
+      event.key.should.equal('a-key');
+      ds.disconnect(done);
+    }, function(err) {
+      if (err) return done(err);
+      CacheItem.set('a-key', 'a-value', 1, function(err) {
+        if (err) return done(err);
+      });
+    });
+  });
 });
@@ -0,0 +1,57 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var canCompareAndSet = connectorCapabilities.canCompareAndSet !== false;
+
+  bdd.describeIf(canCompareAndSet, 'setIfNotExists/compareAndSet', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('sets a new key only - Callback API', function(done) {
+      CacheItem.setIfNotExists('a-key', 'first', function(err, created) {
+        if (err) return done(err);
+        should.equal(created, true);
+        CacheItem.setIfNotExists('a-key', 'second', function(err, created) {
+          if (err) return done(err);
+          should.equal(created, false);
+          CacheItem.get('a-key', function(err, value) {
+            if (err) return done(err);
+            should.equal(value, 'first');
+            done();
+          });
+        });
+      });
+    });
+
+    it('replaces the expected value only - Promise API', function() {
+      return CacheItem.set('a-key', {version: 1})
+        .then(function() {
+          return CacheItem.compareAndSet('a-key', {version: 2}, {version: 3});
+        })
+        .then(function(replaced) {
+          should.equal(replaced, false);
+          return CacheItem.compareAndSet('a-key', {version: 1}, {version: 2});
+        })
+        .then(function(replaced) {
+          should.equal(replaced, true);
+          return CacheItem.get('a-key');
+        })
+        .then(function(value) { value.should.have.properties({version: 2}); });
+    });
+
+    it('does not set an unknown key with compareAndSet', function() {
+      return CacheItem.compareAndSet('key-does-not-exist', 'a', 'b')
+        .then(function(replaced) {
+          should.equal(replaced, false);
+          return CacheItem.get('key-does-not-exist');
+        })
+        .then(function(value) { should.equal(value, null); });
+    });
+  });
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var canDelete = connectorCapabilities.canDelete !== false;
+
+  bdd.describeIf(canDelete, 'delete', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('deletes the key - Callback API', function(done) {
+      CacheItem.set('a-key', 'a-value', function(err) {
+        if (err) return done(err);
+        CacheItem.delete('a-key', function(err, deleted) {
+          if (err) return done(err);
+          should.equal(deleted, true);
+          CacheItem.get('a-key', function(err, value) {
+            if (err) return done(err);
+            should.equal(value, null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('reports unknown keys - Promise API', function() {
+      return CacheItem.delete('key-does-not-exist')
+        .then(function(deleted) { should.equal(deleted, false); });
+    });
+  });
+};
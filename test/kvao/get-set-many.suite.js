@@ -0,0 +1,44 @@
+'use strict';
+
+var should = require('should');
+var helpers = require('./_helpers');
+var Promise = require('bluebird');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var ttlPrecision = connectorCapabilities.ttlPrecision || 10;
+
+  describe('getMany/setMany', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('sets and gets several keys - Callback API', function(done) {
+      CacheItem.setMany({a: 'value-a', b: {x: 1}}, function(err) {
+        if (err) return done(err);
+        CacheItem.getMany(['b', 'unknown', 'a'], function(err, values) {
+          if (err) return done(err);
+          values[0].should.have.properties({x: 1});
+          values.slice(1).should.eql([null, 'value-a']);
+          done();
+        });
+      });
+    });
+
+    it('applies the ttl to every key - Promise API', function() {
+      return CacheItem.setMany({a: 1, b: 2}, ttlPrecision)
+        .delay(2 * ttlPrecision)
+        .then(function() { return CacheItem.getMany(['a', 'b']); })
+        .then(function(values) { values.should.eql([null, null]); });
+    });
+
+    it('falls back to get and set', function() {
+      var connector = CacheItem.getConnector();
+      connector.getMany = undefined;
+      connector.setMany = undefined;
+      return Promise.resolve(CacheItem.setMany({a: 1, b: 2}))
+        .then(function() { return CacheItem.getMany(['a', 'b', 'c']); })
+        .then(function(values) { values.should.eql([1, 2, null]); });
+    });
+  });
+};
@@ -33,7 +33,10 @@ module.exports = function(dataSourceFactory, connectorCapabilities) {
     it('works for Object values', function() {
       return CacheItem.set('a-key', {a: 1, b: 2})
         .then(function() { return CacheItem.get('a-key'); })
-        .then(function(value) { value.should.eql({a: 1, b: 2}); });
+        .then(function(value) {
+          value.should.be.instanceOf(CacheItem);
+          value.should.have.properties({a: 1, b: 2});
+        });
     });
 
     it('works for Buffer values', function() {
@@ -0,0 +1,90 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+var Promise = require('bluebird');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var ttlPrecision = connectorCapabilities.ttlPrecision || 10;
+
+  var canUseHashes = connectorCapabilities.canUseHashes !== false;
+
+  bdd.describeIf(canUseHashes, 'hashes', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('sets and gets fields - Callback API', function(done) {
+      CacheItem.hset('a-key', 'name', 'a-name', function(err, created) {
+        if (err) return done(err);
+        should.equal(created, true);
+        CacheItem.hget('a-key', 'name', function(err, value) {
+          if (err) return done(err);
+          should.equal(value, 'a-name');
+          done();
+        });
+      });
+    });
+
+    it('updates a field without touching the others - Promise API', function() {
+      return Promise.all([
+        CacheItem.hset('a-key', 'name', 'a-name'),
+        CacheItem.hset('a-key', 'visits', {count: 1}),
+      ])
+        .then(function() { return CacheItem.hset('a-key', 'visits', {count: 2}); })
+        .then(function(created) {
+          should.equal(created, false);
+          return Promise.all([
+            CacheItem.hget('a-key', 'name'),
+            CacheItem.hget('a-key', 'visits'),
+            CacheItem.hget('a-key', 'unknown'),
+          ]);
+        })
+        .then(function(values) {
+          values.should.eql(['a-name', {count: 2}, null]);
+        });
+    });
+
+    it('deletes the fields and the empty hash', function() {
+      return CacheItem.hset('a-key', 'name', 'a-name')
+        .then(function() { return CacheItem.hdel('a-key', 'name'); })
+        .then(function(deleted) {
+          should.equal(deleted, true);
+          return CacheItem.hdel('a-key', 'name');
+        })
+        .then(function(deleted) {
+          should.equal(deleted, false);
+          return CacheItem.keys();
+        })
+        .then(function(keys) { keys.should.eql([]); });
+    });
+
+    it('sets the ttl of the key', function() {
+      return CacheItem.hset('a-key', 'name', 'a-name', ttlPrecision)
+        .then(function() { return CacheItem.hset('a-key', 'other', 'a-value'); })
+        .delay(2 * ttlPrecision)
+        .then(function() { return CacheItem.hget('a-key', 'name'); })
+        .then(function(value) { should.equal(value, null); });
+    });
+
+    it('returns error when the key holds another type', function() {
+      return CacheItem.set('a-key', 'a-value')
+        .then(function() { return CacheItem.hget('a-key', 'name'); })
+        .then(
+          function() { throw new Error('hget() should have failed'); },
+          function(err) {
+            err.message.should.match(/a-key/);
+            err.should.have.property('statusCode', 400);
+            return CacheItem.hset('b-key', 'name', 'a-name');
+          })
+        .then(function() { return CacheItem.get('b-key'); })
+        .then(
+          function() { throw new Error('get() should have failed'); },
+          function(err) {
+            err.should.have.property('statusCode', 400);
+          });
+    });
+  });
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+var Promise = require('bluebird');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var ttlPrecision = connectorCapabilities.ttlPrecision || 10;
+
+  var canIncr = connectorCapabilities.canIncr !== false;
+
+  bdd.describeIf(canIncr, 'incr/decr', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('increments a new key from zero - Callback API', function(done) {
+      CacheItem.incr('counter', function(err, value) {
+        if (err) return done(err);
+        should.equal(value, 1);
+        CacheItem.get('counter', function(err, value) {
+          if (err) return done(err);
+          should.equal(value, 1);
+          done();
+        });
+      });
+    });
+
+    it('increments and decrements by the given delta - Promise API', function() {
+      return CacheItem.set('counter', 10)
+        .then(function() { return CacheItem.incr('counter', 5); })
+        .then(function(value) {
+          should.equal(value, 15);
+          return CacheItem.decr('counter');
+        })
+        .then(function(value) {
+          should.equal(value, 14);
+          return CacheItem.decr('counter', 20);
+        })
+        .then(function(value) { should.equal(value, -6); });
+    });
+
+    it('applies the ttl to a new key only', function() {
+      return CacheItem.incr('counter', {ttl: ttlPrecision})
+        .then(function() { return CacheItem.incr('counter', 1, 10 * ttlPrecision); })
+        .delay(2 * ttlPrecision)
+        .then(function() { return CacheItem.get('counter'); })
+        .then(function(value) { should.equal(value, null); });
+    });
+
+    it('returns error when the value is not an integer', function() {
+      return CacheItem.set('a-key', 'a-value')
+        .then(function() { return CacheItem.incr('a-key'); })
+        .then(
+          function() { throw new Error('incr() should have failed'); },
+          function(err) {
+            err.message.should.match(/a-key/);
+            err.should.have.property('statusCode', 400);
+          });
+    });
+
+    it('handles concurrent increments', function() {
+      return Promise.all([1, 2, 3, 4].map(function() {
+        return CacheItem.incr('counter');
+      }))
+        .then(function(values) {
+          values.sort().should.eql([1, 2, 3, 4]);
+        });
+    });
+  });
+};
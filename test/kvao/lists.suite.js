@@ -0,0 +1,72 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+var Promise = require('bluebird');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var ttlPrecision = connectorCapabilities.ttlPrecision || 10;
+
+  var canUseLists = connectorCapabilities.canUseLists !== false;
+
+  bdd.describeIf(canUseLists, 'lists', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('pushes and pops values at both ends - Callback API', function(done) {
+      CacheItem.rpush('a-key', 'b', function(err, length) {
+        if (err) return done(err);
+        should.equal(length, 1);
+        CacheItem.lpush('a-key', 'a', function(err, length) {
+          if (err) return done(err);
+          should.equal(length, 2);
+          CacheItem.rpop('a-key', function(err, value) {
+            if (err) return done(err);
+            should.equal(value, 'b');
+            CacheItem.lpop('a-key', function(err, value) {
+              if (err) return done(err);
+              should.equal(value, 'a');
+              CacheItem.lpop('a-key', function(err, value) {
+                if (err) return done(err);
+                should.equal(value, null);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('returns a range of values - Promise API', function() {
+      return Promise.each([1, 2, 3, {value: 4}], function(value) {
+        return CacheItem.rpush('a-key', value);
+      })
+        .then(function() {
+          return Promise.all([
+            CacheItem.lrange('a-key', 0, -1),
+            CacheItem.lrange('a-key', 1, 2),
+            CacheItem.lrange('a-key', -2, 10),
+            CacheItem.lrange('key-does-not-exist', 0, -1),
+          ]);
+        })
+        .then(function(ranges) {
+          ranges.should.eql([
+            [1, 2, 3, {value: 4}],
+            [2, 3],
+            [3, {value: 4}],
+            [],
+          ]);
+        });
+    });
+
+    it('sets the ttl of the key', function() {
+      return CacheItem.rpush('a-key', 'a', {ttl: ttlPrecision})
+        .delay(2 * ttlPrecision)
+        .then(function() { return CacheItem.lrange('a-key', 0, -1); })
+        .then(function(values) { values.should.eql([]); });
+    });
+  });
+};
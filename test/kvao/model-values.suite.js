@@ -0,0 +1,95 @@
+'use strict';
+
+var should = require('should');
+var GeoPoint = require('../../lib/geo').GeoPoint;
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  describe('model values', function() {
+    var Session;
+    beforeEach(function givenSessionModel() {
+      var dataSource = dataSourceFactory();
+      var Device = dataSource.createModel('Device', {
+        name: String,
+        lastSeen: Date,
+      }, {anonymous: false});
+      Session = dataSource.createModel('Session', {
+        user: {type: String, required: true},
+        created: Date,
+        location: 'GeoPoint',
+        device: Device,
+      });
+    });
+
+    it('round-trips typed properties - Callback API', function(done) {
+      var created = new Date('2016-08-01T10:00:00.000Z');
+      Session.set('a-key', {
+        user: 'alice',
+        created: created.toISOString(),
+        location: {lat: 52.37, lng: 4.89},
+        device: {name: 'phone', lastSeen: created},
+      }, function(err) {
+        if (err) return done(err);
+        Session.get('a-key', function(err, session) {
+          if (err) return done(err);
+          session.should.be.instanceOf(Session);
+          session.user.should.equal('alice');
+          session.created.should.eql(created);
+          session.location.should.be.instanceOf(GeoPoint);
+          session.location.lat.should.equal(52.37);
+          session.device.should.be.instanceOf(Session.dataSource.models.Device);
+          session.device.lastSeen.should.eql(created);
+          done();
+        });
+      });
+    });
+
+    it('stores model instances - Promise API', function() {
+      return Session.set('a-key', new Session({user: 'bob'}))
+        .then(function() { return Session.getMany(['a-key']); })
+        .then(function(sessions) {
+          sessions[0].should.be.instanceOf(Session);
+          sessions[0].user.should.equal('bob');
+        });
+    });
+
+    it('rejects invalid values', function() {
+      return Session.set('a-key', {created: new Date()})
+        .then(
+          function() { throw new Error('set() should have failed'); },
+          function(err) {
+            err.name.should.equal('ValidationError');
+            err.details.codes.should.have.property('user');
+            return Session.setIfNotExists('a-key', {});
+          })
+        .then(
+          function() { throw new Error('setIfNotExists() should have failed'); },
+          function(err) {
+            err.name.should.equal('ValidationError');
+            return Session.get('a-key');
+          })
+        .then(function(value) { should.equal(value, null); });
+    });
+
+    it('skips the validation with options.validate set to false', function() {
+      return Session.set('a-key', {created: new Date()}, {validate: false})
+        .then(function() { return Session.get('a-key'); })
+        .then(function(session) {
+          session.created.should.be.instanceOf(Date);
+        });
+    });
+
+    it('compares coerced values in compareAndSet', function() {
+      var created = new Date('2016-08-01T10:00:00.000Z');
+      return Session.set('a-key', {user: 'alice', created: created})
+        .then(function() { return Session.get('a-key'); })
+        .then(function(session) {
+          return Session.compareAndSet('a-key', session, {user: 'bob'});
+        })
+        .then(function(replaced) {
+          should.equal(replaced, true);
+          return Session.get('a-key');
+        })
+        .then(function(session) { session.user.should.equal('bob'); });
+    });
+  });
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+var Promise = require('bluebird');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var ttlPrecision = connectorCapabilities.ttlPrecision || 10;
+
+  var canSubscribe = connectorCapabilities.canSubscribe !== false;
+
+  bdd.describeIf(canSubscribe, 'subscribe/publish', function() {
+    var CacheItem, events;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+      events = [];
+    });
+
+    function collect(event) {
+      events.push(event);
+    }
+
+    it('notifies set and delete of matching keys - Callback API', function(done) {
+      CacheItem.subscribe('session:*', collect, function(err) {
+        if (err) return done(err);
+        CacheItem.set('session:1', 'a-value', function(err) {
+          if (err) return done(err);
+          CacheItem.set('other', 'a-value', function(err) {
+            if (err) return done(err);
+            CacheItem.delete('session:1', function(err) {
+              if (err) return done(err);
+              setImmediate(function() {
+                events.should.eql([
+                  {type: 'set', key: 'session:1'},
+                  {type: 'delete', key: 'session:1'},
+                ]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('notifies expired keys - Promise API', function() {
+      return CacheItem.subscribe('*', collect)
+        .then(function() { return CacheItem.set('a-key', 'a-value', ttlPrecision); })
+        .delay(2 * ttlPrecision)
+        .then(function() { return CacheItem.get('a-key'); })
+        .delay(ttlPrecision)
+        .then(function() {
+          events.should.containEql({type: 'expire', key: 'a-key'});
+        });
+    });
+
+    it('delivers published messages', function() {
+      return Promise.all([
+        CacheItem.subscribe('news.*', collect),
+        CacheItem.subscribe('other', collect),
+      ])
+        .then(function() { return CacheItem.publish('news.sport', {score: 1}); })
+        .delay(ttlPrecision)
+        .then(function() {
+          events.should.eql([{type: 'message', channel: 'news.sport', message: {score: 1}}]);
+        });
+    });
+
+    it('stops the delivery after unsubscribe', function() {
+      return CacheItem.subscribe('*', collect)
+        .then(function(subscription) { return CacheItem.unsubscribe(subscription); })
+        .then(function() { return CacheItem.set('a-key', 'a-value'); })
+        .delay(ttlPrecision)
+        .then(function() { events.should.be.empty(); });
+    });
+
+    it('does not notify the changes of other models', function() {
+      var Other = CacheItem.dataSource.createModel('OtherItem');
+      return CacheItem.subscribe('*', collect)
+        .then(function() { return Other.set('a-key', 'a-value'); })
+        .delay(ttlPrecision)
+        .then(function() { events.should.be.empty(); });
+    });
+  });
+};
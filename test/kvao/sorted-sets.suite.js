@@ -0,0 +1,66 @@
+'use strict';
+
+var bdd = require('../helpers/bdd-if');
+var should = require('should');
+var helpers = require('./_helpers');
+var Promise = require('bluebird');
+
+module.exports = function(dataSourceFactory, connectorCapabilities) {
+  var ttlPrecision = connectorCapabilities.ttlPrecision || 10;
+
+  var canUseSortedSets = connectorCapabilities.canUseSortedSets !== false;
+
+  bdd.describeIf(canUseSortedSets, 'sorted sets', function() {
+    var CacheItem;
+    beforeEach(function unpackContext() {
+      CacheItem = helpers.givenCacheItem(dataSourceFactory);
+    });
+
+    it('adds members - Callback API', function(done) {
+      CacheItem.zadd('a-key', 1, 'a', function(err, created) {
+        if (err) return done(err);
+        should.equal(created, true);
+        CacheItem.zadd('a-key', 2, 'a', function(err, created) {
+          if (err) return done(err);
+          should.equal(created, false);
+          CacheItem.zrangeByScore('a-key', 0, 10, function(err, members) {
+            if (err) return done(err);
+            members.should.eql(['a']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('returns the members in a range of scores - Promise API', function() {
+      return Promise.all([
+        CacheItem.zadd('a-key', 3, 'c'),
+        CacheItem.zadd('a-key', 1, 'a'),
+        CacheItem.zadd('a-key', 2, {id: 'b'}),
+        CacheItem.zadd('a-key', 5, 'e'),
+      ])
+        .then(function() { return CacheItem.zadd('a-key', 0, 'c'); })
+        .then(function() {
+          return Promise.all([
+            CacheItem.zrangeByScore('a-key', -Infinity, Infinity),
+            CacheItem.zrangeByScore('a-key', 1, 3),
+            CacheItem.zrangeByScore('key-does-not-exist', 0, 10),
+          ]);
+        })
+        .then(function(ranges) {
+          ranges.should.eql([
+            ['c', 'a', {id: 'b'}, 'e'],
+            ['a', {id: 'b'}],
+            [],
+          ]);
+        });
+    });
+
+    it('sets the ttl of the key', function() {
+      return CacheItem.zadd('a-key', 1, 'a', ttlPrecision)
+        .delay(2 * ttlPrecision)
+        .then(function() { return CacheItem.zrangeByScore('a-key', 0, 10); })
+        .then(function(members) { members.should.eql([]); });
+    });
+  });
+};
@@ -0,0 +1,157 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+var Loader = require('../').Loader;
+
+var db, Author, Post, queries;
+
+describe('Loader', function() {
+  before(function() {
+    db = getSchema();
+    Author = db.define('Author', {name: String});
+    Post = db.define('Post', {title: String});
+    Post.belongsTo(Author);
+    Author.hasMany(Post);
+    Author.observe('access', function(ctx, next) {
+      queries.push(ctx.query.where);
+      next();
+    });
+  });
+
+  var authors, posts;
+  beforeEach(function() {
+    queries = [];
+    return db.automigrate(['Author', 'Post'])
+      .then(function() {
+        return Promise.all(['a', 'b', 'c'].map(function(name) {
+          return Author.create({name: name});
+        }));
+      })
+      .then(function(created) {
+        authors = created;
+        return Promise.all([0, 1, 0, 2].map(function(i) {
+          return Post.create({title: 'p' + i, authorId: authors[i].id});
+        }));
+      })
+      .then(function(created) {
+        posts = created;
+        queries = [];
+      });
+  });
+
+  it('batches findById calls made in the same tick', function() {
+    var options = {loader: new Loader()};
+    return Promise.all([
+      Author.findById(authors[0].id, {}, options),
+      Author.findById(authors[2].id, {}, options),
+      Author.findById(authors[0].id, {}, options),
+      Author.findById(999, {}, options),
+    ])
+      .then(function(found) {
+        found[0].name.should.equal('a');
+        found[1].name.should.equal('c');
+        found[2].should.equal(found[0]);
+        should.not.exist(found[3]);
+        queries.should.eql([{id: {inq: [authors[0].id, authors[2].id, 999]}}]);
+      });
+  });
+
+  it('memoizes the loaded instances', function() {
+    var loader = new Loader();
+    var options = {loader: loader};
+    return Author.findById(authors[0].id, {}, options)
+      .then(function() {
+        return Author.findById(authors[0].id, {}, options);
+      })
+      .then(function(author) {
+        author.name.should.equal('a');
+        queries.should.have.length(1);
+        loader.clear(Author, authors[0].id);
+        return Author.findById(authors[0].id, {}, options);
+      })
+      .then(function() {
+        queries.should.have.length(2);
+      });
+  });
+
+  it('batches findByIds calls', function() {
+    var options = {loader: new Loader()};
+    return Promise.all([
+      Author.findByIds([authors[1].id, authors[0].id], {}, options),
+      Author.findById(authors[2].id, {}, options),
+    ])
+      .then(function(found) {
+        found[0].map(function(a) { return a.name; }).should.eql(['b', 'a']);
+        found[1].name.should.equal('c');
+        queries.should.have.length(1);
+      });
+  });
+
+  it('batches belongsTo lookups', function() {
+    var options = {loader: new Loader()};
+    return Promise.all(posts.map(function(post) {
+      return new Promise(function(resolve, reject) {
+        post.author(false, options, function(err, author) {
+          if (err) return reject(err);
+          resolve(author);
+        });
+      });
+    }))
+      .then(function(found) {
+        found.map(function(a) { return a.name; }).should.eql(['a', 'b', 'a', 'c']);
+        queries.should.have.length(1);
+      });
+  });
+
+  it('does not batch lookups with other filters', function() {
+    var options = {loader: new Loader()};
+    return Promise.all([
+      Author.findById(authors[0].id, {fields: ['name']}, options),
+      Author.findById(authors[1].id, {fields: ['name']}, options),
+    ])
+      .then(function() {
+        queries.should.have.length(2);
+      });
+  });
+
+  it('keeps separate batches per include', function() {
+    var options = {loader: new Loader()};
+    return Promise.all([
+      Author.findById(authors[0].id, {include: 'posts'}, options),
+      Author.findById(authors[1].id, {include: 'posts'}, options),
+      Author.findById(authors[0].id, {}, options),
+    ])
+      .then(function(found) {
+        found[0].posts().should.have.length(2);
+        found[1].posts().should.have.length(1);
+        queries.should.have.length(2);
+      });
+  });
+
+  it('reports the errors to every caller', function() {
+    var options = {loader: new Loader()};
+    Author.observe('access', function fail(ctx, next) {
+      Author.removeObserver('access', fail);
+      next(new Error('boom'));
+    });
+    return Promise.all([
+      Author.findById(authors[0].id, {}, options).catch(function(err) { return err; }),
+      Author.findById(authors[1].id, {}, options).catch(function(err) { return err; }),
+    ])
+      .then(function(results) {
+        results[0].message.should.equal('boom');
+        results[1].message.should.equal('boom');
+        return Author.findById(authors[0].id, {}, options);
+      })
+      .then(function(author) {
+        author.name.should.equal('a');
+      });
+  });
+});
@@ -8,6 +8,8 @@ var jdb = require('../');
 var DataSource = jdb.DataSource;
 var path = require('path');
 var fs = require('fs');
+var os = require('os');
+var util = require('util');
 var assert = require('assert');
 var async = require('async');
 var should = require('./init.js');
@@ -139,6 +141,342 @@ describe('Memory connector', function() {
     });
   });
 
+  describe('with journal', function() {
+    var journalFile = path.join(os.tmpdir(), 'juggler-memory-journal.json');
+
+    function removeFiles() {
+      ['', '.journal', '.lock', '.tmp'].forEach(function(suffix) {
+        try {
+          fs.unlinkSync(journalFile + suffix);
+        } catch (e) {
+          // Not created by the test
+        }
+      });
+    }
+
+    function createDataSource(settings) {
+      var ds = new DataSource(util._extend({
+        connector: 'memory',
+        file: journalFile,
+        journal: true,
+      }, settings));
+      ds.createModel('Note', {text: String});
+      return ds;
+    }
+
+    function readJournal() {
+      return fs.readFileSync(journalFile + '.journal', 'utf8').split('\n')
+        .filter(Boolean)
+        .map(JSON.parse);
+    }
+
+    beforeEach(removeFiles);
+    after(removeFiles);
+
+    it('appends the changed records to the journal', function() {
+      var Note = createDataSource().models.Note;
+      return Note.create({text: 'a'})
+        .then(function(note) {
+          return note.updateAttributes({text: 'b'});
+        })
+        .then(function(note) {
+          fs.existsSync(journalFile).should.be.false();
+          var entries = readJournal();
+          entries.should.have.length(2);
+          entries[1].changes.should.eql([
+            ['Note', String(note.id), JSON.stringify({text: 'b', id: note.id})],
+          ]);
+          return note.remove();
+        })
+        .then(function() {
+          should(readJournal()[2].changes[0][2]).be.null();
+        });
+    });
+
+    it('loads the file and replays the journal', function(done) {
+      var Note = createDataSource().models.Note;
+      Note.create([{text: 'a'}, {text: 'b'}, {text: 'c'}], function(err, notes) {
+        if (err) return done(err);
+        Note.destroyById(notes[0].id, function(err) {
+          if (err) return done(err);
+          // Simulate a crash in the middle of an append
+          fs.appendFileSync(journalFile + '.journal', '{"ids":');
+          var Reloaded = createDataSource().models.Note;
+          Reloaded.find({order: 'id'}, function(err, found) {
+            if (err) return done(err);
+            found.map(function(n) { return n.text; }).should.eql(['b', 'c']);
+            Reloaded.create({text: 'd'}, function(err, note) {
+              if (err) return done(err);
+              note.id.should.equal(4);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('journals the collections emptied by automigrate', function() {
+      var ds = createDataSource();
+      var Note = ds.models.Note;
+      return Note.create([{text: 'a'}, {text: 'b'}])
+        .then(function() {
+          return ds.automigrate();
+        })
+        .then(function() {
+          return Note.create({text: 'c'});
+        })
+        .then(function() {
+          var entries = readJournal();
+          entries[entries.length - 1].changes[0].should.eql(['Note', null, null]);
+          return createDataSource().models.Note.find();
+        })
+        .then(function(notes) {
+          notes.map(function(n) { return n.text; }).should.eql(['c']);
+        });
+    });
+
+    it('loads the file once when connecting again', function() {
+      var ds = createDataSource();
+      var loads = 0;
+      var loadFromFile = ds.connector.loadFromFile;
+      ds.connector.loadFromFile = function(callback) {
+        loads++;
+        return loadFromFile.apply(this, arguments);
+      };
+      return ds.models.Note.create({text: 'a'})
+        .then(function() {
+          return ds.connect();
+        })
+        .then(function() {
+          loads.should.equal(0);
+          return ds.models.Note.count();
+        })
+        .then(function(count) {
+          count.should.equal(1);
+        });
+    });
+
+    it('compacts the journal', function() {
+      var ds = createDataSource({journal: {compactThreshold: 2}});
+      var Note = ds.models.Note;
+      return Note.create({text: 'a'})
+        .then(function() {
+          readJournal().should.have.length(1);
+          return Note.create({text: 'b'});
+        })
+        .then(function() {
+          readJournal().should.have.length(0);
+          var data = JSON.parse(fs.readFileSync(journalFile, 'utf8'));
+          Object.keys(data.models.Note).should.have.length(2);
+          return Note.create({text: 'c'});
+        })
+        .then(function() {
+          readJournal().should.have.length(1);
+          return ds.connector.compact();
+        })
+        .then(function() {
+          readJournal().should.have.length(0);
+          return createDataSource().models.Note.count();
+        })
+        .then(function(count) {
+          count.should.equal(3);
+        });
+    });
+
+    it('locks the file', function(done) {
+      var ds = createDataSource({lock: true});
+      ds.once('connected', function() {
+        var other = createDataSource({lock: true});
+        other.once('error', function(err) {
+          err.code.should.equal('ELOCKED');
+          ds.disconnect(function() {
+            var again = createDataSource({lock: true});
+            again.once('connected', function() {
+              again.disconnect(done);
+            });
+          });
+        });
+      });
+    });
+
+    it('releases the locks with a single exit listener', function(done) {
+      var listeners = process.listeners('exit').length;
+      var ds = createDataSource({lock: true});
+      var other = createDataSource({lock: true, file: journalFile + '.other'});
+      async.each([ds, other], function(ds, next) {
+        ds.once('connected', next);
+      }, function() {
+        process.listeners('exit').length.should.be.belowOrEqual(listeners + 1);
+        async.each([ds, other], function(ds, next) {
+          ds.disconnect(next);
+        }, function() {
+          fs.existsSync(journalFile + '.other.lock').should.be.false();
+          done();
+        });
+      });
+    });
+
+    it('takes over the lock of a process which is gone', function(done) {
+      fs.writeFileSync(journalFile + '.lock', '99999999');
+      var ds = createDataSource({lock: true});
+      ds.once('connected', function() {
+        fs.readFileSync(journalFile + '.lock', 'utf8').should.equal(String(process.pid));
+        ds.disconnect(function() {
+          fs.existsSync(journalFile + '.lock').should.be.false();
+          done();
+        });
+      });
+    });
+  });
+
+  describe('geo queries', function() {
+    var ds = new DataSource({connector: 'memory'});
+    var Place = ds.define('Place', {
+      name: String,
+      location: 'GeoPoint',
+      address: Object,
+    });
+    var origin = {lat: 0, lng: 0};
+
+    before(function(done) {
+      // 1 degree of longitude is about 69 miles (111 kilometers) at the equator
+      Place.create([
+        {name: 'c', location: {lat: 0, lng: 2}},
+        {name: 'a', location: {lat: 0, lng: 0.5}, address: {location: {lat: 0, lng: 3}}},
+        {name: 'd', location: {lat: 0, lng: 3}},
+        {name: 'b', location: {lat: 0, lng: 1}, address: {location: {lat: 0, lng: 1}}},
+        {name: 'nowhere'},
+      ], done);
+    });
+
+    function names(where) {
+      return Place.find({where: where}).then(function(places) {
+        return places.map(function(p) { return p.name; });
+      });
+    }
+
+    it('sorts by distance', function() {
+      return names({location: {near: origin}}).then(function(found) {
+        found.should.eql(['a', 'b', 'c', 'd']);
+      });
+    });
+
+    it('supports maxDistance and minDistance', function() {
+      return Promise.all([
+        names({location: {near: origin, maxDistance: 100}}),
+        names({location: {near: origin, minDistance: 50}}),
+        names({location: {near: origin, minDistance: 50, maxDistance: 150}}),
+      ]).then(function(found) {
+        found.should.eql([['a', 'b'], ['b', 'c', 'd'], ['b', 'c']]);
+      });
+    });
+
+    it('supports units', function() {
+      return names({location: {near: origin, maxDistance: 120, unit: 'kilometers'}})
+        .then(function(found) {
+          found.should.eql(['a', 'b']);
+        });
+    });
+
+    it('supports near inside or', function() {
+      return names({or: [
+        {location: {near: origin, maxDistance: 40}},
+        {name: 'd'},
+      ]}).then(function(found) {
+        found.should.eql(['a', 'd']);
+      });
+    });
+
+    it('supports near inside and', function() {
+      return names({and: [
+        {location: {near: '0,3', maxDistance: 150}},
+        {name: {neq: 'd'}},
+      ]}).then(function(found) {
+        found.should.eql(['c', 'b']);
+      });
+    });
+
+    it('supports near on nested properties', function() {
+      return names({'address.location': {near: origin, maxDistance: 100}})
+        .then(function(found) {
+          found.should.eql(['b']);
+        });
+    });
+  });
+
+  describe('snapshot and restore', function() {
+    var ds, Note;
+
+    beforeEach(function() {
+      ds = new DataSource({connector: 'memory'});
+      Note = ds.createModel('Note', {text: String});
+    });
+
+    it('restores the records and ids of a snapshot', function() {
+      var snapshot;
+      return Note.create({text: 'a'})
+        .then(function() {
+          return ds.connector.snapshot();
+        })
+        .then(function(result) {
+          snapshot = result;
+          snapshot.should.be.a.String();
+          return Note.create({text: 'b'});
+        })
+        .then(function() {
+          return ds.connector.restore(snapshot);
+        })
+        .then(function() {
+          return Note.find();
+        })
+        .then(function(notes) {
+          notes.map(function(n) { return n.text; }).should.eql(['a']);
+          return Note.create({text: 'c'});
+        })
+        .then(function(note) {
+          note.id.should.equal(2);
+        });
+    });
+
+    it('supports custom formats', function() {
+      var format = {
+        serialize: function(data) {
+          return new Buffer(JSON.stringify(data)).toString('base64');
+        },
+        parse: function(str) {
+          return JSON.parse(new Buffer(str, 'base64').toString());
+        },
+      };
+      var snapshot;
+      return Note.create({text: 'a'})
+        .then(function() {
+          return ds.connector.snapshot(format);
+        })
+        .then(function(result) {
+          snapshot = result;
+          JSON.parse(format.parse(snapshot).models.Note[1]).text.should.equal('a');
+          return Note.destroyAll();
+        })
+        .then(function() {
+          return ds.connector.restore(snapshot, format);
+        })
+        .then(function() {
+          return Note.count();
+        })
+        .then(function(count) {
+          count.should.equal(1);
+        });
+    });
+
+    it('rejects unknown formats', function() {
+      return ds.connector.snapshot('yaml').then(function() {
+        throw new Error('snapshot should have failed');
+      }, function(err) {
+        err.message.should.match(/yaml/);
+      });
+    });
+  });
+
   describe('Query for memory connector', function() {
     var ds = new DataSource({
       connector: 'memory',
@@ -1022,3 +1360,154 @@ describe('Memory connector with observers', function() {
     });
   });
 });
+
+describe('Memory connector without cursor support', function() {
+  var ds, Item;
+
+  before(function(done) {
+    ds = new DataSource({connector: 'memory'});
+    ds.connector.cursor = null;
+    Item = ds.define('Item', {seq: Number});
+    Item.create([{seq: 0}, {seq: 1}, {seq: 2}, {seq: 3}, {seq: 4}], done);
+  });
+
+  it('streams find results page by page', function(done) {
+    var items = [];
+    Item.findStream({skip: 1, limit: 3}, {batchSize: 2})
+      .on('data', function(item) {
+        items.push(item.seq);
+      })
+      .on('error', done)
+      .on('end', function() {
+        items.should.eql([1, 2, 3]);
+        done();
+      });
+  });
+});
+
+describe('Memory connector with transactions', function() {
+  var ds, Post;
+
+  beforeEach(function() {
+    ds = new DataSource({connector: 'memory'});
+    Post = ds.define('Post', {
+      title: String,
+      content: String,
+    });
+  });
+
+  it('isolates writes made within the transaction', function(done) {
+    Post.beginTransaction({}, function(err, tx) {
+      if (err) return done(err);
+      var opts = {transaction: tx};
+      Post.create({title: 't1'}, opts, function(err) {
+        if (err) return done(err);
+        Post.find({where: {title: 't1'}}, opts, function(err, posts) {
+          if (err) return done(err);
+          posts.should.have.length(1);
+          Post.count({title: 't1'}, function(err, count) {
+            if (err) return done(err);
+            count.should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('applies changes on commit', function(done) {
+    Post.create([{title: 't1'}, {title: 't2'}], function(err, posts) {
+      if (err) return done(err);
+      Post.beginTransaction({}, function(err, tx) {
+        if (err) return done(err);
+        var opts = {transaction: tx};
+        async.series([
+          function(next) {
+            Post.create({title: 't3'}, opts, next);
+          },
+          function(next) {
+            Post.updateAll({title: 't1'}, {content: 'c1'}, opts, next);
+          },
+          function(next) {
+            Post.deleteById(posts[1].id, opts, next);
+          },
+          function(next) {
+            tx.commit(next);
+          },
+        ], function(err) {
+          if (err) return done(err);
+          Post.find({order: 'title'}, function(err, posts) {
+            if (err) return done(err);
+            posts.map(function(p) {
+              return [p.title, p.content];
+            }).should.eql([['t1', 'c1'], ['t3', undefined]]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('keeps writes made outside of the transaction on commit', function(done) {
+    Post.beginTransaction({}, function(err, tx) {
+      if (err) return done(err);
+      Post.create({title: 't1'}, {transaction: tx}, function(err) {
+        if (err) return done(err);
+        Post.create({title: 't2'}, function(err) {
+          if (err) return done(err);
+          tx.commit(function(err) {
+            if (err) return done(err);
+            Post.find(function(err, posts) {
+              if (err) return done(err);
+              posts.map(function(p) { return p.title; }).sort()
+                .should.eql(['t1', 't2']);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('discards changes on rollback', function(done) {
+    Post.create({title: 't1'}, function(err, post) {
+      if (err) return done(err);
+      Post.beginTransaction({}, function(err, tx) {
+        if (err) return done(err);
+        Post.destroyAll({}, {transaction: tx}, function(err) {
+          if (err) return done(err);
+          tx.rollback(function(err) {
+            if (err) return done(err);
+            Post.find(function(err, posts) {
+              if (err) return done(err);
+              posts.should.have.length(1);
+              posts[0].title.should.equal('t1');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('rolls back the transaction on timeout', function(done) {
+    Post.beginTransaction({timeout: 50}, function(err, tx) {
+      if (err) return done(err);
+      tx.observe('timeout', function(context, next) {
+        context.transaction.should.equal(tx);
+        next();
+      });
+      tx.observe('after rollback', function(context, next) {
+        next();
+        Post.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(0);
+          done();
+        });
+      });
+      Post.create({title: 't1'}, {transaction: tx}, function(err) {
+        if (err) return done(err);
+      });
+    });
+  });
+});
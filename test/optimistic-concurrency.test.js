@@ -0,0 +1,240 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+var VersionConflictError = require('../').VersionConflictError;
+
+var db, Doc;
+
+describe('optimistic concurrency', function() {
+  before(function() {
+    db = getSchema();
+    Doc = db.define('Doc', {title: String, body: String}, {version: '_rev', forceId: false});
+  });
+
+  beforeEach(function(done) {
+    db.automigrate(['Doc'], done);
+  });
+
+  function expectConflict(promise) {
+    return promise.then(function() {
+      throw new Error('the write should have failed');
+    }, function(err) {
+      err.should.be.instanceOf(VersionConflictError);
+      err.statusCode.should.equal(409);
+      err.code.should.equal('VERSION_CONFLICT');
+    });
+  }
+
+  it('adds the version property', function() {
+    Doc.definition.properties.should.have.property('_rev');
+    Doc.definition.properties._rev.type.should.equal(Number);
+  });
+
+  it('defaults the version property to _version', function() {
+    var Note = db.define('Note', {title: String}, {version: true});
+    Note.settings.version.should.equal('_version');
+    Note.definition.properties.should.have.property('_version');
+  });
+
+  it('starts at version 1 on create', function() {
+    return Doc.create({title: 'a', _rev: 7}).then(function(doc) {
+      doc._rev.should.equal(1);
+      return Doc.findById(doc.id);
+    }).then(function(doc) {
+      doc._rev.should.equal(1);
+    });
+  });
+
+  it('increments the version on updateAttributes', function() {
+    return Doc.create({title: 'a'}).then(function(doc) {
+      return doc.updateAttributes({title: 'b'});
+    }).then(function(doc) {
+      doc._rev.should.equal(2);
+      return Doc.findById(doc.id);
+    }).then(function(doc) {
+      doc.title.should.equal('b');
+      doc._rev.should.equal(2);
+    });
+  });
+
+  it('increments the version on save', function() {
+    return Doc.create({title: 'a'}).then(function(doc) {
+      doc.title = 'b';
+      return doc.save();
+    }).then(function(doc) {
+      doc._rev.should.equal(2);
+      return Doc.findById(doc.id);
+    }).then(function(doc) {
+      doc.title.should.equal('b');
+      doc._rev.should.equal(2);
+    });
+  });
+
+  it('rejects updates of a stale instance', function() {
+    return Doc.create({title: 'a'}).then(function(doc) {
+      return Doc.findById(doc.id).then(function(copy) {
+        return copy.updateAttributes({title: 'b'});
+      }).then(function() {
+        return expectConflict(doc.updateAttributes({title: 'c'}));
+      }).then(function() {
+        doc.title = 'd';
+        return expectConflict(doc.save());
+      }).then(function() {
+        return Doc.findById(doc.id);
+      });
+    }).then(function(doc) {
+      doc.title.should.equal('b');
+      doc._rev.should.equal(2);
+    });
+  });
+
+  it('uses the version given with the changes', function() {
+    return Doc.create({title: 'a'}).then(function(doc) {
+      return expectConflict(doc.updateAttributes({title: 'b', _rev: 5}));
+    });
+  });
+
+  it('replaces the instance at the given version', function() {
+    return Doc.create({title: 'a', body: 'x'}).then(function(doc) {
+      return Doc.replaceById(doc.id, {title: 'b', _rev: 1});
+    }).then(function(doc) {
+      doc._rev.should.equal(2);
+      return Doc.findById(doc.id);
+    }).then(function(doc) {
+      doc.title.should.equal('b');
+      should.not.exist(doc.body);
+      doc._rev.should.equal(2);
+      return expectConflict(Doc.replaceById(doc.id, {title: 'c', _rev: 1}));
+    });
+  });
+
+  it('requires the version to replace an instance', function() {
+    return Doc.create({title: 'a'}).then(function(doc) {
+      return expectConflict(Doc.replaceById(doc.id, {title: 'b'}));
+    });
+  });
+
+  it('increments the version of each record on updateAll', function() {
+    return Promise.all([
+      Doc.create({title: 'a'}),
+      Doc.create({title: 'b'}),
+      Doc.create({title: 'c'}),
+    ]).then(function(docs) {
+      return docs[0].updateAttributes({body: 'x'});
+    }).then(function() {
+      return Doc.updateAll({title: {inq: ['a', 'b']}}, {body: 'y'});
+    }).then(function(info) {
+      info.should.eql({count: 2});
+      return Doc.find({order: 'title'});
+    }).then(function(docs) {
+      docs.map(function(d) {
+        return [d.title, d.body, d._rev];
+      }).should.eql([['a', 'y', 3], ['b', 'y', 2], ['c', undefined, 1]]);
+    });
+  });
+
+  it('increments each record once on updateAll with mixed versions', function() {
+    var docs;
+    return Promise.all([
+      Doc.create({title: 'a'}),
+      Doc.create({title: 'b'}),
+    ]).then(function(created) {
+      docs = created;
+      return docs[1].updateAttributes({body: 'x'});
+    }).then(function() {
+      return Doc.updateAll({}, {body: 'y'});
+    }).then(function(info) {
+      info.should.eql({count: 2});
+      return Doc.find({order: 'title'});
+    }).then(function(docs) {
+      docs.map(function(d) {
+        return [d.title, d._rev];
+      }).should.eql([['a', 2], ['b', 3]]);
+    });
+  });
+
+  describe('findOrCreate', function() {
+    it('creates a new instance at version 1', function() {
+      return Doc.findOrCreate({where: {title: 'a'}}, {title: 'a', _rev: 7})
+        .then(function(result) {
+          result[1].should.be.true();
+          result[0]._rev.should.equal(1);
+          return Doc.findById(result[0].id);
+        }).then(function(doc) {
+          doc._rev.should.equal(1);
+          return doc.updateAttributes({title: 'b'});
+        }).then(function(doc) {
+          doc._rev.should.equal(2);
+        });
+    });
+
+    it('keeps the version of an existing instance', function() {
+      return Doc.create({title: 'a'}).then(function(doc) {
+        return doc.updateAttributes({body: 'x'});
+      }).then(function() {
+        return Doc.findOrCreate({where: {title: 'a'}}, {title: 'a'});
+      }).then(function(result) {
+        result[1].should.be.false();
+        result[0]._rev.should.equal(2);
+      });
+    });
+  });
+
+  describe('upsert', function() {
+    it('creates a new instance at version 1', function() {
+      return Doc.upsert({id: 100, title: 'a'}).then(function(doc) {
+        doc._rev.should.equal(1);
+      });
+    });
+
+    it('updates an existing instance at the given version', function() {
+      return Doc.create({title: 'a'}).then(function(doc) {
+        return Doc.upsert({id: doc.id, title: 'b', _rev: 1});
+      }).then(function(doc) {
+        doc.title.should.equal('b');
+        doc._rev.should.equal(2);
+      });
+    });
+
+    it('rejects updates of an existing instance without a version', function() {
+      return Doc.create({title: 'a'}).then(function(doc) {
+        return expectConflict(Doc.upsert({id: doc.id, title: 'b'}));
+      });
+    });
+
+    it('rejects updates of an existing instance at another version', function() {
+      return Doc.create({title: 'a'}).then(function(doc) {
+        return expectConflict(Doc.upsert({id: doc.id, title: 'b', _rev: 2}));
+      });
+    });
+  });
+
+  describe('replaceOrCreate', function() {
+    it('creates a new instance at version 1', function() {
+      return Doc.replaceOrCreate({id: 100, title: 'a'}).then(function(doc) {
+        doc._rev.should.equal(1);
+      });
+    });
+
+    it('replaces an existing instance at the given version', function() {
+      return Doc.create({title: 'a'}).then(function(doc) {
+        return Doc.replaceOrCreate({id: doc.id, title: 'b', _rev: 1});
+      }).then(function(doc) {
+        doc._rev.should.equal(2);
+      });
+    });
+
+    it('rejects replacing an existing instance without a version', function() {
+      return Doc.create({title: 'a'}).then(function(doc) {
+        return expectConflict(Doc.replaceOrCreate({id: doc.id, title: 'b'}));
+      });
+    });
+  });
+});
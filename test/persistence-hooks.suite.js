@@ -1117,6 +1117,8 @@ module.exports = function(dataSource, should, connectorCapabilities) {
             id: existingInstance.id,
             name: 'changed',
             extra: undefined,
+          }, changes: {
+            name: {previous: 'first', current: 'changed'},
           }, options: {throws: false, validate: true}}));
           done();
         });
@@ -1334,6 +1336,7 @@ module.exports = function(dataSource, should, connectorCapabilities) {
             where: {id: existingInstance.id},
             data: {name: 'changed'},
             currentInstance: currentInstance,
+            changes: {name: {previous: 'first', current: 'changed'}},
           }));
           done();
         });
@@ -1964,6 +1967,7 @@ module.exports = function(dataSource, should, connectorCapabilities) {
                 where: {id: existingInstance.id},
                 data: {id: existingInstance.id, name: 'updated name'},
                 currentInstance: existingInstance,
+                changes: {name: {previous: 'first', current: 'updated name'}},
               }));
             }
             done();
@@ -3211,6 +3215,7 @@ module.exports = function(dataSource, should, connectorCapabilities) {
                // are undefined; please see other tests for example see:
                // test for "PersistedModel.create triggers `persist` hook"
                expectedContext.currentInstance = {id: existingInstance.id, name: 'first', extra: null};
+               expectedContext.changes = {name: {previous: 'first', current: 'updated name'}};
              }
              ctxRecorder.records.should.eql(expectedContext);
              done();
@@ -0,0 +1,243 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+var DataSource = require('../').DataSource;
+
+var db, Post, Comment, queries;
+
+describe('query cache', function() {
+  before(function() {
+    db = getSchema();
+    Post = db.define('Post', {title: String, tag: String, publishedAt: Date},
+      {cache: true});
+    Comment = db.define('Comment', {text: String});
+    Post.hasMany(Comment);
+    var all = db.connector.all;
+    db.connector.all = function(model, filter, options, cb) {
+      if (model === 'Post') queries++;
+      return all.apply(this, arguments);
+    };
+  });
+
+  beforeEach(function(done) {
+    queries = 0;
+    db.automigrate(['Post', 'Comment'], function(err) {
+      if (err) return done(err);
+      Post.clearCache(done);
+    });
+  });
+
+  it('defines the cache model', function() {
+    var PostCache = Post._cacheModel;
+    should.exist(PostCache);
+    PostCache.modelName.should.equal('PostCache');
+    PostCache.dataSource.connector.name.should.equal('kv-memory');
+    Post.definition.settings.cache.ttl.should.equal(60000);
+  });
+
+  it('serves repeated queries from the cache', function() {
+    return Post.create({title: 'a', tag: 'x'})
+      .then(function() {
+        return Post.find({where: {tag: 'x'}, order: 'title'});
+      })
+      .then(function(posts) {
+        posts.should.have.length(1);
+        return Post.find({order: 'title', where: {tag: 'x'}});
+      })
+      .then(function(posts) {
+        posts.should.have.length(1);
+        posts[0].should.be.instanceOf(Post);
+        posts[0].title.should.equal('a');
+        queries.should.equal(1);
+        return Post.find({where: {tag: 'y'}});
+      })
+      .then(function(posts) {
+        posts.should.have.length(0);
+        queries.should.equal(2);
+      });
+  });
+
+  it('restores the types of the cached properties', function() {
+    var loaded = [];
+    Post.observe('loaded', function(ctx, next) {
+      loaded.push(ctx.data.publishedAt);
+      next();
+    });
+    return Post.create({title: 'a', publishedAt: new Date(1000)})
+      .then(function() {
+        return Post.find();
+      })
+      .then(function() {
+        return Post.find();
+      })
+      .then(function(posts) {
+        Post.clearObservers('loaded');
+        queries.should.equal(1);
+        posts[0].publishedAt.should.be.instanceOf(Date);
+        posts[0].publishedAt.getTime().should.equal(1000);
+        loaded[1].should.be.instanceOf(Date);
+      });
+  });
+
+  it('does not cache the queries including related models', function() {
+    return Post.create({title: 'a'})
+      .then(function() {
+        return Post.find({include: 'comments'});
+      })
+      .then(function(posts) {
+        posts[0].comments().should.have.length(0);
+        return posts[0].comments.create({text: 'b'});
+      })
+      .then(function() {
+        return Post.find({include: 'comments'});
+      })
+      .then(function(posts) {
+        posts[0].comments().should.have.length(1);
+        queries.should.equal(2);
+      });
+  });
+
+  it('invalidates the cache when the data changes', function() {
+    var post;
+    return Post.create({title: 'a'})
+      .then(function(created) {
+        post = created;
+        return Post.find();
+      })
+      .then(function() {
+        return post.updateAttributes({title: 'b'});
+      })
+      .then(function() {
+        return Post.find();
+      })
+      .then(function(posts) {
+        posts[0].title.should.equal('b');
+        return Post.destroyAll();
+      })
+      .then(function() {
+        return Post.find();
+      })
+      .then(function(posts) {
+        posts.should.have.length(0);
+        queries.should.equal(3);
+      });
+  });
+
+  it('bypasses the cache with options.cache set to false', function() {
+    return Post.find()
+      .then(function() {
+        return Post.find({}, {cache: false});
+      })
+      .then(function() {
+        return Post.find();
+      })
+      .then(function() {
+        queries.should.equal(2);
+      });
+  });
+
+  it('invalidates the cache when a transaction is committed', function() {
+    var tx;
+    return Post.find()
+      .then(function() {
+        return Post.beginTransaction({});
+      })
+      .then(function(transaction) {
+        tx = transaction;
+        return Post.create({title: 'a'}, {transaction: tx});
+      })
+      .then(function() {
+        return Post.find();
+      })
+      .then(function(posts) {
+        posts.should.have.length(0);
+        queries.should.equal(1);
+        return Post.find({}, {transaction: tx});
+      })
+      .then(function(posts) {
+        posts.should.have.length(1);
+        return tx.commit();
+      })
+      .then(function() {
+        queries = 0;
+        return Post.find();
+      })
+      .then(function(posts) {
+        posts.should.have.length(1);
+        queries.should.equal(1);
+      });
+  });
+
+  it('keeps the cache when a transaction is rolled back', function() {
+    var tx;
+    return Post.find()
+      .then(function() {
+        return Post.beginTransaction({});
+      })
+      .then(function(transaction) {
+        tx = transaction;
+        return Post.create({title: 'a'}, {transaction: tx});
+      })
+      .then(function() {
+        return tx.rollback();
+      })
+      .then(function() {
+        return Post.find();
+      })
+      .then(function(posts) {
+        posts.should.have.length(0);
+        queries.should.equal(1);
+      });
+  });
+
+  it('expires the cached results after the ttl', function() {
+    var Note = db.define('Note', {text: String}, {cache: {ttl: 10}});
+    var cached = 0;
+    var CacheModel = Note._cacheModel;
+    var set = CacheModel.set;
+    CacheModel.set = function(key, value, options) {
+      if (/^query:/.test(key)) {
+        options.ttl.should.equal(10);
+        cached++;
+      }
+      return set.apply(this, arguments);
+    };
+
+    return Note.find()
+      .then(function() {
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 20);
+        });
+      })
+      .then(function() {
+        return Note.find();
+      })
+      .then(function() {
+        cached.should.equal(2);
+      });
+  });
+
+  it('uses the configured key-value data source', function() {
+    var kv = new DataSource('kv-memory');
+    var Note = db.define('Note', {text: String}, {cache: {dataSource: kv, model: 'NoteQueries'}});
+    Note._cacheModel.should.equal(kv.models.NoteQueries);
+    return Note.create({text: 'a'})
+      .then(function() {
+        return Note.find();
+      })
+      .then(function() {
+        return Note._cacheModel.keys();
+      })
+      .then(function(keys) {
+        keys.should.containEql('generation');
+        keys.filter(function(k) { return /^query:/.test(k); }).should.have.length(1);
+      });
+  });
+});
@@ -0,0 +1,238 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-datasource-juggler
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+// This test written in mocha+should.js
+'use strict';
+
+/* global getSchema:false */
+var should = require('./init.js');
+
+var db, Todo, List;
+
+describe('soft delete', function() {
+  before(function() {
+    db = getSchema();
+    List = db.define('List', {name: String});
+    Todo = db.define('Todo', {title: String}, {softDelete: true, forceId: false});
+    Todo.belongsTo(List);
+    List.hasMany(Todo);
+  });
+
+  beforeEach(function(done) {
+    Todo.clearObservers('before delete');
+    Todo.clearObservers('persist');
+    Todo.clearObservers('after delete');
+    db.automigrate(['Todo', 'List'], done);
+  });
+
+  beforeEach(function() {
+    return List.create({name: 'chores'}).then(function(list) {
+      return Todo.create([
+        {title: 'a', listId: list.id},
+        {title: 'b', listId: list.id},
+        {title: 'c', listId: list.id},
+      ]);
+    });
+  });
+
+  function titles(todos) {
+    return todos.map(function(t) { return t.title; }).sort();
+  }
+
+  it('adds the deletedAt property', function() {
+    Todo.definition.properties.should.have.property('deletedAt');
+    Todo.definition.properties.deletedAt.type.should.equal(Date);
+    Todo.settings.softDelete.should.eql({property: 'deletedAt'});
+  });
+
+  it('supports a custom property', function() {
+    var Note = db.define('Note', {removed: Date}, {softDelete: {property: 'removed'}});
+    Note.definition.properties.should.not.have.property('deletedAt');
+    Note.settings.softDelete.property.should.equal('removed');
+  });
+
+  it('marks instances deleted by destroyAll', function() {
+    return Todo.destroyAll({title: 'a'}).then(function(info) {
+      info.should.eql({count: 1});
+      return Todo.find();
+    }).then(function(todos) {
+      titles(todos).should.eql(['b', 'c']);
+      return Todo.find({where: {title: 'a'}}, {withDeleted: true});
+    }).then(function(todos) {
+      todos.should.have.length(1);
+      todos[0].deletedAt.should.be.instanceOf(Date);
+    });
+  });
+
+  it('does not mark deleted instances again', function() {
+    return Todo.destroyAll({title: 'a'}).then(function() {
+      return Todo.destroyAll();
+    }).then(function(info) {
+      info.should.eql({count: 2});
+    });
+  });
+
+  it('marks the instance deleted by deleteById', function() {
+    return Todo.findOne({where: {title: 'b'}}).then(function(todo) {
+      return Todo.deleteById(todo.id).then(function() {
+        return Todo.exists(todo.id);
+      }).then(function(exists) {
+        exists.should.be.false();
+        return Todo.findById(todo.id, null, {withDeleted: true});
+      });
+    }).then(function(todo) {
+      should.exist(todo);
+    });
+  });
+
+  it('marks the instance deleted by prototype.remove', function() {
+    return Todo.findOne({where: {title: 'c'}}).then(function(todo) {
+      return todo.remove().then(function(info) {
+        info.should.eql({count: 1});
+        todo.deletedAt.should.be.instanceOf(Date);
+        return Todo.count();
+      });
+    }).then(function(count) {
+      count.should.equal(2);
+      return Todo.count({}, {withDeleted: true});
+    }).then(function(count) {
+      count.should.equal(3);
+    });
+  });
+
+  it('reports soft deletes to operation hooks', function() {
+    var events = [];
+    Todo.observe('before delete', function(ctx, next) {
+      events.push(['before delete', ctx.softDelete]);
+      next();
+    });
+    Todo.observe('persist', function(ctx, next) {
+      events.push(['persist', ctx.softDelete, Object.keys(ctx.data)]);
+      ctx.isNewInstance.should.be.false();
+      next();
+    });
+    Todo.observe('after delete', function(ctx, next) {
+      events.push(['after delete', ctx.softDelete]);
+      next();
+    });
+    return Todo.destroyAll({title: 'a'}).then(function() {
+      events.should.eql([
+        ['before delete', true],
+        ['persist', true, ['deletedAt']],
+        ['after delete', true],
+      ]);
+    });
+  });
+
+  it('hides deleted instances from included relations', function() {
+    return Todo.destroyAll({title: 'a'}).then(function() {
+      return List.find({include: 'todos'});
+    }).then(function(lists) {
+      titles(lists[0].todos()).should.eql(['b', 'c']);
+    });
+  });
+
+  it('really deletes instances with hardDelete', function() {
+    return Todo.destroyAll({title: 'a'}, {hardDelete: true}).then(function() {
+      return Todo.count({}, {withDeleted: true});
+    }).then(function(count) {
+      count.should.equal(2);
+    });
+  });
+
+  it('purges the instances already marked as deleted with hardDelete', function() {
+    return Todo.destroyAll({title: 'a'}).then(function() {
+      return Todo.destroyAll({title: 'a'}, {hardDelete: true});
+    }).then(function(info) {
+      info.count.should.equal(1);
+      return Todo.count({}, {withDeleted: true});
+    }).then(function(count) {
+      count.should.equal(2);
+    });
+  });
+
+  it('restores an instance', function() {
+    return Todo.findOne({where: {title: 'a'}}).then(function(todo) {
+      return todo.remove().then(function() {
+        return todo.restore();
+      });
+    }).then(function(todo) {
+      should.not.exist(todo.deletedAt);
+      return Todo.count();
+    }).then(function(count) {
+      count.should.equal(3);
+    });
+  });
+
+  it('restores all matching instances', function() {
+    return Todo.destroyAll().then(function() {
+      return Todo.restoreAll({title: {inq: ['a', 'b']}});
+    }).then(function(info) {
+      info.should.eql({count: 2});
+      return Todo.find();
+    }).then(function(todos) {
+      titles(todos).should.eql(['a', 'b']);
+    });
+  });
+
+  describe('upsert of a deleted instance', function() {
+    var connector, updateOrCreate, replaceOrCreate;
+
+    before(function() {
+      connector = db.connector;
+      updateOrCreate = connector.updateOrCreate;
+      replaceOrCreate = connector.replaceOrCreate;
+    });
+
+    afterEach(function() {
+      connector.updateOrCreate = updateOrCreate;
+      connector.replaceOrCreate = replaceOrCreate;
+    });
+
+    function upsertDeleted(method) {
+      return Todo.findOne({where: {title: 'a'}}).then(function(todo) {
+        return todo.remove().then(function() {
+          return Todo[method]({id: todo.id, title: 'x', listId: todo.listId});
+        });
+      }).then(function(todo) {
+        should.not.exist(todo.deletedAt);
+        return Todo.find();
+      }).then(function(todos) {
+        titles(todos).should.eql(['b', 'c', 'x']);
+        return Todo.count({}, {withDeleted: true});
+      }).then(function(count) {
+        count.should.equal(3);
+      });
+    }
+
+    it('restores the instance updated by updateOrCreate', function() {
+      return upsertDeleted('updateOrCreate');
+    });
+
+    it('restores the instance replaced by replaceOrCreate', function() {
+      return upsertDeleted('replaceOrCreate');
+    });
+
+    it('restores the instance updated without the connector method', function() {
+      connector.updateOrCreate = false;
+      return upsertDeleted('updateOrCreate');
+    });
+
+    it('restores the instance replaced without the connector method', function() {
+      connector.replaceOrCreate = false;
+      return upsertDeleted('replaceOrCreate');
+    });
+  });
+
+  it('rejects restore for models without soft delete', function() {
+    return List.findOne().then(function(list) {
+      return list.restore();
+    }).then(function() {
+      throw new Error('restore() should have failed');
+    }, function(err) {
+      err.statusCode.should.equal(400);
+    });
+  });
+});
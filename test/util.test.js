@@ -508,3 +508,32 @@ describe('util.hasRegExpFlags', function() {
     });
   });
 });
+
+describe('util.isSameValue', function() {
+  it('should compare dates by their time', function() {
+    utils.isSameValue(new Date(1000), new Date(1000)).should.be.true();
+    utils.isSameValue(new Date(1000), new Date(2000)).should.be.false();
+  });
+
+  it('should compare arrays and objects by their items', function() {
+    utils.isSameValue([1, {a: 'x'}], [1, {a: 'x'}]).should.be.true();
+    utils.isSameValue({a: [1, 2]}, {a: [1, 3]}).should.be.false();
+    utils.isSameValue({a: 1}, {a: 1, b: 2}).should.be.false();
+  });
+
+  it('should not match objects of different constructors', function() {
+    function Point(x) { this.x = x; }
+    utils.isSameValue(new Date(), {}).should.be.false();
+    utils.isSameValue({}, new Date()).should.be.false();
+    utils.isSameValue(new Point(1), {x: 1}).should.be.false();
+    utils.isSameValue(new Point(1), new Point(1)).should.be.true();
+  });
+
+  it('should compare other objects by their string value', function() {
+    function ObjectID(id) { this.id = id; }
+    ObjectID.prototype.toString = function() { return this.id; };
+    utils.isSameValue(new ObjectID('abc'), 'abc').should.be.true();
+    utils.isSameValue(new ObjectID('abc'), null).should.be.false();
+    utils.isSameValue(1, '1').should.be.false();
+  });
+});
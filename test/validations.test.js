@@ -519,6 +519,110 @@ describe('validations', function() {
     });
   });
 
+  describe('batched uniqueness', function() {
+    var Member, queries;
+
+    before(function() {
+      Member = db.define('Member', {
+        email: String,
+        login: String,
+        siteId: Number,
+      });
+      Member.validatesUniquenessOf('email');
+      Member.validatesUniquenessOf('login', {scopedTo: ['siteId']});
+      Member.observe('access', function(ctx, next) {
+        queries++;
+        next();
+      });
+    });
+
+    beforeEach(function(done) {
+      Member.destroyAll(function(err) {
+        queries = 0;
+        done(err);
+      });
+    });
+
+    function createAll(Model, items) {
+      return new Promise(function(resolve) {
+        Model.create(items, function(errors, members) {
+          resolve({errors: errors || [], members: members});
+        });
+      });
+    }
+
+    it('runs one query per uniqueness validation', function() {
+      var items = [];
+      for (var i = 0; i < 20; i++) {
+        items.push({email: 'user' + i + '@example.com', login: 'user' + i, siteId: 1});
+      }
+      return createAll(Member, items).then(function(result) {
+        result.errors.should.be.empty();
+        queries.should.equal(2);
+        return Member.count();
+      }).then(function(count) {
+        count.should.equal(20);
+      });
+    });
+
+    it('reports the duplicates within the batch', function() {
+      return createAll(Member, [
+        {email: 'a@example.com', login: 'a', siteId: 1},
+        {email: 'a@example.com', login: 'b', siteId: 1},
+        {email: 'c@example.com', login: 'a', siteId: 2},
+        {email: 'd@example.com', login: 'a', siteId: 1},
+      ]).then(function(result) {
+        should.not.exist(result.errors[0]);
+        result.errors[1].should.be.instanceOf(ValidationError);
+        result.errors[1].details.codes.should.eql({email: ['uniqueness']});
+        should.not.exist(result.errors[2]);
+        result.errors[3].details.codes.should.eql({login: ['uniqueness']});
+      });
+    });
+
+    it('reports the conflicts with existing records', function() {
+      return Member.create({email: 'a@example.com', login: 'a', siteId: 1})
+        .then(function() {
+          queries = 0;
+          return createAll(Member, [
+            {email: 'b@example.com', login: 'a', siteId: 2},
+            {email: 'a@example.com', login: 'b', siteId: 1},
+            {email: 'c@example.com', login: 'a', siteId: 1},
+          ]);
+        })
+        .then(function(result) {
+          queries.should.equal(2);
+          should.not.exist(result.errors[0]);
+          result.errors[1].details.codes.should.eql({email: ['uniqueness']});
+          result.errors[2].details.codes.should.eql({login: ['uniqueness']});
+        });
+    });
+
+    it('maps duplicate key errors of the connector when enabled', function() {
+      var Ticket = db.define('Ticket', {
+        code: {type: String, id: true, generated: false},
+      }, {mapDuplicateKeyErrors: true});
+      var Coupon = db.define('Coupon', {
+        code: {type: String, id: true, generated: false},
+      });
+      return Promise.all([
+        Ticket.create({code: 'x'}),
+        Coupon.create({code: 'x'}),
+      ]).then(function() {
+        return Promise.all([
+          Ticket.create({code: 'x'}).catch(function(err) { return err; }),
+          Coupon.create({code: 'x'}).catch(function(err) { return err; }),
+        ]);
+      }).then(function(errors) {
+        errors[0].should.be.instanceOf(ValidationError);
+        errors[0].details.codes.should.eql({code: ['uniqueness']});
+        errors[0].details.messages.should.eql({code: ['is not unique']});
+        errors[1].should.not.be.instanceOf(ValidationError);
+        errors[1].message.should.match(/Duplicate entry/);
+      });
+    });
+  });
+
   describe('format', function() {
     it('should validate format');
     it('should overwrite default blank message with custom format message');
@@ -546,6 +650,20 @@ describe('validations', function() {
       var u = new User({email: null});
       u.isValid().should.be.false;
     });
+
+    it('should validate well-known formats', function() {
+      User.validatesFormatOf('email', {format: 'email'});
+      User.validatesFormatOf('domain', {format: 'uri', allowBlank: true});
+      new User({email: 'joe@example.com', domain: 'http://example.com'})
+        .isValid().should.be.true();
+      var u = new User({email: 'joe', domain: 'example'});
+      u.isValid().should.be.false();
+      u.errors.should.eql({
+        email: ['is not a valid email address'],
+        domain: ['is not a valid URI'],
+      });
+      u.errors.codes.should.eql({email: ['format.email'], domain: ['format.uri']});
+    });
   });
 
   describe('numericality', function() {
@@ -607,6 +725,17 @@ describe('validations', function() {
       user.isValid().should.be.false();
       user.errors.should.eql({age: ['is not an integer']});
     });
+
+    it('fails when given values out of the min and max range', function() {
+      User.validatesNumericalityOf('age', {min: 18, max: 120});
+      new User({age: 18}).isValid().should.be.true();
+      var user = new User({age: 17});
+      user.isValid().should.be.false();
+      user.errors.should.eql({age: ['is too small']});
+      user = new User({age: 121});
+      user.isValid().should.be.false();
+      user.errors.codes.should.eql({age: ['numericality.max']});
+    });
   });
 
   describe('inclusion', function() {
@@ -621,6 +750,409 @@ describe('validations', function() {
     it('should validate length');
   });
 
+  describe('comparison', function() {
+    var Event;
+
+    before(function() {
+      Event = db.define('Event', {
+        startDate: Date,
+        endDate: Date,
+        password: String,
+        confirmation: String,
+      });
+    });
+
+    beforeEach(function() {
+      delete Event.validations;
+    });
+
+    it('compares to another property', function() {
+      Event.validatesComparisonOf('endDate', {gt: 'startDate'});
+      new Event({startDate: new Date(1000), endDate: new Date(2000)})
+        .isValid().should.be.true();
+      var event = new Event({startDate: new Date(2000), endDate: new Date(2000)});
+      event.isValid().should.be.false();
+      event.errors.should.eql({endDate: ['must be greater than startDate']});
+      event.errors.codes.should.eql({endDate: ['comparison.gt']});
+    });
+
+    it('skips the comparison when the other property has no value', function() {
+      Event.validatesComparisonOf('confirmation', {eq: 'password'});
+      new Event({confirmation: 'secret'}).isValid().should.be.true();
+      new Event({password: 'secret', confirmation: 'secret'}).isValid().should.be.true();
+      var event = new Event({password: 'secret', confirmation: 'other'});
+      event.isValid().should.be.false();
+      event.errors.codes.should.eql({confirmation: ['comparison.eq']});
+    });
+
+    it('uses custom messages', function() {
+      Event.validatesComparisonOf('endDate', {
+        gte: 'startDate',
+        message: {gte: 'must not be before the start'},
+      });
+      var event = new Event({startDate: new Date(2000), endDate: new Date(1000)});
+      event.isValid().should.be.false();
+      event.errors.should.eql({endDate: ['must not be before the start']});
+    });
+  });
+
+  describe('when condition', function() {
+    var Order;
+
+    before(function() {
+      Order = db.define('Order', {
+        deliveryType: String,
+        shippingAddress: String,
+        total: Number,
+        coupon: String,
+      });
+    });
+
+    beforeEach(function() {
+      delete Order.validations;
+    });
+
+    it('runs the validation only when the condition matches', function() {
+      Order.validatesPresenceOf('shippingAddress', {when: {deliveryType: 'ship'}});
+      new Order({deliveryType: 'pickup'}).isValid().should.be.true();
+      var order = new Order({deliveryType: 'ship'});
+      order.isValid().should.be.false();
+      order.errors.codes.should.eql({shippingAddress: ['presence']});
+    });
+
+    it('supports operators, and and or', function() {
+      Order.validatesAbsenceOf('coupon', {
+        when: {or: [{total: {lt: 10}}, {deliveryType: {inq: ['gift', 'sample']}}]},
+      });
+      new Order({total: 20, deliveryType: 'ship', coupon: 'X'}).isValid().should.be.true();
+      new Order({total: 5, coupon: 'X'}).isValid().should.be.false();
+      new Order({total: 20, deliveryType: 'gift', coupon: 'X'}).isValid().should.be.false();
+    });
+
+    it('rejects unknown operators', function() {
+      (function() {
+        Order.validatesPresenceOf('coupon', {when: {total: {like: 'x'}}});
+      }).should.throw(/Order\.coupon.*like/);
+    });
+
+    it('rejects inq and nin values that are not arrays', function() {
+      (function() {
+        Order.validatesPresenceOf('coupon', {when: {deliveryType: {nin: 'gift'}}});
+      }).should.throw(/Order\.coupon.*nin/);
+      Order.validations.should.not.have.property('coupon');
+    });
+  });
+
+  describe('validations setting', function() {
+    it('registers the validations of the model settings', function() {
+      var Shipment = db.define('Shipment', {
+        deliveryType: String,
+        shippingAddress: String,
+        startDate: Date,
+        endDate: Date,
+        code: String,
+      }, {
+        validations: [
+          {property: 'shippingAddress', validation: 'presence', when: {deliveryType: 'ship'}},
+          {property: 'endDate', validation: 'comparison', gt: 'startDate', allowBlank: true},
+          {property: ['code'], validation: 'format', with: '^[A-Z]+$', allowBlank: true},
+        ],
+      });
+
+      new Shipment({deliveryType: 'pickup'}).isValid().should.be.true();
+      var shipment = new Shipment({
+        deliveryType: 'ship',
+        startDate: new Date(2000),
+        endDate: new Date(1000),
+        code: 'abc',
+      });
+      shipment.isValid().should.be.false();
+      shipment.errors.codes.should.eql({
+        shippingAddress: ['presence'],
+        endDate: ['comparison.gt'],
+        code: ['format'],
+      });
+    });
+
+    it('rejects invalid when conditions', function() {
+      (function() {
+        db.define('Parcel', {weight: Number, label: String}, {
+          validations: [
+            {property: 'label', validation: 'presence', when: {weight: {between: [1, 2]}}},
+          ],
+        });
+      }).should.throw(/Parcel\.label.*between/);
+    });
+
+    it('reports the errors against the validated property', function() {
+      var Booking = db.define('Booking', {from: Number, to: Number}, {
+        validations: [{property: 'to', validation: 'comparison', gte: 'from'}],
+      });
+      return Booking.create({from: 5, to: 1}).then(function() {
+        throw new Error('create should have failed');
+      }, function(err) {
+        err.should.be.instanceOf(ValidationError);
+        err.details.codes.should.eql({to: ['comparison.gte']});
+        err.details.messages.should.eql({to: ['must be greater than or equal to from']});
+      });
+    });
+
+    it('rejects unknown validations', function() {
+      (function() {
+        db.define('Broken', {name: String}, {
+          validations: [{property: 'name', validation: 'palindrome'}],
+        });
+      }).should.throw(/palindrome/);
+    });
+  });
+
+  describe('nested models', function() {
+    var Address, Customer;
+
+    before(function() {
+      Address = db.define('Address', {
+        street: String,
+        zip: {type: String, required: true, pattern: '^[0-9]{5}$'},
+      }, {idInjection: false});
+      Customer = db.define('Customer', {
+        name: String,
+        billing: Address,
+        addresses: [Address],
+        company: {
+          name: String,
+          office: Address,
+        },
+        archived: {type: [Address], validate: false},
+      });
+    });
+
+    afterEach(function() {
+      delete Address.validations.street;
+    });
+
+    it('validates model instances nested in properties', function() {
+      new Customer({billing: {zip: '12345'}}).isValid().should.be.true();
+      var customer = new Customer({billing: {street: 'Main'}});
+      customer.isValid().should.be.false();
+      customer.errors.codes.should.eql({'billing.zip': ['presence']});
+    });
+
+    it('validates the items of lists of models', function() {
+      var customer = new Customer({
+        addresses: [{zip: '12345'}, {zip: '12345'}, {zip: '123'}],
+      });
+      customer.isValid().should.be.false();
+      customer.errors.should.eql({'addresses.2.zip': ['is invalid']});
+      customer.errors.codes.should.eql({'addresses.2.zip': ['format']});
+    });
+
+    it('validates deeply nested instances', function() {
+      var customer = new Customer({company: {name: 'ACME', office: {zip: 'x'}}});
+      customer.isValid().should.be.false();
+      customer.errors.codes.should.eql({'company.office.zip': ['format']});
+    });
+
+    it('skips properties with the validate option set to false', function() {
+      new Customer({archived: [{zip: 'x'}]}).isValid().should.be.true();
+    });
+
+    it('reports the dotted paths in ValidationError details', function() {
+      return Customer.create({addresses: [{zip: '12345'}, {zip: '12'}]})
+        .then(function() {
+          throw new Error('create should have failed');
+        }, function(err) {
+          err.should.be.instanceOf(ValidationError);
+          err.details.codes.should.eql({'addresses.1.zip': ['format']});
+          err.details.messages.should.eql({'addresses.1.zip': ['is invalid']});
+          err.message.should.match(/`addresses\.1\.zip` is invalid \(value: "12"\)/);
+        });
+    });
+
+    it('waits for asynchronous validations of nested instances', function(done) {
+      Address.validateAsync('street', function(err, next) {
+        var street = this.street;
+        process.nextTick(function() {
+          if (street === 'Nowhere') err();
+          next();
+        });
+      });
+      var customer = new Customer({name: 'Joe', billing: {zip: '12345', street: 'Nowhere'}});
+      customer.isValid(function(valid) {
+        valid.should.be.false();
+        customer.errors.codes.should.eql({'billing.street': ['custom']});
+        done();
+      });
+    });
+  });
+
+  describe('property rules', function() {
+    var Product;
+
+    before(function() {
+      Product = db.define('Product', {
+        name: {type: String, required: true, minLength: 2, maxLength: 10},
+        code: {type: String, pattern: '^[A-Z]{3}$'},
+        price: {type: Number, min: 0, max: 1000},
+        status: {type: String, enum: ['draft', 'published']},
+        contact: {type: String, format: 'email'},
+        homepage: {type: String, format: 'uri'},
+        ref: {type: String, format: 'uuid'},
+        released: {type: Date, format: 'YYYY-MM-DD'},
+      });
+    });
+
+    it('passes when the values follow the rules', function() {
+      new Product({
+        name: 'pen',
+        code: 'PEN',
+        price: 0,
+        status: 'draft',
+        contact: 'sales@example.com',
+        homepage: 'https://example.com/pen',
+        ref: '0f8fad5b-d9cb-469f-a165-70867728950e',
+        released: new Date(),
+      }).isValid().should.be.true();
+    });
+
+    it('skips missing and null values', function() {
+      new Product({name: 'pen', code: null}).isValid().should.be.true();
+    });
+
+    it('reports the broken rules with stable codes', function() {
+      var p = new Product({
+        name: 'p',
+        code: 'pen',
+        price: -1,
+        status: 'archived',
+        contact: 'sales',
+        homepage: 'example.com',
+        ref: '1234',
+      });
+      p.isValid().should.be.false();
+      p.errors.codes.should.eql({
+        name: ['length.min'],
+        code: ['format'],
+        price: ['numericality.min'],
+        status: ['inclusion'],
+        contact: ['format.email'],
+        homepage: ['format.uri'],
+        ref: ['format.uuid'],
+      });
+    });
+
+    it('reports the broken rules in ValidationError details', function() {
+      return Product.create({name: 'a very long name', price: 1001})
+        .then(function() {
+          throw new Error('create should have failed');
+        }, function(err) {
+          err.should.be.instanceOf(ValidationError);
+          err.details.codes.should.eql({
+            name: ['length.max'],
+            price: ['numericality.max'],
+          });
+          err.details.messages.should.eql({
+            name: ['too long'],
+            price: ['is too large'],
+          });
+        });
+    });
+  });
+
+  describe('localization', function() {
+    before(function() {
+      ValidationError.registerMessages('de', {
+        presence: 'darf nicht leer sein',
+        'length.min': 'muss mindestens {min} Zeichen lang sein',
+        'invalid-email': 'ist keine gültige E-Mail-Adresse',
+        invalid: 'ist ungültig',
+      });
+    });
+
+    it('uses the messages of the locale option', function() {
+      User.validatesPresenceOf('name');
+      User.validatesLengthOf('password', {min: 6});
+      var user = new User({password: 'abc'});
+      user.isValid(null, null, {locale: 'de'}).should.be.false();
+      user.errors.should.eql({
+        name: ['darf nicht leer sein'],
+        password: ['muss mindestens 6 Zeichen lang sein'],
+      });
+      user.errors.codes.should.eql({name: ['presence'], password: ['length.min']});
+    });
+
+    it('falls back to the language and to English', function() {
+      User.validatesPresenceOf('name');
+      User.validatesInclusionOf('gender', {in: ['male', 'female']});
+      var user = new User({gender: 'x'});
+      user.isValid(null, null, {locale: 'de-CH'}).should.be.false();
+      user.errors.name.should.eql(['darf nicht leer sein']);
+      user.errors.gender.should.eql(['ist ungültig']);
+
+      user.isValid(null, null, {locale: 'fi'}).should.be.false();
+      user.errors.gender.should.eql(['is not included in the list']);
+    });
+
+    it('translates the built-in messages for the locale', function() {
+      User.validatesPresenceOf('name');
+      User.validatesInclusionOf('gender', {in: ['male', 'female']});
+      var user = new User({gender: 'x'});
+      user.isValid(null, null, {locale: 'fr-CA'}).should.be.false();
+      user.errors.should.eql({
+        name: ['ne peut pas être vide'],
+        gender: ['n\'est pas inclus dans la liste'],
+      });
+
+      user.isValid().should.be.false();
+      user.errors.gender.should.eql(['is not included in the list']);
+    });
+
+    it('uses the registered messages of custom validations', function() {
+      User.validate('email', function(err) {
+        if (this.email === 'hello') err();
+      }, {code: 'invalid-email'});
+      var user = new User({email: 'hello'});
+      user.isValid(null, null, {locale: 'de'}).should.be.false();
+      user.errors.should.eql({email: ['ist keine gültige E-Mail-Adresse']});
+    });
+
+    it('copies the registered messages', function() {
+      var messages = {absence: 'muss leer sein'};
+      ValidationError.registerMessages('de', messages);
+      messages.absence = 'geändert';
+      User.validatesAbsenceOf('name');
+      var user = new User({name: 'x'});
+      user.isValid(null, null, {locale: 'de'}).should.be.false();
+      user.errors.should.eql({name: ['muss leer sein']});
+      user.isValid().should.be.false();
+      user.errors.should.eql({name: ['can\'t be set']});
+    });
+
+    it('interpolates the options of the validation', function() {
+      User.validatesInclusionOf('gender', {
+        in: ['male', 'female'],
+        message: 'must be one of {in}',
+      });
+      User.validatesLengthOf('name', {min: 2, message: {min: 'needs {min} characters'}});
+      var user = new User({gender: 'x', name: 'a'});
+      user.isValid().should.be.false();
+      user.errors.should.eql({
+        gender: ['must be one of male, female'],
+        name: ['needs 2 characters'],
+      });
+    });
+
+    it('reports localized messages in ValidationError', function() {
+      User.validatesPresenceOf('name');
+      return User.create({}, {locale: 'de'}).then(function() {
+        throw new Error('create should have failed');
+      }, function(err) {
+        err.should.be.instanceOf(ValidationError);
+        err.details.messages.should.eql({name: ['darf nicht leer sein']});
+        err.message.should.match(/`name` darf nicht leer sein/);
+      });
+    });
+  });
+
   describe('custom', function() {
     it('should validate using custom sync validation', function() {
       User.validate('email', function(err) {